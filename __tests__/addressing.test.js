@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AddressDetector } = require('../realtime/addressing');
+
+test('turns naming the bot or a wake phrase are addressed', () => {
+  const detector = new AddressDetector({ botName: 'Aurray Bot', wakePhrases: ['Hey Notes', 'Aurray'] });
+
+  assert.deepEqual(detector.check('Thanks, AURRAY BOT!'), { addressed: true, reason: 'name', phrase: 'aurray bot' });
+  assert.equal(detector.check('Aurray, what was the budget?').reason, 'wake_phrase');
+  assert.equal(detector.check('hey notes: summarize that').reason, 'wake_phrase');
+  assert.equal(detector.check('Let us move on to hiring').addressed, false);
+  // Whole words only
+  assert.equal(detector.check('The aurrayish logo').addressed, false);
+});
+
+test('the first word of the name alone does not address the bot', () => {
+  const detector = new AddressDetector({ botName: 'Meeting Assistant' });
+  assert.equal(detector.check('This meeting is running long').addressed, false);
+  assert.equal(detector.check('Meeting assistant, any action items?').addressed, true);
+});
+
+test('accents and punctuation do not prevent a match', () => {
+  const detector = new AddressDetector({ botName: 'Zoë', wakePhrases: [] });
+  assert.equal(detector.check('zoe? can you help').addressed, true);
+});
+
+test('follow-ups are addressed within the window after a response', () => {
+  const detector = new AddressDetector({ botName: 'Aurray', followUpWindowSec: 20 });
+  const respondedAt = Date.parse('2030-01-01T10:00:00Z');
+
+  assert.equal(detector.check('and the second item?', respondedAt).addressed, false);
+  detector.markResponse(respondedAt);
+  assert.deepEqual(detector.check('and the second item?', respondedAt + 15000), { addressed: true, reason: 'follow_up' });
+  assert.equal(detector.check('unrelated chatter', respondedAt + 25000).addressed, false);
+
+  const noFollowUps = new AddressDetector({ botName: 'Aurray', followUpWindowSec: 0 });
+  noFollowUps.markResponse(respondedAt);
+  assert.equal(noFollowUps.check('and then?', respondedAt + 1000).addressed, false);
+});
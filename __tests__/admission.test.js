@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AdmissionController = require('../lib/admission');
+
+function createController(overrides = {}) {
+  const state = { running: 0 };
+  const controller = new AdmissionController({
+    getRunningCount: () => state.running,
+    maxConcurrent: 1,
+    minFreeMemoryMb: 0,
+    maxLoadPerCpu: 0,
+    maxQueueSize: 1,
+    ...overrides
+  });
+  return { controller, state };
+}
+
+test('admission starts, queues and rejects based on capacity', () => {
+  const { controller, state } = createController();
+  assert.equal(controller.admit().action, 'start');
+
+  state.running = 1;
+  assert.equal(controller.admit().action, 'queue');
+  assert.equal(controller.enqueue('m1', () => {}), 1);
+  assert.equal(controller.admit().action, 'reject');
+  clearTimeout(controller.drainTimer);
+});
+
+test('drain launches queued starts in order once capacity frees up', () => {
+  const { controller, state } = createController({ maxQueueSize: 5 });
+  const started = [];
+  state.running = 1;
+  controller.enqueue('m1', () => { started.push('m1'); state.running++; });
+  controller.enqueue('m2', () => { started.push('m2'); state.running++; });
+  assert.equal(controller.position('m2'), 2);
+
+  state.running = 0;
+  controller.drain();
+  assert.deepEqual(started, ['m1']);
+  assert.equal(controller.position('m2'), 1);
+
+  assert.equal(controller.cancel('m2'), true);
+  assert.equal(controller.isQueued('m2'), false);
+  clearTimeout(controller.drainTimer);
+});
+
+test('drain drops queued starts that waited too long', () => {
+  const expired = [];
+  const { controller, state } = createController({ queueTimeoutSec: 1, onTimeout: (entry) => expired.push(entry.meetingId) });
+  state.running = 1;
+  controller.enqueue('m1', () => {});
+  controller.queue[0].enqueuedAt -= 2000;
+
+  controller.drain();
+  assert.deepEqual(expired, ['m1']);
+  assert.equal(controller.queue.length, 0);
+});
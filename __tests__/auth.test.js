@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApiKeys, signRequest, createAuthenticator } = require('../lib/auth');
+
+const keys = loadApiKeys({
+  API_KEYS: JSON.stringify([
+    { id: 'reader', key: 'read-key', scopes: ['read'], tenant: 'acme' },
+    { id: 'admin', key: 'admin-key' }
+  ])
+});
+
+function runMiddleware(middleware, req) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+test('loadApiKeys defaults scopes and rejects unknown ones', () => {
+  assert.deepEqual(keys[1].scopes, ['start', 'stop', 'read']);
+  assert.throws(
+    () => loadApiKeys({ API_KEYS: JSON.stringify([{ key: 'x', scopes: ['admin'] }]) }),
+    /unknown scopes/
+  );
+});
+
+test('requireScope enforces key scopes', () => {
+  const auth = createAuthenticator(keys);
+
+  const allowed = runMiddleware(auth.requireScope('read'), { headers: { 'x-api-key': 'read-key' }, url: '/meetings' });
+  assert.equal(allowed.nextCalled, true);
+
+  const forbidden = runMiddleware(auth.requireScope('start'), { headers: { authorization: 'Bearer read-key' }, url: '/start-meeting' });
+  assert.equal(forbidden.res.statusCode, 403);
+
+  const missing = runMiddleware(auth.requireScope('read'), { headers: {}, url: '/meetings' });
+  assert.equal(missing.res.statusCode, 401);
+});
+
+test('authenticate accepts valid HMAC signatures only', () => {
+  const auth = createAuthenticator(keys);
+  const timestamp = String(Date.now());
+  const body = Buffer.from('{"meetingId":"m1"}');
+  const signature = signRequest('admin-key', { timestamp, method: 'POST', path: '/start-meeting', body });
+  const req = {
+    method: 'POST',
+    url: '/start-meeting',
+    rawBody: body,
+    headers: { 'x-aurray-key-id': 'admin', 'x-aurray-timestamp': timestamp, 'x-aurray-signature': signature }
+  };
+
+  assert.equal(auth.authenticate(req).client.id, 'admin');
+  assert.equal(auth.authenticate({ ...req, rawBody: Buffer.from('{}') }).status, 401);
+
+  for (const bad of ['abc', `${timestamp}.5`, '1e12', ` ${timestamp}`]) {
+    const badSignature = signRequest('admin-key', { timestamp: bad, method: 'POST', path: '/start-meeting', body });
+    const result = auth.authenticate({ ...req, headers: { ...req.headers, 'x-aurray-timestamp': bad, 'x-aurray-signature': badSignature } });
+    assert.deepEqual(result, { status: 401, error: 'Invalid request timestamp' });
+  }
+});
+
+test('tenant keys only access their own tenant', () => {
+  const auth = createAuthenticator(keys);
+  assert.equal(auth.canAccessTenant({ tenant: 'acme' }, 'acme'), true);
+  assert.equal(auth.canAccessTenant({ tenant: 'acme' }, 'other'), false);
+  assert.equal(auth.canAccessTenant({ tenant: null }, 'other'), true);
+});
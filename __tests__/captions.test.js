@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CaptionTracker } = require('../platforms/captions');
+
+function createTracker() {
+  const turns = [];
+  const tracker = new CaptionTracker({ botName: 'Aurray Bot', idleMs: 1000, onTurn: (turn) => turns.push(turn) });
+  return { tracker, turns };
+}
+
+test('caption blocks become turns once they stop changing', () => {
+  const { tracker, turns } = createTracker();
+  tracker.update({ id: 1, speaker: 'Sarah', text: 'Can we' }, 0);
+  tracker.update({ id: 1, speaker: 'Sarah', text: 'Can we start?' }, 500);
+  tracker.update({ id: 2, speaker: 'Aurray Bot', text: 'Sure.' }, 1200);
+
+  tracker.flush(1600);
+  assert.equal(turns.length, 1);
+  assert.deepEqual(turns[0], {
+    role: 'user',
+    speaker: 'Sarah',
+    text: 'Can we start?',
+    itemId: 'caption_1',
+    startedAt: new Date(0).toISOString(),
+    endedAt: new Date(500).toISOString(),
+    source: 'captions'
+  });
+
+  tracker.stop();
+  assert.equal(turns[1].role, 'assistant');
+  assert.equal(turns[1].text, 'Sure.');
+});
+
+test('captions under the platform self label are the assistant', () => {
+  const turns = [];
+  const tracker = new CaptionTracker({ botName: 'Aurray Bot', selfLabels: ['You'], idleMs: 1000, onTurn: (turn) => turns.push(turn) });
+  tracker.update({ id: 1, speaker: 'You', text: 'Aurray Bot here, ready when you are.' }, 0);
+  tracker.flush(2000);
+
+  assert.equal(turns[0].role, 'assistant');
+  assert.equal(turns[0].speaker, 'Aurray Bot');
+});
+
+test('a block that grows after a pause only adds its new text', () => {
+  const { tracker, turns } = createTracker();
+  tracker.update({ id: 1, speaker: 'Sarah', text: 'First point.' }, 0);
+  tracker.flush(2000);
+  tracker.update({ id: 1, speaker: 'Sarah', text: 'First point. Second point.' }, 3000);
+  tracker.flush(5000);
+
+  assert.deepEqual(turns.map((turn) => [turn.itemId, turn.text]), [
+    ['caption_1', 'First point.'],
+    ['caption_1_2', 'Second point.']
+  ]);
+});
+
+test('emitted blocks are forgotten once they stop updating', () => {
+  const { tracker } = createTracker();
+  tracker.update({ id: 1, speaker: 'Sarah', text: 'Old point.' }, 0);
+  tracker.flush(2000);
+  tracker.update({ id: 2, speaker: 'Bob', text: 'New point.' }, 9 * 60 * 1000);
+  tracker.flush(9 * 60 * 1000 + 2000);
+  assert.deepEqual(Array.from(tracker.emitted.keys()), [1, 2]);
+
+  tracker.flush(11 * 60 * 1000);
+  assert.deepEqual(Array.from(tracker.emitted.keys()), [2]);
+});
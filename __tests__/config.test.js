@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG_SCHEMA, describeConfigSchema, parseConfig, validateOverrides } = require('../lib/config');
+
+const required = { MEETING_ID: 'm1', MEETING_URL: 'https://meet.google.com/abc-defg-hij' };
+
+test('parseConfig applies defaults and derives sessionId from meetingId', () => {
+  const { config, errors } = parseConfig(required);
+  assert.deepEqual(errors, []);
+  assert.equal(config.platform, 'google_meet');
+  assert.equal(config.headless, true);
+  assert.equal(config.navigationTimeoutMs, 45000);
+  assert.deepEqual(config.browserArgs, []);
+  assert.equal(config.sessionId, 'm1');
+  assert.match(config.traceId, /^[0-9a-f-]{36}$/);
+});
+
+test('parseConfig converts types and accepts non-string request values', () => {
+  const { config, errors } = parseConfig({
+    ...required,
+    PLATFORM: 'Zoom',
+    HEADLESS: 'off',
+    RECORD_AUDIO: true,
+    RECORDING_SAMPLE_RATE: 24000,
+    BROWSER_ARGS: '--foo, --bar,',
+    VOICE: 'Coral'
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(config.platform, 'zoom');
+  assert.equal(config.headless, false);
+  assert.equal(config.recordAudio, true);
+  assert.equal(config.recordingSampleRate, 24000);
+  assert.deepEqual(config.browserArgs, ['--foo', '--bar']);
+  assert.equal(config.voice, 'coral');
+});
+
+test('parseConfig reports invalid values and falls back to defaults', () => {
+  const { config, errors } = parseConfig({
+    MEETING_ID: 'm1',
+    PLATFORM: 'skype',
+    HEADLESS: 'maybe',
+    NAVIGATION_TIMEOUT_MS: '12.5',
+    RECORDING_SAMPLE_RATE: '96000',
+    LEAVE_WHEN_ALONE_AFTER_MIN: '-1',
+    MEETING_CONTROLS: 'microphone,teleport'
+  });
+  assert.deepEqual(errors.map(({ env }) => env), [
+    'MEETING_URL',
+    'PLATFORM',
+    'LEAVE_WHEN_ALONE_AFTER_MIN',
+    'HEADLESS',
+    'NAVIGATION_TIMEOUT_MS',
+    'MEETING_CONTROLS',
+    'RECORDING_SAMPLE_RATE'
+  ]);
+  assert.match(errors[1].message, /Supported values: .*google_meet/);
+  assert.match(errors[6].message, /between 8000 and 48000/);
+  assert.equal(config.platform, 'google_meet');
+  assert.equal(config.headless, true);
+});
+
+test('validateOverrides rejects unknown options and server settings', () => {
+  assert.deepEqual(validateOverrides({ VOICE: 'echo', RECORD_AUDIO: 'true' }), []);
+
+  const errors = validateOverrides({ FOO: '1', RECORDINGS_DIR: '/tmp', PLATFORM: 'zoom' });
+  assert.equal(errors.length, 3);
+  assert.match(errors[0].message, /Unknown option "FOO"/);
+  assert.match(errors[1].message, /server setting/);
+  assert.match(errors[2].message, /use "platform"/);
+
+  // Browser flags can run commands on the host; backend URLs receive tokens and tool calls
+  for (const name of ['BROWSER_ARGS', 'API_BASE_URL', 'OPENAI_API_KEY', 'OPENAI_REALTIME_WS_URL', 'RT_GATEWAY_URL', 'TOOLS_URL']) {
+    assert.match(validateOverrides({ [name]: 'x' })[0].message, /server setting/, name);
+  }
+});
+
+test('string options reject values that are not strings', () => {
+  const { errors } = parseConfig({ MEETING_ID: 'm1', MEETING_URL: 'https://meet.google.com/abc', INSTRUCTIONS: {} });
+  assert.deepEqual(errors.map(({ message }) => message), ['INSTRUCTIONS must be a string']);
+});
+
+test('describeConfigSchema documents every option', () => {
+  const schema = describeConfigSchema();
+  assert.equal(schema.length, CONFIG_SCHEMA.length);
+  assert.equal(new Set(schema.map(({ env }) => env)).size, schema.length);
+
+  const voice = schema.find(({ key }) => key === 'voice');
+  assert.equal(voice.type, 'enum');
+  assert.equal(voice.default, 'alloy');
+  assert.ok(voice.values.includes('alloy'));
+  assert.equal(voice.requestable, true);
+
+  const sessionId = schema.find(({ key }) => key === 'sessionId');
+  assert.equal(sessionId.default, null);
+  assert.equal(sessionId.requestField, 'sessionId');
+  assert.equal(schema.find(({ key }) => key === 'recordingsDir').scope, 'server');
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MeetingLogStream } = require('../lib/logStream');
+
+test('log stream replays backlog after the cursor and filters by level', () => {
+  const stream = new MeetingLogStream('m1');
+  stream.push({ level: 'info', source: 'bot', message: 'one' });
+  stream.push({ level: 'debug', source: 'bot', message: 'two' });
+  stream.push({ level: 'error', source: 'platform', message: 'three' });
+
+  assert.deepEqual(stream.since(1).map((entry) => entry.message), ['two', 'three']);
+  assert.deepEqual(stream.since(0, 'warn').map((entry) => entry.message), ['three']);
+});
+
+test('log stream subscribers receive live entries until the stream ends', () => {
+  const stream = new MeetingLogStream('m1');
+  stream.push({ level: 'info', message: 'backlog' });
+
+  const received = [];
+  let ended = false;
+  stream.subscribe((entry) => received.push(entry.seq), {
+    since: 0,
+    level: 'info',
+    onEnd: () => { ended = true; }
+  });
+
+  stream.push({ level: 'debug', message: 'filtered' });
+  stream.push({ level: 'warn', message: 'live' });
+  stream.close();
+  stream.push({ level: 'warn', message: 'after close' });
+
+  assert.deepEqual(received, [1, 3]);
+  assert.equal(ended, true);
+  assert.equal(stream.listenerCount('entry'), 0);
+});
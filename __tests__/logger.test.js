@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FileSink, HttpSink, Logger, createSinks } = require('../lib/logger');
+
+function createMemorySink() {
+  const records = [];
+  return { records, write: (record) => records.push(record) };
+}
+
+test('records carry context, lifted correlation fields and serialized errors', () => {
+  const sink = createMemorySink();
+  const logger = new Logger({ level: 'info', context: { subsystem: 'server' }, sinks: [sink] })
+    .child({ traceId: 'req-1' });
+
+  logger.debug('hidden');
+  logger.warn('Cleanup failed', { meetingId: 'm1', error: new Error('boom') });
+
+  assert.equal(sink.records.length, 1);
+  const [record] = sink.records;
+  assert.equal(record.level, 'warn');
+  assert.equal(record.message, 'Cleanup failed');
+  assert.equal(record.subsystem, 'server');
+  assert.equal(record.traceId, 'req-1');
+  assert.equal(record.meetingId, 'm1');
+  assert.equal(record.meta.error.message, 'boom');
+  assert.match(record.meta.error.stack, /boom/);
+  assert.equal('meetingId' in record.meta, false);
+});
+
+test('withSink adds a sink for one logger and its children only', () => {
+  const shared = createMemorySink();
+  const capture = createMemorySink();
+  const root = new Logger({ sinks: [shared] });
+  const meeting = root.withSink(capture).child({ meetingId: 'm1', subsystem: 'platform' });
+
+  meeting.info('Joined');
+  root.info('Server started');
+
+  assert.deepEqual(shared.records.map((record) => record.message), ['Joined', 'Server started']);
+  assert.deepEqual(capture.records.map((record) => [record.meetingId, record.subsystem]), [['m1', 'platform']]);
+});
+
+test('FileSink rotates once the file passes maxBytes', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const filePath = path.join(directory, 'aurray.log');
+  const sink = new FileSink({ filePath, maxBytes: 120, maxFiles: 2 });
+
+  for (let i = 0; i < 8; i++) {
+    sink.write({ level: 'info', message: `line ${i}`, padding: 'x'.repeat(30) });
+  }
+  await sink.close();
+
+  assert.deepEqual(fs.readdirSync(directory).sort(), ['aurray.log', 'aurray.log.1', 'aurray.log.2']);
+  const current = fs.readFileSync(filePath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(current[current.length - 1].message, 'line 7');
+  assert.ok(fs.statSync(filePath).size <= 120);
+});
+
+test('HttpSink posts NDJSON batches and keeps a failed batch for the next flush', async () => {
+  const posts = [];
+  let fail = true;
+  const sink = new HttpSink({
+    url: 'http://collector.test/logs',
+    batchSize: 10,
+    post: async (url, body, config) => {
+      if (fail) throw new Error('connection refused');
+      posts.push({ url, body, contentType: config.headers['Content-Type'] });
+    }
+  });
+  const stderr = process.stderr.write;
+  process.stderr.write = () => true;
+  try {
+    sink.write({ message: 'a' });
+    sink.write({ message: 'b' });
+    await sink.flush();
+    assert.equal(sink.buffer.length, 2);
+
+    fail = false;
+    await sink.close();
+  } finally {
+    process.stderr.write = stderr;
+  }
+
+  assert.equal(posts.length, 1);
+  assert.equal(posts[0].contentType, 'application/x-ndjson');
+  assert.deepEqual(posts[0].body.trim().split('\n').map((line) => JSON.parse(line).message), ['a', 'b']);
+});
+
+test('closing the logger sends every buffered batch', async () => {
+  const posts = [];
+  const sink = new HttpSink({
+    url: 'http://collector.test/logs',
+    batchSize: 2,
+    post: async (url, body) => { posts.push(body.trim().split('\n').length); }
+  });
+  const logger = new Logger({ sinks: [sink, createMemorySink()] });
+  sink.write({ message: 'a' });
+  logger.info('Shutting down');
+  // Only a full batch is sent right away; this one waits for the timer or close
+  logger.info('Bye');
+
+  await logger.close();
+  assert.deepEqual(posts, [2, 1]);
+  assert.equal(sink.buffer.length, 0);
+});
+
+test('createSinks builds the configured sinks and skips http without a URL', () => {
+  const stderr = process.stderr.write;
+  process.stderr.write = () => true;
+  let sinks;
+  try {
+    sinks = createSinks({ LOG_SINKS: 'stdout, http', LOG_FORMAT: 'text' });
+  } finally {
+    process.stderr.write = stderr;
+  }
+  assert.equal(sinks.length, 1);
+  assert.equal(sinks[0].format, 'text');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  captureFilename,
+  listMeetingFiles,
+  meetingDirectory,
+  parseCaptureFilename,
+  pruneMeetingDirectories
+} = require('../lib/meetingFiles');
+
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'meeting-files-'));
+}
+
+test('pruneMeetingDirectories removes directories past the age limit by meetingId', async () => {
+  const directory = createTempDir();
+  try {
+    [['team sync', 10], ['standup', 1]].forEach(([meetingId, ageDays]) => {
+      const meetingDir = path.join(directory, encodeURIComponent(meetingId));
+      fs.mkdirSync(meetingDir);
+      const time = new Date(Date.now() - ageDays * 24 * 60 * 60 * 1000);
+      fs.utimesSync(meetingDir, time, time);
+    });
+
+    assert.deepEqual(await pruneMeetingDirectories(directory, { maxAgeDays: 7 }), ['team sync']);
+    assert.deepEqual(fs.readdirSync(directory), ['standup']);
+    assert.deepEqual(await pruneMeetingDirectories(path.join(directory, 'missing'), { maxAgeDays: 7 }), []);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('listMeetingFiles lists files of one meeting', async () => {
+  const directory = createTempDir();
+  try {
+    fs.mkdirSync(path.join(directory, 'm%201'));
+    fs.writeFileSync(path.join(directory, 'm%201', 'network.har'), '{}');
+    const files = await listMeetingFiles(directory, 'm 1');
+    assert.deepEqual(files.map((file) => [file.filename, file.size]), [['network.har', 2]]);
+    assert.equal(await listMeetingFiles(directory, 'missing'), null);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('captureFilename round-trips meeting ids that contain separators', () => {
+  const filename = captureFilename({
+    kind: 'failure',
+    meetingId: 'team-sync/42',
+    sessionId: '1a2b3c4d-5e6f',
+    reason: 'performJoin',
+    extension: 'png',
+    date: new Date('2024-01-01T10:00:00.123Z')
+  });
+
+  assert.equal(filename, 'failure-2024-01-01T10-00-00-123Z-team-sync%2F42-1a2b3c4d-performJoin.png');
+  assert.deepEqual(parseCaptureFilename(filename), {
+    kind: 'failure',
+    capturedAt: '2024-01-01T10:00:00.123Z',
+    meetingId: 'team-sync/42',
+    session: '1a2b3c4d',
+    reason: 'performJoin',
+    extension: 'png'
+  });
+  assert.equal(parseCaptureFilename('notes.png'), null);
+});
+
+test('meetingDirectory keeps every meetingId inside the root', () => {
+  assert.equal(meetingDirectory('/data/recordings', 'team/sync'), path.join('/data/recordings', 'team%2Fsync'));
+  assert.equal(meetingDirectory('/data/recordings', '..'), path.join('/data/recordings', '%2E%2E'));
+  assert.equal(meetingDirectory('/data/recordings', '.'), path.join('/data/recordings', '%2E'));
+  assert.throws(() => meetingDirectory('/data/recordings', ''), /Invalid meetingId/);
+});
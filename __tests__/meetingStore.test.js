@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMeetingStore } = require('../store');
+
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'meeting-store-'));
+}
+
+test('meeting store records lifecycle and keeps the first outcome', () => {
+  const store = createMeetingStore('memory');
+  store.createMeeting('m1', { platform: 'zoom' });
+  store.recordEvent('m1', 'in_meeting', 'Joined');
+  store.finishMeeting('m1', 'stopped');
+  store.finishMeeting('m1', 'completed');
+
+  const record = store.getMeeting('m1');
+  assert.equal(record.outcome, 'stopped');
+  assert.deepEqual(record.events.map((event) => event.state), ['starting', 'in_meeting', 'finished']);
+  assert.equal(store.listMeetings({ status: 'finished' }).length, 1);
+});
+
+test('meeting store keeps transcript turns and caps them', () => {
+  const store = createMeetingStore('memory', { maxTranscriptTurns: 2 });
+  store.createMeeting('m1');
+  for (const text of ['one', 'two', 'three']) {
+    store.appendTranscript('m1', { role: 'user', text, itemId: null, startedAt: '', endedAt: '' });
+  }
+
+  assert.deepEqual(store.getTranscript('m1').map((turn) => turn.text), ['two', 'three']);
+  assert.equal(store.getTranscript('missing'), null);
+});
+
+test('meeting store keeps transcript turns in start order', () => {
+  const store = createMeetingStore('memory');
+  store.createMeeting('m1');
+  // The user's transcription finishes after the assistant started answering
+  store.appendTranscript('m1', { role: 'assistant', text: 'answer', startedAt: '2024-01-01T10:00:03.000Z', endedAt: '2024-01-01T10:00:05.000Z' });
+  store.appendTranscript('m1', { role: 'user', text: 'question', startedAt: '2024-01-01T10:00:01.000Z', endedAt: '2024-01-01T10:00:02.500Z' });
+
+  assert.deepEqual(store.getTranscript('m1').map((turn) => turn.text), ['question', 'answer']);
+});
+
+test('meeting store prunes the oldest finished meetings', () => {
+  const store = createMeetingStore('memory', { maxMeetings: 1 });
+  store.createMeeting('m1');
+  store.finishMeeting('m1', 'completed');
+  store.records.get('m1').startTime = '2000-01-01T00:00:00.000Z';
+  store.createMeeting('m2');
+  store.finishMeeting('m2', 'completed');
+
+  assert.equal(store.getMeeting('m1'), null);
+  assert.ok(store.getMeeting('m2'));
+});
+
+test('file store survives a restart and marks running meetings interrupted', async () => {
+  const directory = createTempDir();
+  try {
+    const store = createMeetingStore('file', { directory });
+    store.createMeeting('m1', { platform: 'teams' });
+    store.appendLog('m1', 'hello');
+    await store.flush();
+
+    const reloaded = createMeetingStore('file', { directory });
+    const record = reloaded.getMeeting('m1');
+    assert.equal(record.status, 'finished');
+    assert.equal(record.outcome, 'interrupted');
+    assert.deepEqual(reloaded.getLogs('m1'), ['hello']);
+    await reloaded.flush();
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('createMeetingStore throws for unsupported store', () => {
+  assert.throws(() => createMeetingStore('sqlite3'), /Unsupported meeting store/);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MetricsRegistry } = require('../lib/metrics');
+
+test('render emits counters and gauges per label set with escaped values', async () => {
+  const registry = new MetricsRegistry();
+  const failures = registry.counter({ name: 'joins_failed_total', help: 'Failed joins', labelNames: ['platform', 'reason'] });
+  const depth = registry.gauge({ name: 'queue_depth', help: 'Queue depth' });
+
+  failures.inc({ platform: 'zoom', reason: 'performJoin' });
+  failures.inc({ platform: 'zoom', reason: 'performJoin' });
+  failures.inc({ platform: 'teams', reason: 'say "hi"\n' });
+  depth.set({}, 7);
+
+  assert.equal(await registry.render(), [
+    '# HELP joins_failed_total Failed joins',
+    '# TYPE joins_failed_total counter',
+    'joins_failed_total{platform="zoom",reason="performJoin"} 2',
+    'joins_failed_total{platform="teams",reason="say \\"hi\\"\\n"} 1',
+    '# HELP queue_depth Queue depth',
+    '# TYPE queue_depth gauge',
+    'queue_depth 7',
+    ''
+  ].join('\n'));
+});
+
+test('histograms report cumulative buckets, sum and count', async () => {
+  const registry = new MetricsRegistry();
+  const duration = registry.histogram({ name: 'join_seconds', help: 'Join time', labelNames: ['platform'], buckets: [10, 5] });
+
+  duration.observe({ platform: 'zoom' }, 3);
+  duration.observe({ platform: 'zoom' }, 7);
+  duration.observe({ platform: 'zoom' }, 20);
+
+  const lines = (await registry.render()).trim().split('\n').slice(2);
+  assert.deepEqual(lines, [
+    'join_seconds_bucket{platform="zoom",le="5"} 1',
+    'join_seconds_bucket{platform="zoom",le="10"} 2',
+    'join_seconds_bucket{platform="zoom",le="+Inf"} 3',
+    'join_seconds_sum{platform="zoom"} 30',
+    'join_seconds_count{platform="zoom"} 3'
+  ]);
+});
+
+test('collectors add scrape-time families and a failing collector is skipped', async () => {
+  const registry = new MetricsRegistry();
+  registry.addCollector(async () => { throw new Error('bot gone'); });
+  registry.addCollector(() => [{
+    name: 'active_bots',
+    help: 'Running bots',
+    type: 'gauge',
+    samples: [{ labels: { meeting_id: 'm1' }, value: 1 }]
+  }]);
+
+  assert.match(await registry.render(), /^active_bots\{meeting_id="m1"\} 1$/m);
+});
@@ -1,5 +1,8 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const { createPlatformController, PLATFORM_REGISTRY } = require('../platforms');
 
@@ -63,3 +66,252 @@ test('createPlatformController throws for unsupported platform', () => {
     /Unsupported meeting platform/
   );
 });
+
+function createToggleStubPage(attributes, clicks) {
+  const page = createStubPage();
+  page.locator = (selector) => ({
+    first() {
+      return {
+        async waitFor() { return this; },
+        async getAttribute(name) { return (attributes[selector] || {})[name] ?? null; },
+        async click() { clicks.push(selector); }
+      };
+    }
+  });
+  return page;
+}
+
+test('GoogleMeetController.setMicrophone only clicks when state differs', async () => {
+  const GoogleMeetController = PLATFORM_REGISTRY.google_meet;
+  const selector = 'button[aria-label*="Turn off microphone"]';
+  const clicks = [];
+  const page = createToggleStubPage({ [selector]: { 'aria-label': 'Turn off microphone (ctrl + d)' } }, clicks);
+  const controller = new GoogleMeetController(page, { joinTimeoutSec: 1 }, createStubLogger());
+
+  await controller.setMicrophone(true);
+  assert.deepEqual(clicks, []);
+
+  await controller.setMicrophone(false);
+  assert.deepEqual(clicks, [selector]);
+});
+
+test('TeamsController.setMicrophone reads Teams mute labels', async () => {
+  const TeamsController = PLATFORM_REGISTRY.teams;
+  const selector = 'button#mic-button';
+  const clicks = [];
+  const page = createToggleStubPage({ [selector]: { 'aria-label': 'Unmute (Ctrl+Shift+M)' } }, clicks);
+  const controller = new TeamsController(page, { joinTimeoutSec: 1 }, createStubLogger());
+
+  await controller.setMicrophone(false);
+  assert.deepEqual(clicks, []);
+
+  await controller.setMicrophone(true);
+  assert.deepEqual(clicks, [selector]);
+});
+
+test('TeamsController reports presence selectors so removal is detected', () => {
+  const TeamsController = PLATFORM_REGISTRY.teams;
+  const controller = new TeamsController(createStubPage(), { joinTimeoutSec: 1 }, createStubLogger());
+  assert.ok(controller.getMeetingPresenceSelectors().includes('button#hangup-button'));
+});
+
+function createVisibilityStubPage(visible, attributes = {}) {
+  const page = createStubPage();
+  page.locator = (selector) => ({
+    first() {
+      return {
+        async isVisible() { return visible.includes(selector); },
+        async getAttribute(name) { return (attributes[selector] || {})[name] ?? null; },
+        async textContent() { return (attributes[selector] || {}).textContent ?? ''; }
+      };
+    }
+  });
+  return page;
+}
+
+test('detectMeetingEnd reports removal before generic end screens', async () => {
+  const ZoomController = PLATFORM_REGISTRY.zoom;
+  const page = createVisibilityStubPage([
+    'text=/host has removed you/i',
+    'text=/meeting has ended/i'
+  ]);
+  const controller = new ZoomController(page, { joinTimeoutSec: 1 }, createStubLogger());
+
+  assert.equal(await controller.detectMeetingEnd(), 'removed_by_host');
+});
+
+test('getParticipantCount parses the count from the people button label', async () => {
+  const GoogleMeetController = PLATFORM_REGISTRY.google_meet;
+  const selector = 'button[aria-label^="People -"][aria-label*="joined"]';
+  const page = createVisibilityStubPage([selector], { [selector]: { 'aria-label': 'People - 1 joined' } });
+  const controller = new GoogleMeetController(page, { joinTimeoutSec: 1 }, createStubLogger());
+
+  assert.equal(await controller.getParticipantCount(), 1);
+  assert.equal(await new GoogleMeetController(createVisibilityStubPage([]), {}, createStubLogger()).getParticipantCount(), null);
+});
+
+test('getParticipantCount falls back to the text when the label has no number', async () => {
+  const TeamsController = PLATFORM_REGISTRY.teams;
+  const selector = 'button#roster-button';
+  const page = createVisibilityStubPage([selector], { [selector]: { 'aria-label': 'Show participants', textContent: '4' } });
+  const controller = new TeamsController(page, { joinTimeoutSec: 1 }, createStubLogger());
+
+  assert.equal(await controller.getParticipantCount(), 4);
+});
+
+// Elements become visible once `revealedBy` has been clicked; records every action
+function createInteractiveStubPage({ visible = [], revealedBy = {} }, actions) {
+  const shown = new Set(visible);
+  const page = createStubPage();
+  page.locator = (selector) => ({
+    first() {
+      return {
+        async waitFor() {
+          if (!shown.has(selector)) throw new Error(`not visible: ${selector}`);
+        },
+        async isVisible() { return shown.has(selector); },
+        async click() {
+          actions.push(['click', selector]);
+          (revealedBy[selector] || []).forEach((revealed) => shown.add(revealed));
+        },
+        async fill(text) { actions.push(['fill', selector, text]); },
+        async press(key) { actions.push(['press', selector, key]); }
+      };
+    }
+  });
+  return page;
+}
+
+test('sendChatMessage opens the chat panel, types and sends', async () => {
+  const GoogleMeetController = PLATFORM_REGISTRY.google_meet;
+  const actions = [];
+  const page = createInteractiveStubPage({
+    visible: ['button[aria-label*="Chat with everyone"]'],
+    revealedBy: {
+      'button[aria-label*="Chat with everyone"]': ['textarea[aria-label*="Send a message"]', 'button[aria-label*="Send a message"]']
+    }
+  }, actions);
+  const controller = new GoogleMeetController(page, {}, createStubLogger());
+
+  await controller.sendChatMessage('Notes: https://example.com');
+  assert.deepEqual(actions, [
+    ['click', 'button[aria-label*="Chat with everyone"]'],
+    ['click', 'textarea[aria-label*="Send a message"]'],
+    ['fill', 'textarea[aria-label*="Send a message"]', 'Notes: https://example.com'],
+    ['click', 'button[aria-label*="Send a message"]']
+  ]);
+});
+
+test('admitParticipant clicks the named admit button and fails when nobody matches', async () => {
+  const TeamsController = PLATFORM_REGISTRY.teams;
+  const admitSarah = '[role="treeitem"]:has-text("Sarah") button[aria-label*="Admit"]';
+  const actions = [];
+  const page = createInteractiveStubPage({
+    visible: ['button#roster-button'],
+    revealedBy: { 'button#roster-button': [admitSarah] }
+  }, actions);
+  const controller = new TeamsController(page, {}, createStubLogger());
+
+  await controller.admitParticipant('Sarah');
+  assert.deepEqual(actions, [['click', 'button#roster-button'], ['click', admitSarah]]);
+
+  await assert.rejects(controller.admitParticipant('Bob'), /No one named "Bob" is waiting/);
+});
+
+test('startCaptionCapture walks the enable steps and installs the observer', async () => {
+  const TeamsController = PLATFORM_REGISTRY.teams;
+  const actions = [];
+  const page = createInteractiveStubPage({
+    visible: ['#callingButtons-showMoreBtn'],
+    revealedBy: {
+      '#callingButtons-showMoreBtn': ['[data-tid="LanguageSpeechMenuControl-id"]'],
+      '[data-tid="LanguageSpeechMenuControl-id"]': ['[data-tid="closed-captions-button"]']
+    }
+  }, actions);
+  const bindings = {};
+  page.exposeBinding = async (name, handler) => { bindings[name] = handler; };
+  page.evaluate = async (fn, options) => { actions.push(['evaluate', fn.name, options.binding]); };
+  const controller = new TeamsController(page, {}, createStubLogger());
+
+  const captions = [];
+  await controller.startCaptionCapture((caption) => captions.push(caption));
+  bindings.aurrayEmitCaption(null, { id: 1, speaker: 'Sarah', text: 'Hello' });
+
+  assert.deepEqual(actions, [
+    ['click', '#callingButtons-showMoreBtn'],
+    ['click', '[data-tid="LanguageSpeechMenuControl-id"]'],
+    ['click', '[data-tid="closed-captions-button"]'],
+    ['evaluate', 'installCaptionObserver', 'aurrayEmitCaption']
+  ]);
+  assert.deepEqual(captions, [{ id: 1, speaker: 'Sarah', text: 'Hello' }]);
+});
+
+test('startCaptionCapture fails when captions cannot be turned on', async () => {
+  const GoogleMeetController = PLATFORM_REGISTRY.google_meet;
+  const page = createInteractiveStubPage({}, []);
+  page.keyboard = { async press() {} };
+  const controller = new GoogleMeetController(page, {}, createStubLogger());
+
+  await assert.rejects(controller.startCaptionCapture(() => {}), /Could not turn on live captions/);
+});
+
+test('getActiveSpeakers reads names from tiles showing the speaking indicator', async (t) => {
+  const tile = (name, speaking) => ({
+    matches: () => false,
+    querySelector: (selector) => {
+      if (selector === 'div.IisKdb:not(.gjg47c),[data-audio-level]:not([data-audio-level="0"])') return speaking ? {} : null;
+      if (selector === '[data-self-name]') return { textContent: ` ${name} ` };
+      return null;
+    }
+  });
+  global.document = { querySelectorAll: () => [tile('Sarah', true), tile('Bob', false)] };
+  t.after(() => { delete global.document; });
+
+  const page = createStubPage();
+  page.evaluate = async (fn, arg) => fn(arg);
+  const controller = createPlatformController('google_meet', page, {}, createStubLogger());
+  assert.deepEqual(await controller.getActiveSpeakers(), ['Sarah']);
+
+  controller.getSpeakerSelectors = () => ({ tiles: [], name: [], speaking: [] });
+  assert.deepEqual(await controller.getActiveSpeakers(), []);
+});
+
+test('a failing join step captures a screenshot, frame HTML and a summary named by meeting', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'failure-artifacts-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const handlers = {};
+  const page = createStubPage();
+  page.on = (event, handler) => { handlers[event] = handler; };
+  page.url = () => 'https://zoom.us/wc/join/123';
+  page.screenshot = async ({ path: filepath }) => fs.writeFileSync(filepath, 'png');
+  page.frames = () => [
+    { url: () => 'https://zoom.us/wc/join/123', content: async () => '<html>main</html>' },
+    { url: () => 'https://zoom.us/wc/frame', content: async () => { throw new Error('detached'); } }
+  ];
+
+  const controller = createPlatformController('zoom', page, {
+    meetingId: 'zoom-1',
+    sessionId: 'abcdef123456',
+    screenshotsDir: directory
+  }, createStubLogger());
+  controller.beforeJoin = async () => {};
+  controller.performJoin = async () => { throw new Error('Join button not found'); };
+  handlers.console({ type: () => 'error', text: () => 'WebSocket closed' });
+
+  await assert.rejects(controller.joinMeeting(), /Join button not found/);
+
+  const files = fs.readdirSync(directory).sort();
+  assert.deepEqual(files.map((file) => path.extname(file)), ['.html', '.json', '.png']);
+  assert.ok(files.every((file) => file.startsWith('failure-') && file.endsWith('-zoom-1-abcdef12-performJoin' + path.extname(file))));
+
+  const html = fs.readFileSync(path.join(directory, files[0]), 'utf8');
+  assert.match(html, /<!-- frame: https:\/\/zoom.us\/wc\/join\/123 -->\n<html>main<\/html>/);
+  assert.match(html, /<!-- detached -->/);
+
+  const summary = JSON.parse(fs.readFileSync(path.join(directory, files[1]), 'utf8'));
+  assert.equal(summary.step, 'performJoin');
+  assert.equal(summary.error, 'Join button not found');
+  assert.equal(summary.url, 'https://zoom.us/wc/join/123');
+  assert.deepEqual(summary.console.map((entry) => entry.text), ['WebSocket closed']);
+});
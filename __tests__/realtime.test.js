@@ -0,0 +1,218 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const WebSocket = require('ws');
+
+const { createRealtimeProvider, REALTIME_PROVIDER_REGISTRY } = require('../realtime');
+const { toWebSocketUrl } = require('../realtime/base');
+
+function createStubLogger() {
+  return {
+    info() {},
+    warn() {},
+    error() {},
+    debug() {}
+  };
+}
+
+async function startServer() {
+  const wss = new WebSocket.Server({ port: 0 });
+  await once(wss, 'listening');
+  const connections = [];
+  wss.on('connection', (socket, req) => connections.push({ socket, url: req.url }));
+  return {
+    url: `ws://127.0.0.1:${wss.address().port}`,
+    connections,
+    close: () => new Promise((resolve) => {
+      wss.clients.forEach((client) => client.terminate());
+      wss.close(resolve);
+    })
+  };
+}
+
+test('registry exposes openai and gateway providers and rejects unknown ones', () => {
+  assert.deepEqual(Object.keys(REALTIME_PROVIDER_REGISTRY), ['openai', 'gateway']);
+  assert.throws(() => createRealtimeProvider('nope', {}, createStubLogger()), /Unsupported realtime provider/);
+});
+
+test('toWebSocketUrl normalizes schemes and bind addresses', () => {
+  assert.equal(toWebSocketUrl('https://api.example.com/rt'), 'wss://api.example.com/rt');
+  assert.equal(toWebSocketUrl('0.0.0.0:8000'), 'ws://localhost:8000');
+});
+
+test('openai provider configures the session and maps protocol events', async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const provider = createRealtimeProvider('openai', {
+    openaiRealtimeWsUrl: server.url,
+    instructions: 'Be brief',
+    voice: 'alloy'
+  }, createStubLogger());
+  provider.setTools([{ name: 'lookup', description: 'Look something up', parameters: { type: 'object', properties: {} } }]);
+  await provider.connect();
+  assert.equal(provider.sampleRate, 24000);
+  assert.ok(provider.isConnected());
+
+  const { socket } = server.connections[0];
+  const [sessionUpdate] = await once(socket, 'message');
+  const { session } = JSON.parse(sessionUpdate);
+  assert.equal(session.tool_choice, 'auto');
+  assert.deepEqual(session.tools[0], { type: 'function', name: 'lookup', description: 'Look something up', parameters: { type: 'object', properties: {} } });
+
+  provider.sendAudio(Buffer.from([1, 2, 3, 4]));
+  const [append] = await once(socket, 'message');
+  assert.deepEqual(JSON.parse(append), { type: 'input_audio_buffer.append', audio: 'AQIDBA==' });
+
+  const audio = once(provider, 'audio');
+  const transcript = once(provider, 'transcript');
+  const interrupt = once(provider, 'interrupt');
+  socket.send(JSON.stringify({ type: 'response.output_audio.delta', delta: 'AQIDBA==' }));
+  socket.send(JSON.stringify({ type: 'input_audio_buffer.speech_started', item_id: 'item_1' }));
+  socket.send(JSON.stringify({ type: 'input_audio_buffer.speech_stopped', item_id: 'item_1' }));
+  socket.send(JSON.stringify({ type: 'conversation.item.input_audio_transcription.completed', item_id: 'item_1', transcript: 'hello' }));
+  socket.send(JSON.stringify({ type: 'response.interrupted' }));
+  assert.deepEqual((await audio)[0], Buffer.from([1, 2, 3, 4]));
+  const [turn] = await transcript;
+  assert.equal(turn.role, 'user');
+  assert.equal(turn.text, 'hello');
+  assert.equal(turn.itemId, 'item_1');
+  assert.ok(Date.parse(turn.startedAt) <= Date.parse(turn.endedAt));
+  await interrupt;
+  assert.equal(provider.turnTimings.has('item_1'), false);
+
+  // Assistant turns last as long as their audio plays: 48000 bytes at 24kHz is one second
+  const reply = once(provider, 'transcript');
+  socket.send(JSON.stringify({ type: 'response.output_audio.delta', item_id: 'item_2', delta: Buffer.alloc(48000).toString('base64') }));
+  socket.send(JSON.stringify({ type: 'response.output_audio_transcript.done', item_id: 'item_2', transcript: 'hi there' }));
+  const [assistantTurn] = await reply;
+  assert.equal(assistantTurn.role, 'assistant');
+  assert.ok(Date.parse(assistantTurn.endedAt) - Date.parse(assistantTurn.startedAt) >= 1000);
+
+  const toolCall = once(provider, 'tool_call');
+  socket.send(JSON.stringify({ type: 'response.function_call_arguments.done', call_id: 'c1', name: 'lookup', arguments: '{}' }));
+  assert.deepEqual((await toolCall)[0], { callId: 'c1', name: 'lookup', arguments: '{}' });
+
+  const toolResult = new Promise((resolve) => {
+    const messages = [];
+    socket.on('message', (data) => {
+      messages.push(JSON.parse(data));
+      if (messages.length === 2) resolve(messages);
+    });
+  });
+  provider.sendToolResult('c1', { found: true });
+  provider.sendToolResult('c2', { found: false });
+  const [output, second] = await toolResult;
+  // Outputs go out without a response.create; the bot asks once for all of them
+  assert.deepEqual(output.item, { type: 'function_call_output', call_id: 'c1', output: '{"found":true}' });
+  assert.deepEqual(second.item, { type: 'function_call_output', call_id: 'c2', output: '{"found":false}' });
+
+  const closed = once(provider, 'close');
+  socket.close(1011, 'server error');
+  assert.deepEqual((await closed)[0], { code: 1011, reason: 'server error', recoverable: true });
+});
+
+test('openai provider applies session settings and reports text-only replies', async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const provider = createRealtimeProvider('openai', {
+    openaiRealtimeWsUrl: server.url,
+    realtimeSession: JSON.stringify({
+      turnDetection: { type: 'semantic_vad', eagerness: 'low' },
+      transcription: { model: 'gpt-4o-transcribe', language: 'de' },
+      temperature: 0.7,
+      modalities: ['text']
+    })
+  }, createStubLogger());
+  await provider.connect();
+
+  const { socket } = server.connections[0];
+  const [sessionUpdate] = await once(socket, 'message');
+  const { session } = JSON.parse(sessionUpdate);
+  assert.deepEqual(session.turn_detection, { type: 'semantic_vad', eagerness: 'low' });
+  assert.deepEqual(session.input_audio_transcription, { model: 'gpt-4o-transcribe', language: 'de' });
+  assert.equal(session.temperature, 0.7);
+  assert.deepEqual(session.modalities, ['text']);
+
+  const reply = once(provider, 'transcript');
+  socket.send(JSON.stringify({ type: 'response.output_text.done', item_id: 'item_3', text: 'Noted.' }));
+  const [turn] = await reply;
+  assert.equal(turn.role, 'assistant');
+  assert.equal(turn.text, 'Noted.');
+
+  // Mid-meeting changes are made to the config and re-sent in full
+  provider.config.instructions = 'Facilitate the discussion';
+  provider.config.realtimeSession = JSON.stringify({ modalities: ['audio', 'text'] });
+  provider.updateSession();
+  const [update] = await once(socket, 'message');
+  const updated = JSON.parse(update).session;
+  assert.equal(updated.instructions, 'Facilitate the discussion');
+  assert.deepEqual(updated.modalities, ['audio', 'text']);
+  assert.equal(updated.turn_detection.type, 'server_vad');
+
+  provider.addConversationItem('Agenda: budget, hiring', 'system');
+  const [item] = await once(socket, 'message');
+  assert.deepEqual(JSON.parse(item), {
+    type: 'conversation.item.create',
+    item: { type: 'message', role: 'system', content: [{ type: 'input_text', text: 'Agenda: budget, hiring' }] }
+  });
+  const eventId = provider.createResponse('Say: five minutes left');
+  const [response] = await once(socket, 'message');
+  assert.deepEqual(JSON.parse(response), { type: 'response.create', event_id: eventId, response: { instructions: 'Say: five minutes left' } });
+
+  // A rejected request is reported with its event id
+  const rejected = once(provider, 'backend_error');
+  socket.send(JSON.stringify({
+    type: 'error',
+    error: { type: 'invalid_request_error', code: 'conversation_already_has_active_response', message: 'busy', event_id: eventId }
+  }));
+  const [error] = await rejected;
+  assert.equal(error.eventId, eventId);
+  assert.equal(error.code, 'conversation_already_has_active_response');
+
+  const started = once(provider, 'response_started');
+  const done = once(provider, 'response_done');
+  socket.send(JSON.stringify({ type: 'response.created' }));
+  socket.send(JSON.stringify({ type: 'response.done' }));
+  await started;
+  await done;
+  provider.close();
+});
+
+test('gateway provider registers and exchanges binary PCM', async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const provider = createRealtimeProvider('gateway', {
+    rtGatewayUrl: `${server.url.replace('ws://', 'http://')}/ignored`,
+    sessionId: 'session-1'
+  }, createStubLogger());
+  await provider.connect();
+  assert.equal(provider.sampleRate, 16000);
+
+  const { socket, url } = server.connections[0];
+  assert.equal(url, '/ws/bot/session-1');
+  const [register] = await once(socket, 'message');
+  assert.deepEqual(JSON.parse(register), { type: 'register', sessionId: 'session-1' });
+
+  provider.sendAudio(Buffer.from([5, 6]));
+  const [frame, isBinary] = await once(socket, 'message');
+  assert.equal(isBinary, true);
+  assert.deepEqual(frame, Buffer.from([5, 6]));
+
+  const pong = once(socket, 'message');
+  socket.send(JSON.stringify({ type: 'ping' }));
+  assert.deepEqual(JSON.parse((await pong)[0]), { type: 'pong' });
+
+  const audio = once(provider, 'audio');
+  socket.send(Buffer.from([7, 8]));
+  assert.deepEqual((await audio)[0], Buffer.from([7, 8]));
+
+  // A deliberate close is not reported as a disconnect
+  let closeEvents = 0;
+  provider.on('close', () => closeEvents++);
+  provider.close();
+  await once(socket, 'close');
+  assert.equal(closeEvents, 0);
+});
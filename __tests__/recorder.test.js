@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MeetingRecorder, pruneRecordings, readRecording } = require('../lib/recorder');
+
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+}
+
+function pcm16(...samples) {
+  return Buffer.from(Int16Array.from(samples).buffer);
+}
+
+function readSamples(file) {
+  const data = fs.readFileSync(file);
+  assert.equal(data.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(data.readUInt32LE(40), data.length - 44);
+  return Array.from(new Int16Array(data.buffer.slice(data.byteOffset + 44, data.byteOffset + data.length)));
+}
+
+test('recorder aligns both directions to the clock and mixes them', async () => {
+  const directory = createTempDir();
+  let now = 0;
+  try {
+    const recorder = new MeetingRecorder({ directory, meetingId: 'm 1', sampleRate: 8, now: () => now });
+    recorder.start();
+    recorder.writeInput(pcm16(100, 100));
+    // Output starts a second in: eight samples of silence come first
+    now = 1000;
+    recorder.writeOutput(pcm16(30000, 30000));
+    now = 2000;
+    const metadata = await recorder.close({ speakers: [{ speaker: 'Sarah' }] });
+
+    const meetingDir = path.join(directory, encodeURIComponent('m 1'));
+    assert.deepEqual(readSamples(path.join(meetingDir, 'input.wav')), [100, 100]);
+    assert.deepEqual(readSamples(path.join(meetingDir, 'output.wav')), [0, 0, 0, 0, 0, 0, 0, 0, 30000, 30000]);
+    const mixed = readSamples(path.join(meetingDir, 'mixed.wav'));
+    assert.deepEqual(mixed.slice(0, 2), [100, 100]);
+    assert.deepEqual(mixed.slice(8), [30000, 30000]);
+    assert.equal(metadata.speakers[0].speaker, 'Sarah');
+
+    const recording = await readRecording(directory, 'm 1');
+    assert.deepEqual(recording.files.map((file) => file.filename), ['input.wav', 'output.wav', 'mixed.wav']);
+    assert.equal(recording.metadata.sampleRate, 8);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('recorder stops writing after the maximum duration', async () => {
+  const directory = createTempDir();
+  let now = 0;
+  try {
+    const recorder = new MeetingRecorder({ directory, meetingId: 'm1', sampleRate: 8, maxDurationSec: 1, now: () => now });
+    recorder.start();
+    recorder.writeInput(pcm16(1));
+    now = 1500;
+    recorder.writeInput(pcm16(2));
+    const metadata = await recorder.close();
+    assert.equal(metadata.truncated, true);
+    assert.deepEqual(readSamples(path.join(directory, 'm1', 'input.wav')), [1]);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('pruneRecordings keeps the newest meetings and active ones', async () => {
+  const directory = createTempDir();
+  try {
+    ['old', 'active', 'new'].forEach((meetingId, index) => {
+      fs.mkdirSync(path.join(directory, meetingId));
+      const time = new Date(Date.now() - (3 - index) * 60000);
+      fs.utimesSync(path.join(directory, meetingId), time, time);
+    });
+
+    const removed = await pruneRecordings(directory, { maxMeetings: 1, keep: ['active'] });
+    assert.deepEqual(removed, ['old']);
+    assert.deepEqual(fs.readdirSync(directory).sort(), ['active', 'new']);
+    assert.deepEqual(await pruneRecordings(path.join(directory, 'missing'), { maxMeetings: 1 }), []);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
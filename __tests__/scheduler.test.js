@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MeetingScheduler, parseScheduleTiming } = require('../lib/scheduler');
+
+function createScheduler(overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+  const calls = { started: [], stopped: [], reasons: [] };
+  const active = new Set();
+  const scheduler = new MeetingScheduler({
+    filePath: path.join(dir, 'schedules.json'),
+    leadTimeSec: 60,
+    onStart: (schedule) => {
+      calls.started.push(schedule.meetingId);
+      active.add(schedule.meetingId);
+      return { statusCode: 200, payload: {} };
+    },
+    onStop: async (schedule, reason) => {
+      calls.stopped.push(schedule.meetingId);
+      calls.reasons.push(reason);
+      active.delete(schedule.meetingId);
+    },
+    isActive: (schedule) => active.has(schedule.meetingId),
+    ...overrides
+  });
+  return { scheduler, calls, active, dir };
+}
+
+const request = { meetingId: 'm1', meetingUrl: 'https://meet.google.com/abc-defg-hij' };
+
+test('parseScheduleTiming derives leaveAt from maxDurationMin and validates order', () => {
+  const timing = parseScheduleTiming({ joinAt: '2030-01-01T10:00:00Z', maxDurationMin: 30 });
+  assert.equal(timing.leaveAt, '2030-01-01T10:30:00.000Z');
+
+  assert.ok(parseScheduleTiming({ joinAt: 'not a date' }).error);
+  assert.ok(parseScheduleTiming({ joinAt: '2030-01-01T10:00:00Z', leaveAt: '2030-01-01T09:00:00Z' }).error);
+});
+
+test('scheduler launches within the lead time and stops at leaveAt', async () => {
+  const { scheduler, calls } = createScheduler();
+  const joinAt = Date.parse('2030-01-01T10:00:00Z');
+  const { schedule } = scheduler.create(request, { joinAt: '2030-01-01T10:00:00Z', maxDurationMin: 30 }, null);
+
+  await scheduler.tick(joinAt - 120 * 1000);
+  assert.deepEqual(calls.started, []);
+
+  await scheduler.tick(joinAt - 30 * 1000);
+  assert.deepEqual(calls.started, ['m1']);
+  assert.equal(scheduler.get(schedule.scheduleId).status, 'started');
+
+  await scheduler.tick(joinAt + 31 * 60 * 1000);
+  assert.deepEqual(calls.stopped, ['m1']);
+  assert.deepEqual(calls.reasons, ['scheduled_end']);
+  assert.equal(scheduler.get(schedule.scheduleId).status, 'completed');
+});
+
+test('scheduler stops a bot once while its onStop is slow and cancels record the reason', async () => {
+  let finishStop;
+  const reasons = [];
+  const { scheduler, calls } = createScheduler({
+    onStop: (schedule, reason) => {
+      reasons.push(reason);
+      return new Promise((resolve) => { finishStop = resolve; });
+    }
+  });
+  const joinAt = Date.parse('2030-01-01T10:00:00Z');
+  const { schedule } = scheduler.create(request, { joinAt: '2030-01-01T10:00:00Z', maxDurationMin: 30 }, null);
+  await scheduler.tick(joinAt);
+  assert.deepEqual(calls.started, ['m1']);
+
+  const firstTick = scheduler.tick(joinAt + 31 * 60 * 1000);
+  await scheduler.tick(joinAt + 31 * 60 * 1000 + 5000);
+  assert.equal((await scheduler.cancel(schedule.scheduleId)).statusCode, 409);
+  assert.deepEqual(reasons, ['scheduled_end']);
+  finishStop();
+  await firstTick;
+  assert.equal(scheduler.get(schedule.scheduleId).status, 'completed');
+
+  // Cancelling a running schedule stops its bot as cancelled
+  const other = createScheduler();
+  const created = other.scheduler.create(request, { joinAt: '2030-01-01T10:00:00Z' }, null);
+  await other.scheduler.tick(joinAt);
+  assert.equal((await other.scheduler.cancel(created.schedule.scheduleId)).schedule.status, 'cancelled');
+  assert.deepEqual(other.calls.reasons, ['cancelled']);
+});
+
+test('scheduler retries a start rejected for capacity after retryAfter', async () => {
+  let attempts = 0;
+  const { scheduler } = createScheduler({
+    onStart: () => {
+      attempts++;
+      return attempts === 1
+        ? { statusCode: 429, payload: { message: 'full', retryAfter: 30 } }
+        : { statusCode: 202, payload: {} };
+    }
+  });
+  const joinAt = Date.parse('2030-01-01T10:00:00Z');
+  const { schedule } = scheduler.create(request, { joinAt: '2030-01-01T10:00:00Z' }, null);
+
+  await scheduler.tick(joinAt);
+  assert.equal(schedule.status, 'scheduled');
+  await scheduler.tick(joinAt + 10 * 1000);
+  assert.equal(attempts, 1);
+  await scheduler.tick(joinAt + 31 * 1000);
+  assert.equal(schedule.status, 'started');
+});
+
+test('schedules persist and started ones are marked interrupted on reload', async () => {
+  const { scheduler, dir } = createScheduler();
+  const { schedule } = scheduler.create(request, { joinAt: '2030-01-01T10:00:00Z' }, 'acme');
+  const pending = scheduler.create({ ...request, meetingId: 'm2' }, { joinAt: '2030-01-02T10:00:00Z' }, 'acme').schedule;
+  await scheduler.tick(Date.parse('2030-01-01T10:00:00Z'));
+
+  const reloaded = new MeetingScheduler({
+    filePath: path.join(dir, 'schedules.json'),
+    onStart: () => ({ statusCode: 200, payload: {} }),
+    onStop: async () => {},
+    isActive: () => false
+  });
+  assert.equal(reloaded.get(schedule.scheduleId).status, 'interrupted');
+  assert.equal(reloaded.get(pending.scheduleId).status, 'scheduled');
+  assert.equal(reloaded.list({ tenant: 'acme' }).length, 2);
+});
+
+test('scheduler rejects duplicates and only updates or cancels pending schedules', async () => {
+  const { scheduler } = createScheduler();
+  const { schedule } = scheduler.create(request, { joinAt: '2030-01-01T10:00:00Z' }, null);
+  assert.equal(scheduler.create(request, { joinAt: '2030-01-01T11:00:00Z' }, null).statusCode, 409);
+
+  const updated = scheduler.update(schedule.scheduleId, { joinAt: '2030-01-01T12:00:00Z', botName: 'Notes' });
+  assert.equal(updated.schedule.joinAt, '2030-01-01T12:00:00.000Z');
+  assert.equal(updated.schedule.request.botName, 'Notes');
+
+  assert.equal((await scheduler.cancel(schedule.scheduleId)).schedule.status, 'cancelled');
+  assert.equal(scheduler.update(schedule.scheduleId, { botName: 'x' }).statusCode, 409);
+});
+
+test('scheduler marks a schedule missed when it could not start before leaveAt', async () => {
+  const { scheduler, calls } = createScheduler();
+  const { schedule } = scheduler.create(request, { joinAt: '2030-01-01T10:00:00Z', maxDurationMin: 10 }, null);
+  await scheduler.tick(Date.parse('2030-01-01T10:15:00Z'));
+  assert.equal(schedule.status, 'missed');
+  assert.deepEqual(calls.started, []);
+});
+
+test('scheduler rejects requests that fail validateRequest on create and update', () => {
+  const { scheduler } = createScheduler({
+    validateRequest: (body) => (body.VOICE === 'robot' ? 'Unsupported VOICE "robot"' : null)
+  });
+  const rejected = scheduler.create({ ...request, VOICE: 'robot' }, { joinAt: '2030-01-01T10:00:00Z' }, null);
+  assert.equal(rejected.statusCode, 400);
+  assert.match(rejected.error, /VOICE/);
+
+  const { schedule } = scheduler.create(request, { joinAt: '2030-01-01T10:00:00Z' }, null);
+  assert.equal(scheduler.update(schedule.scheduleId, { VOICE: 'robot' }).statusCode, 400);
+  assert.equal(scheduler.get(schedule.scheduleId).request.VOICE, undefined);
+});
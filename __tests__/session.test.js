@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_SESSION_SETTINGS, mergeSessionSettings, parseSessionSettings, toOpenAISessionFields } = require('../realtime/session');
+
+test('parseSessionSettings keeps the previous defaults when no session is given', () => {
+  const { settings } = parseSessionSettings(undefined);
+  assert.deepEqual(settings, DEFAULT_SESSION_SETTINGS);
+  assert.deepEqual(toOpenAISessionFields(settings), {
+    modalities: ['audio', 'text'],
+    input_audio_transcription: { model: 'whisper-1' },
+    turn_detection: { type: 'server_vad', threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 500 }
+  });
+});
+
+test('parseSessionSettings merges server VAD tuning with defaults', () => {
+  const { settings } = parseSessionSettings(JSON.stringify({
+    turnDetection: { threshold: 0.8, silenceDurationMs: 900, interruptResponse: false },
+    maxResponseOutputTokens: 'inf'
+  }));
+  const fields = toOpenAISessionFields(settings, { transcribeInput: false });
+  assert.deepEqual(fields.turn_detection, {
+    type: 'server_vad',
+    threshold: 0.8,
+    prefix_padding_ms: 300,
+    silence_duration_ms: 900,
+    interrupt_response: false
+  });
+  assert.equal(fields.input_audio_transcription, null);
+  assert.equal(fields.max_response_output_tokens, 'inf');
+});
+
+test('addressed mode turns off automatic responses', () => {
+  const { settings } = parseSessionSettings({ turnDetection: { type: 'semantic_vad', createResponse: true } });
+  assert.equal(toOpenAISessionFields(settings, { autoRespond: false }).turn_detection.create_response, false);
+  assert.equal(toOpenAISessionFields(settings).turn_detection.create_response, true);
+});
+
+test('turn detection can be disabled', () => {
+  const { settings } = parseSessionSettings({ turnDetection: { type: 'none' } });
+  assert.equal(toOpenAISessionFields(settings).turn_detection, null);
+});
+
+test('parseSessionSettings rejects invalid settings', () => {
+  const invalid = [
+    ['not json', /valid JSON/],
+    [[], /must be an object/],
+    [{ vad: {} }, /Unknown session fields: vad/],
+    [{ turnDetection: { type: 'push_to_talk' } }, /Unsupported session.turnDetection.type/],
+    [{ turnDetection: { type: 'semantic_vad', threshold: 0.5 } }, /Unknown session.turnDetection fields/],
+    [{ turnDetection: { threshold: 2 } }, /between 0 and 1/],
+    [{ turnDetection: { type: 'semantic_vad', eagerness: 'eager' } }, /eagerness/],
+    [{ transcription: { model: 'whisper-2' } }, /transcription.model/],
+    [{ transcription: { language: 'english' } }, /ISO-639-1/],
+    [{ temperature: 2 }, /between 0.6 and 1.2/],
+    [{ maxResponseOutputTokens: 0 }, /or "inf"/],
+    [{ modalities: ['audio'] }, /must include "text"/],
+    [{ modalities: ['video'] }, /modalities must be/]
+  ];
+  for (const [value, pattern] of invalid) {
+    assert.match(parseSessionSettings(value).error, pattern, JSON.stringify(value));
+  }
+});
+
+test('mergeSessionSettings applies partial changes to the current settings', () => {
+  const { settings: current } = parseSessionSettings({
+    turnDetection: { type: 'semantic_vad', eagerness: 'low' },
+    transcription: { model: 'gpt-4o-transcribe', language: 'en' },
+    temperature: 0.8
+  });
+
+  const { settings } = mergeSessionSettings(current, {
+    turnDetection: { eagerness: 'high' },
+    transcription: { language: 'fr' }
+  });
+  assert.deepEqual(settings.turnDetection, { type: 'semantic_vad', eagerness: 'high' });
+  assert.deepEqual(settings.transcription, { model: 'gpt-4o-transcribe', language: 'fr' });
+  assert.equal(settings.temperature, 0.8);
+
+  // Switching the type replaces the block, so semantic fields do not leak into server VAD
+  const switched = mergeSessionSettings(current, { turnDetection: { type: 'server_vad', threshold: 0.9 } });
+  assert.deepEqual(switched.settings.turnDetection, { type: 'server_vad', threshold: 0.9, prefixPaddingMs: 300, silenceDurationMs: 500 });
+
+  assert.match(mergeSessionSettings(current, { temperature: 3 }).error, /temperature/);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SpeakerTracker } = require('../platforms/speakers');
+
+test('tracks are attributed once a name keeps lighting up with them', () => {
+  const tracker = new SpeakerTracker({ minVotes: 2 });
+  tracker.setActiveNames(['Sarah'], 0);
+  assert.equal(tracker.updateLevels([{ key: 'ssrc:1', rms: 0.2 }, { key: 'ssrc:2', rms: 0 }], 100), 'Sarah');
+  assert.deepEqual(tracker.getAssignments(), {});
+  tracker.updateLevels([{ key: 'ssrc:1', rms: 0.3 }], 300);
+  assert.deepEqual(tracker.getAssignments(), { 'ssrc:1': 'Sarah' });
+
+  // Two people highlighted at once: no vote, but the known track still names its speaker
+  tracker.setActiveNames(['Sarah', 'Bob'], 400);
+  assert.equal(tracker.updateLevels([{ key: 'ssrc:1', rms: 0.2 }], 500), 'Sarah');
+  assert.equal(tracker.updateLevels([{ key: 'ssrc:2', rms: 0.2 }], 600), null);
+});
+
+test('stale UI indicators do not vote', () => {
+  const tracker = new SpeakerTracker({ minVotes: 1 });
+  tracker.setActiveNames(['Sarah'], 0);
+  tracker.updateLevels([{ key: 'ssrc:1', rms: 0.2 }], 5000);
+  assert.deepEqual(tracker.getAssignments(), {});
+});
+
+test('turns are tagged with whoever was heard most and segments merge', () => {
+  const tracker = new SpeakerTracker({ minVotes: 1 });
+  tracker.setActiveNames(['Sarah'], 0);
+  tracker.updateLevels([{ key: 'ssrc:1', rms: 0.2 }], 0);
+  tracker.updateLevels([{ key: 'ssrc:1', rms: 0.2 }], 200);
+  tracker.setActiveNames(['Bob'], 400);
+  tracker.updateLevels([{ key: 'ssrc:2', rms: 0.2 }], 400);
+
+  assert.equal(tracker.speakerBetween(0, 450), 'Sarah');
+  assert.equal(tracker.speakerBetween(300, 450), 'Bob');
+  assert.equal(tracker.speakerBetween(1000, 2000), null);
+  assert.deepEqual(tracker.getSegments().map((segment) => segment.speaker), ['Sarah', 'Bob']);
+});
+
+test('segments outlive the timeline retention window', () => {
+  const tracker = new SpeakerTracker({ minVotes: 1, retentionMs: 1000 });
+  tracker.setActiveNames(['Sarah'], 0);
+  tracker.updateLevels([{ key: 'ssrc:1', rms: 0.2 }], 0);
+  tracker.updateLevels([{ key: 'ssrc:1', rms: 0.2 }], 500);
+  tracker.setActiveNames(['Bob'], 3000);
+  tracker.updateLevels([{ key: 'ssrc:2', rms: 0.2 }], 3000);
+  tracker.updateLevels([{ key: 'ssrc:2', rms: 0.2 }], 5000);
+
+  // Old samples no longer answer speakerBetween, but the recording keeps every segment
+  assert.equal(tracker.speakerBetween(0, 600), null);
+  assert.deepEqual(tracker.getSegments().map(({ speaker, startedAt, endedAt }) => [speaker, Date.parse(startedAt), Date.parse(endedAt)]), [
+    ['Sarah', 0, 500],
+    ['Bob', 3000, 3000],
+    ['Bob', 5000, 5000],
+  ]);
+});
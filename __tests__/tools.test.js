@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+
+const { ToolRegistry, parseToolDeclarations } = require('../realtime/tools');
+
+function createStubLogger() {
+  return {
+    info() {},
+    warn() {},
+    error() {},
+    debug() {}
+  };
+}
+
+function createRegistry(tools, overrides = {}) {
+  return new ToolRegistry({
+    tools: parseToolDeclarations(tools).tools,
+    bot: { config: { platform: 'zoom', botName: 'Aurray Bot' }, platform: null, joinedAt: null },
+    sessionId: 's1',
+    logger: createStubLogger(),
+    ...overrides
+  });
+}
+
+test('parseToolDeclarations accepts local names and HTTP tools and rejects bad input', () => {
+  const { tools } = parseToolDeclarations(JSON.stringify([
+    'get_current_time',
+    { name: 'lookup_order', description: 'Look up an order', parameters: { type: 'object', properties: { id: { type: 'string' } } } }
+  ]));
+  assert.equal(tools.length, 2);
+
+  assert.match(parseToolDeclarations(['launch_rockets']).error, /Unknown local tool/);
+  assert.match(parseToolDeclarations([{ name: 'no description' }]).error, /Invalid tool name/);
+  assert.match(parseToolDeclarations([{ name: 'x' }]).error, /needs a description/);
+  assert.match(parseToolDeclarations(['get_current_time', 'get_current_time']).error, /Duplicate/);
+  assert.match(parseToolDeclarations('{').error, /valid JSON/);
+});
+
+test('local tools run in process and expose session definitions', async () => {
+  const registry = createRegistry(['get_meeting_info']);
+  assert.deepEqual(registry.getDefinitions().map((tool) => tool.name), ['get_meeting_info']);
+
+  const result = await registry.execute('get_meeting_info', '{}', 'call-1');
+  assert.equal(result.platform, 'zoom');
+  assert.equal(result.participantCount, null);
+
+  assert.deepEqual(await registry.execute('missing', '{}', 'call-2'), { error: 'Unknown tool: missing' });
+  assert.match((await registry.execute('get_meeting_info', '{oops', 'call-3')).error, /Invalid arguments/);
+});
+
+test('declared tools are forwarded over HTTP and failures become error results', async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, body: JSON.parse(body), auth: req.headers.authorization });
+      res.statusCode = req.url === '/broken' ? 500 : 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ status: 'shipped' }));
+    });
+  });
+  server.listen(0);
+  await once(server, 'listening');
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const registry = createRegistry([
+    { name: 'lookup_order', description: 'Look up an order', headers: { Authorization: 'Bearer t' } },
+    { name: 'broken', description: 'Always fails', url: `${base}/broken` }
+  ], { defaultUrl: `${base}/tools` });
+
+  const result = await registry.execute('lookup_order', '{"id":"42"}', 'call-1');
+  assert.deepEqual(result, { status: 'shipped' });
+  assert.deepEqual(requests[0], {
+    url: '/tools',
+    body: { sessionId: 's1', callId: 'call-1', name: 'lookup_order', arguments: { id: '42' } },
+    auth: 'Bearer t'
+  });
+
+  assert.match((await registry.execute('broken', '{}', 'call-2')).error, /500/);
+});
+
+test('meeting controls are only offered when permitted and report their status', async () => {
+  const { parseMeetingControls } = require('../realtime/tools');
+  assert.deepEqual(parseMeetingControls('chat, admit').controls, ['chat', 'admit']);
+  assert.equal(parseMeetingControls('all').controls.length, 4);
+  assert.match(parseMeetingControls(['teleport']).error, /Unknown meeting controls/);
+
+  const statuses = [];
+  const admitted = [];
+  const bot = {
+    config: { platform: 'teams' },
+    platform: { admitParticipant: async (name) => admitted.push(name) },
+    async performMeetingControl(action, message, perform) {
+      await perform();
+      statuses.push([action, message]);
+    }
+  };
+  const registry = createRegistry([], { bot, controls: parseMeetingControls('admit').controls });
+  assert.deepEqual(registry.getDefinitions().map((tool) => tool.name), ['admit_participant']);
+
+  assert.deepEqual(await registry.execute('admit_participant', '{"name":"Sarah"}', 'c1'), { ok: true, admitted: 'Sarah' });
+  assert.deepEqual(admitted, ['Sarah']);
+  assert.deepEqual(statuses, [['admit_participant', 'I admitted Sarah']]);
+  assert.deepEqual(await registry.execute('leave_meeting', '{}', 'c2'), { error: 'Unknown tool: leave_meeting' });
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatTranscript } = require('../lib/transcript');
+
+const startTime = '2024-01-01T10:00:00.000Z';
+const turns = [
+  { role: 'user', text: 'What is on the agenda?', itemId: 'item_1', startedAt: '2024-01-01T10:00:05.250Z', endedAt: '2024-01-01T10:00:07.000Z' },
+  { role: 'assistant', text: 'Budget review.', itemId: 'item_2', startedAt: '2024-01-01T11:02:03.000Z', endedAt: '2024-01-01T11:02:04.500Z' }
+];
+
+test('plain text lists turns with offsets and speaker labels', () => {
+  const text = formatTranscript(turns, 'txt', { startTime, labels: { assistant: 'Aurray Bot' } });
+  assert.equal(text, '[00:00:05] Participant: What is on the agenda?\n[01:02:03] Aurray Bot: Budget review.\n');
+});
+
+test('SRT and WebVTT cues use meeting offsets', () => {
+  assert.equal(
+    formatTranscript(turns, 'srt', { startTime }),
+    '1\n00:00:05,250 --> 00:00:07,000\nParticipant: What is on the agenda?\n\n2\n01:02:03,000 --> 01:02:04,500\nAssistant: Budget review.\n'
+  );
+  assert.equal(
+    formatTranscript(turns, 'vtt', { startTime }),
+    'WEBVTT\n\n00:00:05.250 --> 00:00:07.000\n<v Participant>What is on the agenda?\n\n01:02:03.000 --> 01:02:04.500\n<v Assistant>Budget review.\n'
+  );
+});
+
+test('cue text cannot break out of its cue', () => {
+  const tricky = [{ role: 'user', speaker: 'Sam <Ops>', text: 'a < b && c > d\n\n00:00:09.000 --> 00:00:10.000', startedAt: '2024-01-01T10:00:01.000Z', endedAt: '2024-01-01T10:00:02.000Z' }];
+  assert.equal(
+    formatTranscript(tricky, 'vtt', { startTime }),
+    'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<v Sam &lt;Ops&gt;>a &lt; b &amp;&amp; c &gt; d 00:00:09.000 -&gt; 00:00:10.000\n'
+  );
+  assert.equal(
+    formatTranscript(tricky, 'srt', { startTime }),
+    '1\n00:00:01,000 --> 00:00:02,000\nSam <Ops>: a < b && c > d 00:00:09.000 -> 00:00:10.000\n'
+  );
+});
+
+test('cues are ordered by start time', () => {
+  const srt = formatTranscript([turns[1], turns[0]], 'srt', { startTime });
+  assert.match(srt, /^1\n00:00:05,250 .*agenda\?\n\n2\n01:02:03,000/s);
+});
+
+test('json round-trips and unknown formats throw', () => {
+  assert.deepEqual(JSON.parse(formatTranscript(turns, 'json')), turns);
+  assert.equal(formatTranscript([], 'txt'), '');
+  assert.throws(() => formatTranscript(turns, 'docx'), /Unsupported transcript format/);
+});
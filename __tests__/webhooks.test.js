@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { WebhookDispatcher, signPayload, parseWebhookUrls } = require('../lib/webhooks');
+
+function createDispatcher(responses, overrides = {}) {
+  const requests = [];
+  const dispatcher = new WebhookDispatcher({
+    baseDelayMs: 1000,
+    send: async (request) => {
+      requests.push(request);
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return { status: next };
+    },
+    ...overrides
+  });
+  return { dispatcher, requests };
+}
+
+test('parseWebhookUrls accepts one or many http(s) URLs', () => {
+  assert.deepEqual(parseWebhookUrls('https://example.com/hook').urls, ['https://example.com/hook']);
+  assert.deepEqual(parseWebhookUrls(undefined).urls, []);
+  assert.ok(parseWebhookUrls(['ftp://example.com']).error);
+  assert.ok(parseWebhookUrls('not a url').error);
+});
+
+test('events are signed and carry the versioned envelope', async () => {
+  const { dispatcher, requests } = createDispatcher([200]);
+  dispatcher.register('m1', { urls: ['https://example.com/hook'], secret: 'shh', sessionId: 's1', tenant: 'acme' });
+  dispatcher.emit('m1', 'meeting.status', { stage: 'joined' });
+  await dispatcher.processDue();
+
+  assert.equal(requests.length, 1);
+  const { body, headers } = requests[0];
+  const event = JSON.parse(body);
+  assert.equal(event.type, 'meeting.status');
+  assert.equal(event.version, 1);
+  assert.equal(event.sequence, 1);
+  assert.equal(event.sessionId, 's1');
+  assert.equal(event.tenant, 'acme');
+  assert.deepEqual(event.data, { stage: 'joined' });
+  assert.equal(headers['X-Aurray-Signature'], `sha256=${signPayload('shh', headers['X-Aurray-Timestamp'], body)}`);
+
+  const [delivery] = dispatcher.getDeliveries('m1');
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.secret, undefined);
+});
+
+test('failed deliveries back off exponentially and give up after maxAttempts', async () => {
+  const { dispatcher, requests } = createDispatcher([500, new Error('ECONNREFUSED'), 503], { maxAttempts: 3 });
+  dispatcher.register('m1', { urls: ['https://example.com/hook'] });
+  dispatcher.emit('m1', 'meeting.finished', { outcome: 'completed' });
+  await dispatcher.processDue();
+
+  const delivery = Array.from(dispatcher.deliveries.values())[0];
+  const firstRetry = Date.parse(delivery.nextAttemptAt) - Date.parse(delivery.lastAttemptAt);
+  assert.ok(firstRetry >= 900 && firstRetry <= 1100);
+
+  await dispatcher.processDue(Date.now() + 500);
+  assert.equal(requests.length, 1);
+  await dispatcher.processDue(Date.now() + 1500);
+  assert.equal(delivery.lastError, 'ECONNREFUSED');
+  const secondRetry = Date.parse(delivery.nextAttemptAt) - Date.parse(delivery.lastAttemptAt);
+  assert.ok(secondRetry >= 1900 && secondRetry <= 2100);
+
+  await dispatcher.processDue(Date.now() + 5000);
+  assert.equal(delivery.status, 'failed');
+  assert.deepEqual(dispatcher.summarize('m1'), { pending: 0, delivered: 0, failed: 1 });
+});
+
+test('client errors other than 408/429 are not retried', async () => {
+  const { dispatcher } = createDispatcher([404]);
+  dispatcher.register('m1', { urls: ['https://example.com/hook'] });
+  dispatcher.emit('m1', 'meeting.status', {});
+  await dispatcher.processDue();
+  assert.equal(dispatcher.getDeliveries('m1')[0].status, 'failed');
+});
+
+test('pending deliveries survive a restart', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-')), 'webhooks.json');
+  const { dispatcher } = createDispatcher([500], { filePath });
+  dispatcher.register('m1', { urls: ['https://example.com/hook'] });
+  dispatcher.emit('m1', 'meeting.status', { stage: 'joined' });
+  await dispatcher.processDue();
+  await dispatcher.flush();
+
+  const { dispatcher: reloaded, requests } = createDispatcher([200], { filePath });
+  assert.equal(reloaded.getDeliveries('m1')[0].status, 'pending');
+  await reloaded.processDue(Date.now() + 60000);
+  assert.equal(requests.length, 1);
+  assert.equal(reloaded.getDeliveries('m1')[0].status, 'delivered');
+  assert.equal(reloaded.getDeliveries('m1')[0].attempts, 2);
+});
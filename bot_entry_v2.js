@@ -4,7 +4,6 @@
  */
 
 const { chromium } = require("playwright");
-const WebSocket = require("ws");
 const fs = require("fs");
 const path = require("path");
 const { v4: uuidv4 } = require("uuid");
@@ -18,56 +17,29 @@ const {
   getPlatformPermissionsOrigin,
   createPlatformController,
 } = require("./platforms");
-
-function parseBoolean(value, defaultValue) {
-  if (value === undefined || value === null || value === "") {
-    return defaultValue;
-  }
-  return ["1", "true", "yes", "on"].includes(String(value).toLowerCase());
+const { CaptionTracker } = require("./platforms/captions");
+const { LEVEL_BINDING, SpeakerTracker } = require("./platforms/speakers");
+const { MeetingRecorder } = require("./lib/recorder");
+const { parseConfig } = require("./lib/config");
+const { getLogger } = require("./lib/logger");
+const { meetingDirectory } = require("./lib/meetingFiles");
+const { createRealtimeProvider, REALTIME_PROVIDER_REGISTRY } = require("./realtime");
+const { ToolRegistry, parseToolDeclarations, parseMeetingControls } = require("./realtime/tools");
+const { AddressDetector } = require("./realtime/addressing");
+
+// Options and defaults are declared in lib/config.js. Invalid values fall
+// back to their defaults here; main() refuses to start with any errors.
+const { config, errors: configErrors } = parseConfig(process.env);
+
+// Instructions for a POST /meetings/:id/say response
+function buildSayInstructions({ text, verbatim }) {
+  if (!verbatim) return text;
+  return `Say the following to the meeting participants, word for word, without adding anything:\n\n${text}`;
 }
 
-const config = {
-  meetingUrl: process.env.MEETING_URL,
-  botName: process.env.BOT_NAME || "Aurray Bot",
-  platform: process.env.PLATFORM || "google_meet",
-  headless: parseBoolean(process.env.HEADLESS, true),
-  shouldSendStatus: parseBoolean(process.env.SHOULD_SEND_STATUS, false),
-  browserEngine: (process.env.BROWSER_ENGINE || "chromium").toLowerCase(),
-  browserLocale: process.env.BROWSER_LOCALE || "en-US",
-  browserArgs: process.env.BROWSER_ARGS
-    ? process.env.BROWSER_ARGS.split(",")
-        .map((arg) => arg.trim())
-        .filter(Boolean)
-    : [],
-  navigationTimeoutMs: parseInt(
-    process.env.NAVIGATION_TIMEOUT_MS || "45000",
-    10
-  ),
-  logLevel: (process.env.LOG_LEVEL || "info").toLowerCase(),
-  sessionId: process.env.SESSION_ID || uuidv4(),
-  apiBaseUrl: process.env.API_BASE_URL,
-  isOrganizer: parseBoolean(process.env.IS_ORGANIZER, false),
-  openaiApiKey: process.env.OPENAI_API_KEY,
-  openaiRealtimeWsUrl: process.env.OPENAI_REALTIME_WS_URL, // WebSocket URL with token (provided by backend)
-  voice: process.env.VOICE || "alloy",
-  instructions: process.env.INSTRUCTIONS || "You are a helpful meeting assistant. Keep responses concise and professional.",
-};
-
-// OpenAI Realtime API constants
-const OPENAI_TARGET_SAMPLE_RATE = 24000; // OpenAI requires 24kHz
+// Meeting audio constants - provider rates come from the realtime provider
 const MEETING_SAMPLE_RATE = 48000; // Meeting platforms use 48kHz
 
-// Helper functions for base64 encoding/decoding
-function arrayBufferToBase64(buffer) {
-  const bytes = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
-  return bytes.toString('base64');
-}
-
-function base64ToArrayBuffer(base64) {
-  const binary = Buffer.from(base64, 'base64');
-  return binary.buffer.slice(binary.byteOffset, binary.byteOffset + binary.byteLength);
-}
-
 // Resample audio from source to target sample rate using linear interpolation
 function resampleAudio(inputData, inputSampleRate, outputSampleRate) {
   const ratio = inputSampleRate / outputSampleRate;
@@ -124,40 +96,15 @@ const DEFAULT_BROWSER_ARGS = [
   "--disable-audio-output-debug-recording", // Disable debug recording that might interfere
 ];
 
-class StructuredLogger {
-  constructor(level = "info", context = {}) {
-    this.level = level;
-    this.context = context;
-  }
-
-  child(extra = {}) {
-    return new StructuredLogger(this.level, { ...this.context, ...extra });
-  }
-
-  info(message, meta = {}) {
-    console.log(`[INFO] ${message}`, Object.keys(meta).length ? meta : "");
-  }
-
-  warn(message, meta = {}) {
-    console.warn(`[WARN] ${message}`, Object.keys(meta).length ? meta : "");
-  }
-
-  error(message, meta = {}) {
-    console.error(`[ERROR] ${message}`, Object.keys(meta).length ? meta : "");
-  }
-
-  debug(message, meta = {}) {
-    if (config.logLevel === "debug") {
-      console.log(`[DEBUG] ${message}`, Object.keys(meta).length ? meta : "");
-    }
-  }
-}
-
 class BrowserBot {
   constructor(botConfig) {
     this.config = botConfig;
-    this.logger = new StructuredLogger(botConfig.logLevel, {
+    this.logger = getLogger().withLevel(botConfig.logLevel || "info").child({
+      meetingId: botConfig.meetingId,
+      sessionId: botConfig.sessionId,
+      traceId: botConfig.traceId,
       platform: botConfig.platform,
+      subsystem: "bot",
     });
 
     this.browser = null;
@@ -165,13 +112,46 @@ class BrowserBot {
     this.page = null;
     this.platform = null;
     this.shouldStop = false;
+    this.hasJoinedMeeting = false; // Set once platform.joinMeeting() succeeds
+    this.hasLeftMeeting = false; // Prevents leaving twice when cleanup runs more than once
+    this.cleanupPromise = null; // Shared by every cleanup() caller (stop route, run loop exit, reconnect give-up)
+    this.joinedAt = null; // Timestamp when platform.joinMeeting() succeeded
+    this.startedAt = null; // Timestamp when start() began; joinedAt - startedAt is the join duration
+    this.startupPhase = null; // launch_browser, navigate, join or connect_realtime - names join failures
+    this.endReason = null; // meeting_ended, removed_by_host or left_alone once detected
+    this.inactiveChecks = 0; // Consecutive run loop checks without meeting presence
+    this.aloneSince = null; // Timestamp when the bot became the only participant
     this.signalHandler = this.handleProcessSignal.bind(this);
     
-    // OpenAI Realtime API connection
-    this.openaiWs = null;
-    this.openaiConnected = false;
+    // Realtime AI provider connection (see realtime/)
+    this.realtime = null;
+    this.tools = null; // ToolRegistry, built on first connect so it uses the final logger
+    this.captionTracker = null; // CaptionTracker when TRANSCRIPT_SOURCE includes captions
+    this.speakers = new SpeakerTracker(); // Maps remote audio tracks to participant names
+    // RESPONSE_MODE=addressed: the bot requests responses only for turns addressed to it
+    this.addressDetector = botConfig.responseMode === "addressed"
+      ? new AddressDetector({
+          botName: botConfig.botName,
+          wakePhrases: botConfig.wakePhrases,
+          followUpWindowSec: botConfig.followUpWindowSec,
+        })
+      : null;
+    this.speakerPollInterval = null;
+    this.recorder = null; // MeetingRecorder when RECORD_AUDIO is on
+    this.artifactDir = null; // Per-meeting debug artifact directory when DEBUG_ARTIFACTS is on
+    this.joinTraceActive = false;
     this.connectionState = "disconnected"; // disconnected, connecting, connected
     this.voiceState = "idle"; // idle, recording, speaking, processing
+    this.responseActive = false; // Provider is generating a response (between response_started and response_done)
+    this.sessionHasSpoken = false; // The current realtime session produced audio, which locks its voice
+    this.answeringAddressedTurn = false; // The current response answers an addressed turn (RESPONSE_MODE=addressed)
+    this.pendingInputs = []; // say/context requests from the API waiting to be sent (see queueConversationInput)
+    this.inFlightSay = null; // Say whose response started; re-queued if the backend rejects its request
+    this.pendingResponseEventId = null; // Last response.create the bot sent, until a response is done
+    this.runningToolCalls = new Set(); // callIds of tools still running for the current session
+    this.toolOutputsPending = false; // Tool outputs were sent and the assistant has not been asked to continue yet
+    this.toolResponseEventId = null; // response.create that continues after tool outputs
+    this.MAX_PENDING_INPUTS = 20;
     
     // Reconnection state
     this.reconnectAttempts = 0;
@@ -181,10 +161,7 @@ class BrowserBot {
     this.reconnectTimeout = null;
     this.isReconnecting = false;
     this.shouldReconnect = true; // Can be set to false to stop reconnecting
-    
-    // Legacy gateway references (for backward compatibility if needed)
-    this.gateway = null;
-    this.gatewayConnected = false;
+    this.realtimeReconnects = 0; // Total reconnects scheduled (reconnectAttempts resets on success)
     
     this.audioFrameCount = 0;
     this.audioBytesSent = 0;
@@ -202,12 +179,15 @@ class BrowserBot {
     
     // Adaptive throttling to match WebSocket drain rate
     this.audioFrameSkipCounter = 0; // Counter for frame skipping
+    this.audioFramesDropped = 0; // Frames skipped due to WebSocket backpressure
     
     // Audio playback queue system (Priority 1: Fix jitter)
     this.playbackQueue = []; // Queue of audio chunks to play
     this.isPlayingQueue = false; // Flag to prevent concurrent queue processing
     this.shouldAcceptNewChunks = true; // Flag to stop accepting new chunks after response is done
     this.MAX_QUEUE_SIZE = 50; // Maximum chunks in queue (prevents memory buildup)
+    this.playbackQueueOverflowDrops = 0;
+    this.performanceMetricsEnabled = false; // CDP Performance domain, for browser memory
   }
 
   /**
@@ -239,6 +219,16 @@ class BrowserBot {
      * IMPORTANT: This function is NOT async and does NOT return a promise.
      * It's completely fire-and-forget to avoid blocking the event loop.
      */
+    // Local listener (e.g. server.js meeting registry) sees every stage, even when
+    // sending to the backend is disabled
+    if (typeof this.config.onStatusUpdate === "function") {
+      try {
+        this.config.onStatusUpdate(stage, message, metadata);
+      } catch (error) {
+        this.logger.warn("Status listener failed", { stage, error: error.message });
+      }
+    }
+
     // Allow status updates to be globally disabled via config
     if (this.config.shouldSendStatus === false) {
       return;
@@ -271,6 +261,7 @@ class BrowserBot {
         const apiUrl = new URL("/api/demo/status", apiBaseUrl);
         const payload = JSON.stringify({
           sessionId: this.config.sessionId,
+          traceId: this.config.traceId,
           stage: stage,
           message: message,
           metadata: metadata,
@@ -293,6 +284,7 @@ class BrowserBot {
               headers: {
                 "Content-Type": "application/json",
                 "Content-Length": Buffer.byteLength(payload),
+                ...(this.config.traceId ? { "X-Request-Id": this.config.traceId } : {}),
               },
             timeout: 2000, // Reduced timeout to fail faster
             },
@@ -357,6 +349,8 @@ class BrowserBot {
       headless: this.config.headless,
     });
 
+    this.startedAt = Date.now();
+
     try {
 
       // Send initial status (fire-and-forget, no await)
@@ -369,19 +363,26 @@ class BrowserBot {
       this.registerSignalHandlers();
       
       // Launch browser
+      this.startupPhase = "launch_browser";
       await this.launchBrowser();
       
 
       
+      this.startupPhase = "navigate";
       await this.navigateToMeeting();
       
     
+      this.startupPhase = "join";
       await this.joinMeeting();
+
+      this.startRecording();
       
       
 
-      // Connect audio streaming WebSocket - this is critical, so throw if it fails
-      await this.connectWebSocket();
+      // Connect the realtime AI provider - this is critical, so throw if it fails
+      this.startupPhase = "connect_realtime";
+      await this.connectRealtime();
+      this.startupPhase = null;
 
       // Call afterJoin after WebSocket connection to ensure meeting is fully joined
       if (this.platform && typeof this.platform.afterJoin === 'function') {
@@ -403,6 +404,12 @@ class BrowserBot {
         });
       }
 
+      this.startSpeakerTracking();
+
+      if (this.config.transcriptSource !== "model") {
+        await this.startCaptionTranscript();
+      }
+
       // Start main loop (continues regardless of WebSocket status)
       // The bot will continue operating even if WebSocket never connects
       await this.runLoop();
@@ -469,6 +476,12 @@ class BrowserBot {
 
             // Audio capture status - logging removed (too verbose)
           }
+
+          const endReason = await this.checkMeetingEnd();
+          if (endReason) {
+            this.handleMeetingEnd(endReason);
+            break;
+          }
         } else {
           this.logger.warn("Page closed - browser may have crashed");
           break;
@@ -489,6 +502,73 @@ class BrowserBot {
     this.logger.info("Run loop ended");
   }
 
+  /**
+   * Poll the platform for end-of-meeting signals and the "alone in the call" rule.
+   * @returns {Promise<string|null>} meeting_ended, removed_by_host, left_alone or null
+   */
+  async checkMeetingEnd() {
+    if (!this.platform || !this.hasJoinedMeeting) {
+      return null;
+    }
+
+    const signal = await this.platform.detectMeetingEnd().catch(() => null);
+    if (signal) {
+      return signal;
+    }
+
+    // Presence selectors can flicker during layout changes, so require a few misses in a row
+    const isActive = await this.platform.isMeetingActive().catch(() => true);
+    this.inactiveChecks = isActive ? 0 : this.inactiveChecks + 1;
+    if (this.inactiveChecks >= 3) {
+      return "meeting_ended";
+    }
+
+    const aloneAfterMin = this.config.leaveWhenAloneAfterMin;
+    if (!aloneAfterMin || aloneAfterMin <= 0) {
+      return null;
+    }
+
+    const participantCount = await this.platform.getParticipantCount().catch(() => null);
+    if (participantCount === null || participantCount > 1) {
+      this.aloneSince = null;
+      return null;
+    }
+
+    if (!this.aloneSince) {
+      this.aloneSince = Date.now();
+      this.logger.info("Bot is alone in the meeting", { leaveAfterMin: aloneAfterMin });
+    } else if (Date.now() - this.aloneSince >= aloneAfterMin * 60 * 1000) {
+      return "left_alone";
+    }
+
+    return null;
+  }
+
+  handleMeetingEnd(reason) {
+    const messages = {
+      meeting_ended: "The meeting has ended",
+      removed_by_host: "I was removed from the meeting",
+      left_alone: "Everyone else has left, so I left the meeting",
+      leave_requested: "I was asked to leave, so I left the meeting",
+    };
+
+    this.endReason = reason;
+    this.shouldStop = true;
+    this.shouldReconnect = false;
+
+    // Only left_alone and leave_requested still have a call to hang up; otherwise there is nothing to leave
+    if (reason !== "left_alone" && reason !== "leave_requested") {
+      this.hasLeftMeeting = true;
+    }
+
+    this.logger.info("Meeting end detected", { reason });
+    this.sendStatusUpdate(
+      reason,
+      messages[reason] || "The meeting has ended",
+      { platform: this.config.platform }
+    );
+  }
+
   async launchBrowser() {
 
     const browserName =
@@ -570,6 +650,15 @@ class BrowserBot {
     }
     this.logger.info("Finished Google Meet auth state check (after)", { sessionId: this.config.sessionId });
 
+    if (this.config.debugArtifacts) {
+      this.artifactDir = meetingDirectory(this.config.artifactsDir, this.config.meetingId || this.config.sessionId);
+      fs.mkdirSync(this.artifactDir, { recursive: true });
+      // Both are written when the context closes during cleanup
+      contextOptions.recordVideo = { dir: this.artifactDir, size: contextOptions.viewport };
+      contextOptions.recordHar = { path: path.join(this.artifactDir, "network.har"), content: "omit" };
+      this.logger.info("Debug artifacts enabled", { directory: this.artifactDir });
+    }
+
     this.context = await this.browser.newContext(contextOptions);
 
     // Save auth state immediately after browser context is created
@@ -943,7 +1032,19 @@ class BrowserBot {
           "Joining the meeting...",
           { platform: this.config.platform }
       );
-      await this.platform.joinMeeting();
+      await this.startJoinTrace();
+      try {
+        await this.platform.joinMeeting();
+      } finally {
+        await this.stopJoinTrace();
+      }
+      this.hasJoinedMeeting = true;
+      this.joinedAt = Date.now();
+      this.sendStatusUpdate(
+          "joined",
+          "Joined the meeting",
+          { platform: this.config.platform, joinDurationMs: this.joinedAt - this.startedAt }
+      );
       
       const currentUrl = this.page.url();
       
@@ -990,422 +1091,784 @@ class BrowserBot {
   }
 
   /**
-   * Fetch a fresh WebSocket token from the backend
-   * @returns {Promise<string>} WebSocket URL with token
+   * Build the meeting's tool registry from config.tools.
+   * Invalid declarations are logged and ignored rather than failing the bot.
+   * @returns {ToolRegistry}
    */
-  async fetchWebSocketToken() {
-    if (!this.config.apiBaseUrl) {
-      throw new Error("API_BASE_URL is required to fetch WebSocket token");
+  createToolRegistry() {
+    let { tools, error } = parseToolDeclarations(this.config.tools);
+    if (error) {
+      this.logger.warn("Ignoring invalid tool declarations", { error });
+      tools = [];
     }
-    
-    // Strip comments from URL to prevent invalid URL errors
-    const apiBaseUrl = this.stripUrlComments(this.config.apiBaseUrl);
-    
-    this.logger.info("Fetching WebSocket token from backend", { apiBaseUrl: apiBaseUrl });
+
+    const meetingControls = parseMeetingControls(this.config.meetingControls);
+    if (meetingControls.error) {
+      this.logger.warn("Ignoring invalid meeting controls", { error: meetingControls.error });
+    }
+
+    let defaultUrl = this.config.toolsUrl;
+    if (!defaultUrl && this.config.apiBaseUrl) {
+      defaultUrl = new URL("/api/realtime/tools", this.stripUrlComments(this.config.apiBaseUrl)).toString();
+    }
+
+    return new ToolRegistry({
+      tools,
+      controls: meetingControls.controls || [],
+      bot: this,
+      defaultUrl,
+      sessionId: this.config.sessionId,
+      logger: this.logger.child({ subsystem: "tools" }),
+    });
+  }
+
+  /**
+   * Change the assistant's instructions, voice or session settings mid-meeting.
+   * The config is updated too, so a reconnect keeps the changes; a provider
+   * that is not connected picks them up when it connects.
+   * @param {object} changes - Validated { instructions?, voice?, settings? }
+   * @returns {{applied: boolean}|{error: string}} applied is false when the change waits for a connection
+   */
+  updateSession({ instructions, voice, settings }) {
+    // Providers are created per connection, so ask the class rather than an instance
+    const Provider = REALTIME_PROVIDER_REGISTRY[this.config.realtimeProvider];
+    if (!Provider || !Provider.prototype.supportsSessionSettings) {
+      return { error: `Realtime provider ${this.config.realtimeProvider} does not support session updates` };
+    }
+    // The OpenAI Realtime API rejects voice changes once the session has produced audio
+    const connected = !!this.realtime && this.realtime.isConnected();
+    if (voice !== undefined && voice !== this.config.voice && connected && this.sessionHasSpoken) {
+      return { error: "The voice cannot change after the assistant has spoken in this session" };
+    }
+
+    const fields = [];
+    if (instructions !== undefined) {
+      this.config.instructions = instructions;
+      fields.push("instructions");
+    }
+    if (voice !== undefined) {
+      this.config.voice = voice;
+      fields.push("voice");
+    }
+    if (settings !== undefined) {
+      this.config.realtimeSession = JSON.stringify(settings);
+      fields.push("session");
+    }
+
+    const applied = connected;
+    if (applied) {
+      this.realtime.updateSession();
+    }
+
+    this.logger.info("Assistant session updated", { fields, applied });
+    this.sendStatusUpdate("session_updated", "My instructions were updated", { fields, applied });
+    return { applied };
+  }
+
+  /**
+   * Speak or add context on behalf of the backend (POST /meetings/:id/say and
+   * /context) once the provider is connected. Inputs are sent in order, and a
+   * say waits until the assistant is not responding or playing audio, so it
+   * never talks over itself; inputs queued after it wait too.
+   * @param {{kind: string, text: string, role?: string, verbatim?: boolean}} input - kind is say or context
+   * @returns {{id: string, queued: boolean, position: number}|{error: string, code: string}} position is 0 once sent
+   */
+  queueConversationInput(input) {
+    // Providers are created per connection, so ask the class rather than an instance
+    const Provider = REALTIME_PROVIDER_REGISTRY[this.config.realtimeProvider];
+    if (!Provider || !Provider.prototype.supportsConversationInput) {
+      return { error: `Realtime provider ${this.config.realtimeProvider} does not support conversation input`, code: "unsupported" };
+    }
+    if (this.pendingInputs.length >= this.MAX_PENDING_INPUTS) {
+      return { error: `${this.MAX_PENDING_INPUTS} messages are already waiting to be sent`, code: "queue_full" };
+    }
+
+    const entry = { ...input, id: uuidv4(), queuedAt: Date.now() };
+    this.pendingInputs.push(entry);
+    this.flushPendingInputs();
+
+    // A sent say stays at the head of the queue until its response starts
+    const position = entry.sent || !this.pendingInputs.includes(entry) ? 0 : this.pendingInputs.indexOf(entry) + 1;
+    if (position > 0) {
+      this.logger.info("Queued conversation input", { id: entry.id, kind: entry.kind, position });
+    }
+    return { id: entry.id, queued: position > 0, position };
+  }
+
+  /**
+   * RESPONSE_MODE=addressed: answer a user turn only when it names the bot,
+   * contains a wake phrase or follows up on the bot's last answer. Audio
+   * turns are already in the conversation, so a bare response.create answers it.
+   * @param {{text: string, startedAt?: string, speaker?: string}} turn
+   */
+  respondIfAddressed(turn) {
+    if (!this.addressDetector) return;
+
+    const { addressed, reason, phrase } = this.addressDetector.check(turn.text, Date.parse(turn.startedAt) || Date.now());
+    if (!addressed) return;
+
+    const realtime = this.realtime;
+    if (!realtime || !realtime.isConnected() || !realtime.supportsConversationInput) return;
+    if (this.responseActive) {
+      this.logger.debug("Addressed turn while already responding", { reason });
+      return;
+    }
+
     try {
-      const tokenUrl = new URL("/api/realtime/token", apiBaseUrl);
-      const response = await new Promise((resolve, reject) => {
-        const requestModule = tokenUrl.protocol === "https:" ? https : http;
-        const req = requestModule.get(
-          {
-            hostname: tokenUrl.hostname,
-            port: tokenUrl.port || (tokenUrl.protocol === "https:" ? 443 : 80),
-            path: tokenUrl.pathname,
-          },
-          (res) => {
-            let data = "";
-            res.on("data", (chunk) => {
-              data += chunk;
-            });
-            res.on("end", () => {
-              if (res.statusCode >= 200 && res.statusCode < 300) {
-                try {
-                  resolve(JSON.parse(data));
-                } catch (e) {
-                  reject(new Error(`Failed to parse token response: ${e.message}`));
-                }
-              } else {
-                reject(new Error(`Failed to get token: ${res.statusCode} ${res.statusMessage}`));
-              }
-            });
-          }
-        );
-        req.on("error", reject);
-        req.setTimeout(5000, () => {
-          req.destroy();
-          reject(new Error("Token request timeout"));
+      this.requestResponse();
+      this.answeringAddressedTurn = true;
+      this.logger.info("Responding to addressed turn", { reason, phrase, speaker: turn.speaker });
+    } catch (error) {
+      this.logger.warn("Failed to request response for addressed turn", { error: error.message });
+    }
+  }
+
+  /**
+   * Open the follow-up window at the end of an answer to an addressed turn:
+   * when the response is done and again when its audio has finished playing.
+   * Responses to /say or tool results do not open it.
+   */
+  noteAddressedAnswerProgress() {
+    if (!this.answeringAddressedTurn) return;
+    this.addressDetector.markResponse();
+    if (!this.responseActive && !this.isPlayingQueue && this.playbackQueue.length === 0) {
+      this.answeringAddressedTurn = false;
+    }
+  }
+
+  isAssistantBusy() {
+    return this.responseActive || this.runningToolCalls.size > 0 || this.toolOutputsPending || this.voiceState === "speaking" || this.isPlayingQueue || this.playbackQueue.length > 0;
+  }
+
+  /**
+   * Ask the provider for a response. responseActive is set right away so the
+   * next say waits; response_done or a rejection of this request clears it.
+   * @param {string} [instructions]
+   */
+  requestResponse(instructions) {
+    this.pendingResponseEventId = this.realtime.createResponse(instructions);
+    this.responseActive = true;
+  }
+
+  /**
+   * Send pending inputs in order, stopping at a say while the assistant is busy.
+   * A sent say stays at the head of the queue until its response starts.
+   */
+  flushPendingInputs() {
+    const realtime = this.realtime;
+    if (!realtime || !realtime.isConnected() || !realtime.supportsConversationInput) return;
+
+    while (this.pendingInputs.length > 0) {
+      const input = this.pendingInputs[0];
+      if (input.kind === "say" && (input.sent || this.isAssistantBusy())) return;
+
+      try {
+        if (input.kind === "say") {
+          this.requestResponse(buildSayInstructions(input));
+          input.sent = true;
+        } else {
+          this.pendingInputs.shift();
+          realtime.addConversationItem(input.text, input.role);
+        }
+        this.logger.info("Sent conversation input", {
+          id: input.id,
+          kind: input.kind,
+          waitedMs: Date.now() - input.queuedAt,
         });
+      } catch (error) {
+        if (this.pendingInputs[0] === input) this.pendingInputs.shift();
+        this.logger.warn("Failed to send conversation input", { id: input.id, kind: input.kind, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * The backend rejected the bot's last response.create. When another
+   * response was already running (e.g. server VAD answered first) a say goes
+   * back to the head of the queue and is sent once that response is done.
+   * @param {{code?: string, message: string}} error
+   */
+  handleRejectedResponse(error) {
+    this.pendingResponseEventId = null;
+    const busy = error.code === "conversation_already_has_active_response";
+    if (error.eventId === this.toolResponseEventId) {
+      // Ask again once the running response is done
+      this.toolResponseEventId = null;
+      this.toolOutputsPending = busy;
+    }
+    if (!busy) {
+      // No response.done will follow, and no other response is running
+      this.responseActive = false;
+      this.answeringAddressedTurn = false;
+    }
+
+    const head = this.pendingInputs[0];
+    const say = head && head.sent ? head : this.inFlightSay;
+    if (say) {
+      say.sent = false;
+      if (say === this.inFlightSay) {
+        this.inFlightSay = null;
+        this.pendingInputs.unshift(say);
+      }
+      if (busy) {
+        this.logger.info("Say deferred until the current response is done", { id: say.id });
+      } else {
+        this.pendingInputs.shift();
+        this.logger.warn("Say rejected by the realtime provider", { id: say.id, error: error.message });
+      }
+    }
+    this.flushPendingInputs();
+  }
+
+  /**
+   * Run a meeting action requested by the assistant and report it via
+   * sendStatusUpdate. Rethrows so the assistant hears about failures.
+   * @param {string} action - Tool name, e.g. admit_participant
+   * @param {string} message - Status message on success
+   * @param {function(): Promise<void>} perform
+   */
+  async performMeetingControl(action, message, perform) {
+    if (!this.platform || !this.hasJoinedMeeting || this.hasLeftMeeting || this.shouldStop) {
+      throw new Error("Not in the meeting");
+    }
+
+    try {
+      await perform();
+    } catch (error) {
+      this.logger.warn("Meeting control failed", { action, error: error.message });
+      this.sendStatusUpdate(
+        "meeting_control_failed",
+        `I could not complete ${action}: ${error.message}`,
+        { action, error: error.message, platform: this.config.platform }
+      );
+      throw error;
+    }
+
+    this.logger.info("Meeting control performed", { action });
+    this.sendStatusUpdate("meeting_control", message, { action, platform: this.config.platform });
+  }
+
+  /**
+   * Run a tool the assistant asked for and send the result back. The
+   * assistant continues once every running tool has answered.
+   * @param {object} call - { callId, name, arguments }
+   */
+  async handleToolCall({ callId, name, arguments: args }) {
+    const startedAt = Date.now();
+    this.logger.info("🛠️ Tool call", { tool: name, callId });
+    this.runningToolCalls.add(callId);
+
+    const result = await this.tools.execute(name, args, callId);
+
+    this.logger.info("🛠️ Tool result", {
+      tool: name,
+      callId,
+      durationMs: Date.now() - startedAt,
+      ok: !(result && result.error),
+    });
+
+    // The connection may have dropped while the tool ran; a new session does not know the call
+    const realtime = this.realtime;
+    if (!this.runningToolCalls.delete(callId) || !realtime || !realtime.isConnected()) {
+      this.logger.warn("Realtime provider disconnected before tool result could be sent", { tool: name, callId });
+      return;
+    }
+    try {
+      realtime.sendToolResult(callId, result === undefined ? null : result);
+      this.toolOutputsPending = true;
+    } catch (error) {
+      this.logger.warn("Failed to send tool result", { tool: name, callId, error: error.message });
+    }
+    this.continueAfterToolOutputs();
+  }
+
+  /**
+   * Ask for one response covering every tool output, once no tool is still
+   * running and the response that called them is done.
+   */
+  continueAfterToolOutputs() {
+    if (!this.toolOutputsPending || this.runningToolCalls.size > 0 || this.responseActive) return;
+    const realtime = this.realtime;
+    if (!realtime || !realtime.isConnected()) return;
+
+    this.toolOutputsPending = false;
+    try {
+      this.requestResponse();
+      this.toolResponseEventId = this.pendingResponseEventId;
+    } catch (error) {
+      this.logger.warn("Failed to request response after tool results", { error: error.message });
+      this.flushPendingInputs();
+    }
+  }
+
+  /**
+   * Connect the realtime AI provider selected by REALTIME_PROVIDER.
+   * Failures schedule a reconnect before rethrowing.
+   */
+  async connectRealtime() {
+    // Prevent multiple simultaneous connection attempts
+    if (this.connectionState === "connected" || this.connectionState === "connecting") {
+      this.logger.warn("Realtime provider already connecting or connected");
+      return;
+    }
+
+    // Prevent reconnection if explicitly disabled
+    if (this.isReconnecting && !this.shouldReconnect) {
+      this.logger.info("Reconnection disabled, not attempting to connect");
+      return;
+    }
+
+    this.connectionState = "connecting";
+    this.logger.info("Connecting to realtime provider", {
+      provider: this.config.realtimeProvider,
+      attempt: this.reconnectAttempts + 1,
+      delay: this.reconnectAttempts > 0 ? `${this.reconnectDelay}ms` : "immediate",
+    });
+    this.sendStatusUpdate(
+      "general_message",
+      "I am setting up my microphone...",
+      { platform: this.config.platform }
+    );
+
+    const realtime = createRealtimeProvider(
+      this.config.realtimeProvider,
+      this.config,
+      this.logger.child({ subsystem: "realtime" })
+    );
+    this.attachRealtimeHandlers(realtime);
+
+    if (!this.tools) {
+      this.tools = this.createToolRegistry();
+    }
+    if (this.tools.size > 0) {
+      if (realtime.supportsTools) {
+        realtime.setTools(this.tools.getDefinitions());
+      } else {
+        this.logger.warn("Realtime provider does not support tools, ignoring them", {
+          provider: this.config.realtimeProvider,
+          tools: this.tools.size,
+        });
+      }
+    }
+    if (this.config.realtimeSession && !realtime.supportsSessionSettings) {
+      this.logger.warn("Realtime provider does not support session settings, ignoring them", {
+        provider: this.config.realtimeProvider,
       });
-      
-      const wsUrl = response.url;
-      this.logger.info("Token fetched successfully", { url: wsUrl.substring(0, 60) + "..." });
-      
-      // Update config with new token URL for future use
-      this.config.openaiRealtimeWsUrl = wsUrl;
-      
-      return wsUrl;
+    }
+    if (this.addressDetector && !realtime.supportsConversationInput) {
+      this.logger.warn("Realtime provider decides when to respond, ignoring RESPONSE_MODE=addressed", {
+        provider: this.config.realtimeProvider,
+      });
+    }
+
+    try {
+      await realtime.connect();
+    } catch (err) {
+      realtime.removeAllListeners();
+      this.realtime = null;
+      this.connectionState = "disconnected";
+      this.logger.error("Failed to connect to realtime provider", {
+        provider: this.config.realtimeProvider,
+        error: err.message,
+        attempt: this.reconnectAttempts + 1,
+      });
+      this.sendStatusUpdate(
+        "general_message",
+        "I Could not connect to the microphone. attepting to reconnect...",
+        { platform: this.config.platform }
+      );
+
+      // Schedule reconnection attempt
+      this.scheduleReconnect();
+      throw err;
+    }
+
+    // Reset reconnection state on successful connection
+    this.reconnectAttempts = 0;
+    this.reconnectDelay = 1000;
+    this.isReconnecting = false;
+
+    this.realtime = realtime;
+    this.connectionState = "connected";
+    this.voiceState = "idle";
+    this.responseActive = false;
+    this.sessionHasSpoken = false;
+    this.answeringAddressedTurn = false;
+    this.pendingResponseEventId = null;
+    this.inFlightSay = null;
+    this.runningToolCalls.clear();
+    this.toolOutputsPending = false;
+    this.toolResponseEventId = null;
+    // A say sent on the previous connection never started - send it again
+    if (this.pendingInputs[0]) this.pendingInputs[0].sent = false;
+    this.flushPendingInputs();
+
+    this.logger.info("✅ Realtime provider connected successfully", {
+      provider: this.config.realtimeProvider,
+    });
+    this.sendStatusUpdate(
+      "done_status",
+      "I am connected to the microphone.",
+      { platform: this.config.platform }
+    );
+
+    if (!this.config.isOrganizer) {
+      this.sendStatusUpdate(
+        "done_status",
+        "You can say hello to me now!",
+        { platform: this.config.platform }
+      );
+    }
+  }
+
+  /**
+   * Scrape the platform's live captions into transcript turns (TRANSCRIPT_SOURCE
+   * captions or both). Failing to turn captions on is not fatal.
+   */
+  async startCaptionTranscript() {
+    this.captionTracker = new CaptionTracker({
+      botName: this.config.botName,
+      selfLabels: this.platform.getCaptionSelectors().selfLabels,
+      onTurn: (turn) => {
+        this.logger.info("💬 Caption", { speaker: turn.speaker, text: turn.text });
+        this.recordTranscriptTurn(turn);
+        // Without input transcription, captions are the only text to detect addressing in
+        if (turn.role === "user" && this.config.transcriptSource === "captions") {
+          this.respondIfAddressed(turn);
+        }
+      },
+    });
+    this.captionTracker.start();
+
+    try {
+      await this.platform.startCaptionCapture((caption) => this.captionTracker.update(caption));
+      this.sendStatusUpdate("captions_started", "Live captions are being transcribed", {
+        platform: this.config.platform,
+      });
+    } catch (error) {
+      this.captionTracker.stop();
+      this.captionTracker = null;
+      this.logger.warn("Live caption capture unavailable", { error: error.message });
+      this.sendStatusUpdate("captions_unavailable", `Live captions unavailable: ${error.message}`, {
+        platform: this.config.platform,
+      });
+    }
+  }
+
+  /**
+   * Trace the join flow (screenshots and DOM snapshots) when DEBUG_ARTIFACTS
+   * is on. Open it with `npx playwright show-trace join-trace.zip`.
+   */
+  async startJoinTrace() {
+    if (!this.artifactDir) return;
+    try {
+      await this.context.tracing.start({ screenshots: true, snapshots: true, title: "join" });
+      this.joinTraceActive = true;
+    } catch (error) {
+      this.logger.warn("Failed to start join trace", { error: error.message });
+    }
+  }
+
+  async stopJoinTrace() {
+    if (!this.joinTraceActive) return;
+    this.joinTraceActive = false;
+    try {
+      await this.context.tracing.stop({ path: path.join(this.artifactDir, "join-trace.zip") });
+    } catch (error) {
+      this.logger.warn("Failed to save join trace", { error: error.message });
+    }
+  }
+
+  /**
+   * Record both audio directions to WAV when RECORD_AUDIO is on.
+   * Recording problems never stop the bot.
+   */
+  startRecording() {
+    if (!this.config.recordAudio || this.recorder) return;
+    try {
+      const recorder = new MeetingRecorder({
+        directory: this.config.recordingsDir,
+        meetingId: this.config.meetingId || this.config.sessionId,
+        sampleRate: this.config.recordingSampleRate,
+        maxDurationSec: this.config.recordingMaxDurationMin * 60,
+      });
+      recorder.start();
+      this.recorder = recorder;
+      this.logger.info("🎙️ Recording meeting audio", { directory: recorder.directory });
+    } catch (error) {
+      this.logger.warn("Failed to start recording", { error: error.message });
+    }
+  }
+
+  /**
+   * @param {"input"|"output"} direction
+   * @param {Float32Array} samples
+   * @param {number} sampleRate - Rate of samples
+   */
+  recordAudio(direction, samples, sampleRate) {
+    if (!this.recorder) return;
+    const pcm16 = float32ToPCM16(resampleAudio(samples, sampleRate, this.recorder.sampleRate));
+    const buffer = Buffer.from(pcm16.buffer, pcm16.byteOffset, pcm16.byteLength);
+    if (direction === "input") {
+      this.recorder.writeInput(buffer);
+    } else {
+      this.recorder.writeOutput(buffer);
+    }
+  }
+
+  /**
+   * Finish the WAV files; speaker segments are stored with the recording.
+   */
+  async stopRecording() {
+    if (!this.recorder) return;
+    const recorder = this.recorder;
+    this.recorder = null;
+    try {
+      const metadata = await recorder.close({ speakers: this.speakers.getSegments() });
+      this.logger.info("🎙️ Recording saved", { directory: recorder.directory, durationSec: metadata.durationSec });
+      this.sendStatusUpdate("recording_saved", "Meeting audio recording saved", {
+        durationSec: metadata.durationSec,
+        truncated: metadata.truncated,
+      });
+    } catch (error) {
+      this.logger.warn("Failed to finish recording", { error: error.message });
+    }
+  }
+
+  /**
+   * Poll the platform's active-speaker indicators so captured tracks can be
+   * matched to participant names (see platforms/speakers.js).
+   */
+  startSpeakerTracking() {
+    if (this.speakerPollInterval || !this.platform) return;
+    if (!this.platform.getSpeakerSelectors().tiles.length) {
+      this.logger.info("Speaker attribution unavailable on this platform");
+      return;
+    }
+
+    let polling = false;
+    let assigned = 0;
+    this.speakerPollInterval = setInterval(async () => {
+      if (polling || !this.page || this.page.isClosed()) return;
+      polling = true;
+      try {
+        this.speakers.setActiveNames(await this.platform.getActiveSpeakers());
+        const assignments = this.speakers.getAssignments();
+        if (Object.keys(assignments).length > assigned) {
+          assigned = Object.keys(assignments).length;
+          this.logger.info("🗣️ Speakers identified", { assignments });
+        }
+      } finally {
+        polling = false;
+      }
+    }, 500);
+  }
+
+  /**
+   * Hand a finished turn to the local transcript listener (server.js persists it).
+   * Participant turns without a speaker are attributed from captured audio.
+   * @param {{ role: string, text: string, itemId: string|null, startedAt: string, endedAt: string, source: string, speaker?: string }} turn
+   */
+  recordTranscriptTurn(turn) {
+    if (typeof this.config.onTranscript !== "function") return;
+    if (turn.role === "user" && !turn.speaker) {
+      const speaker = this.speakers.speakerBetween(Date.parse(turn.startedAt), Date.parse(turn.endedAt));
+      if (speaker) turn = { ...turn, speaker };
+    }
+    try {
+      this.config.onTranscript(turn);
+    } catch (error) {
+      this.logger.warn("Transcript listener failed", { error: error.message });
+    }
+  }
+
+  /**
+   * Audio pipeline and connection counters for GET /metrics.
+   * Counters only grow for the life of the bot.
+   */
+  getMetrics() {
+    return {
+      audioFramesCaptured: this.audioFrameCount,
+      audioFramesSent: this.audioInputFramesSent,
+      audioBytesSent: this.audioBytesSent,
+      audioFramesDropped: this.audioFramesDropped,
+      audioOutputChunksReceived: this.audioOutputChunksReceived,
+      playbackQueueDepth: this.playbackQueue.length,
+      playbackQueueOverflowDrops: this.playbackQueueOverflowDrops,
+      realtimeReconnects: this.realtimeReconnects,
+      realtimeConnected: !!this.realtime?.isConnected(),
+    };
+  }
+
+  /**
+   * JS heap of the meeting page, via the CDP session used for audio capture.
+   * A hung CDP session gives up after timeoutMs, so one bot cannot stall a /metrics scrape.
+   * @param {number} [timeoutMs]
+   * @returns {Promise<{jsHeapUsedBytes: number, jsHeapTotalBytes: number}|null>} null before capture starts, off Chromium or on timeout
+   */
+  async getBrowserMemory(timeoutMs = 1000) {
+    if (!this.cdpClient) return null;
+    const cdpClient = this.cdpClient;
+    let timer = null;
+    try {
+      const read = async () => {
+        if (!this.performanceMetricsEnabled) {
+          await cdpClient.send("Performance.enable");
+          this.performanceMetricsEnabled = true;
+        }
+        return cdpClient.send("Performance.getMetrics");
+      };
+      const { metrics } = await Promise.race([
+        read(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`No answer within ${timeoutMs}ms`)), timeoutMs);
+        }),
+      ]);
+      const value = (name) => metrics.find((metric) => metric.name === name)?.value || 0;
+      return {
+        jsHeapUsedBytes: value("JSHeapUsedSize"),
+        jsHeapTotalBytes: value("JSHeapTotalSize"),
+      };
     } catch (error) {
-      this.logger.error("Failed to fetch token from backend", { 
-        error: error.message,
-        apiBaseUrl: this.config.apiBaseUrl 
-      });
-      throw new Error(`Failed to get WebSocket token: ${error.message}`);
+      this.logger.debug("Browser memory unavailable", { error: error.message });
+      return null;
+    } finally {
+      clearTimeout(timer);
     }
   }
 
-  async connectWebSocket() {
-    
-   
-    // Prevent multiple simultaneous connection attempts
-    if (this.connectionState === "connected" || this.connectionState === "connecting") {
-      this.logger.warn("OpenAI WebSocket already connecting or connected");
-      return;
-    }
+  /**
+   * Why the bot never joined: the platform join step that threw, otherwise
+   * the startup phase that was running.
+   * @returns {string|null} null once joined
+   */
+  getJoinFailureReason() {
+    if (this.hasJoinedMeeting) return null;
+    return this.platform?.failedJoinStep || this.startupPhase || "unknown";
+  }
 
-    // Prevent reconnection if explicitly disabled
-    if (this.isReconnecting && !this.shouldReconnect) {
-      this.logger.info("Reconnection disabled, not attempting to connect");
-      return;
-    }
+  /**
+   * Map provider events onto bot voice state and audio playback.
+   * @param {import('./realtime').RealtimeProvider} realtime
+   */
+  attachRealtimeHandlers(realtime) {
+    realtime.on("speech_started", () => {
+      this.voiceState = "recording";
+      this.logger.info("🎤 Speech detected (VAD)", {
+        inputFrames: this.audioInputFramesSent,
+      });
+    });
 
-    this.connectionState = "connecting";
-    this.logger.info("Connecting to OpenAI Realtime API", {
-      attempt: this.reconnectAttempts + 1,
-      delay: this.reconnectAttempts > 0 ? `${this.reconnectDelay}ms` : "immediate",
+    realtime.on("speech_stopped", () => {
+      this.voiceState = "processing";
     });
-    this.sendStatusUpdate(
-      "general_message",
-      "I am setting up my microphone...",
-      { platform: this.config.platform }
-    );
 
-    try {
-      let wsUrl = this.config.openaiRealtimeWsUrl;
-      
-      // If no WebSocket URL provided, fetch token from backend
-      if (!wsUrl) {
-        if (!this.config.apiBaseUrl) {
-          throw new Error("OpenAI WebSocket URL not set. Check OPENAI_REALTIME_WS_URL environment variable is configured or API_BASE_URL is set to fetch token automatically.");
-        }
-        wsUrl = await this.fetchWebSocketToken();
-      }
-      
-      if (!wsUrl) {
-        throw new Error("OpenAI WebSocket URL not set. Check OPENAI_REALTIME_WS_URL environment variable is configured or API_BASE_URL is set to fetch token automatically.");
+    realtime.onAudio((audio) => {
+      this.sessionHasSpoken = true;
+      if (this.voiceState !== "speaking") {
+        this.voiceState = "speaking";
+        this.logger.info("🔊 AI speaking");
+        // Priority 1: Reset flag when new response starts
+        this.shouldAcceptNewChunks = true;
       }
+      this.handleAudioChunk(audio);
+    });
 
-      // Protocol conversion: ensure WebSocket protocol (ws:// or wss://)
-      // Convert http/https to ws/wss if needed
-      if (wsUrl.startsWith("http://")) {
-        wsUrl = wsUrl.replace("http://", "ws://");
-        this.logger.debug("Converted http:// to ws://", { original: this.config.openaiRealtimeWsUrl, converted: wsUrl });
-      } else if (wsUrl.startsWith("https://")) {
-        wsUrl = wsUrl.replace("https://", "wss://");
-        this.logger.debug("Converted https:// to wss://", { original: this.config.openaiRealtimeWsUrl, converted: wsUrl });
-      } else if (!wsUrl.startsWith("ws://") && !wsUrl.startsWith("wss://")) {
-        // If no protocol specified, default to ws://
-        wsUrl = `ws://${wsUrl}`;
-        this.logger.debug("Added ws:// protocol", { original: this.config.openaiRealtimeWsUrl, converted: wsUrl });
+    realtime.on("response_started", () => {
+      this.responseActive = true;
+      const head = this.pendingInputs[0];
+      if (head && head.sent) {
+        this.inFlightSay = this.pendingInputs.shift();
+        this.flushPendingInputs();
       }
-      
-      // Fix invalid host addresses: 0.0.0.0 is a server binding address, not a client connection address
-      // Convert 0.0.0.0 to localhost for client connections
-      if (wsUrl.includes("0.0.0.0")) {
-        const originalUrl = wsUrl;
-        wsUrl = wsUrl.replace(/0\.0\.0\.0/g, "localhost");
-        this.logger.warn("Converted 0.0.0.0 to localhost in WebSocket URL (0.0.0.0 is not a valid client connection address)", {
-          original: originalUrl.substring(0, 80) + (originalUrl.length > 80 ? "..." : ""),
-          converted: wsUrl.substring(0, 80) + (wsUrl.length > 80 ? "..." : "")
-        });
-      }
-
-      this.logger.info("Connecting to OpenAI Realtime API", { 
-        url: wsUrl.substring(0, 80) + (wsUrl.length > 80 ? "..." : ""),
-        readyState: "connecting"
-      });
+    });
 
-      return new Promise((resolve, reject) => {
-        const ws = new WebSocket(wsUrl);
-        let isConnected = false;
-        let connectionResolved = false;
-
-      const connectionTimeout = setTimeout(() => {
-        if (!isConnected && ws.readyState !== WebSocket.OPEN) {
-          this.sendStatusUpdate(
-            "general_message",
-            "I Could not connect to the microphone. attepting to reconnect...",
-            { platform: this.config.platform }
-          );
-            this.logger.error("OpenAI WebSocket connection timeout", {
-              url: wsUrl.substring(0, 80) + (wsUrl.length > 80 ? "..." : ""),
-              readyState: ws.readyState,
-              readyStateText: ws.readyState === WebSocket.CONNECTING ? "CONNECTING" : 
-                             ws.readyState === WebSocket.CLOSED ? "CLOSED" : 
-                             ws.readyState === WebSocket.CLOSING ? "CLOSING" : "UNKNOWN"
-            });
-          try {
-            ws.close();
-          } catch (e) {
-            // Ignore errors when closing
-          }
-            this.openaiWs = null;
-            this.openaiConnected = false;
-            this.connectionState = "disconnected";
-            
-            if (!connectionResolved) {
-              connectionResolved = true;
-              this.scheduleReconnect();
-              reject(new Error(`OpenAI WebSocket connection timeout after 15 seconds. URL: ${wsUrl.substring(0, 80)}... ReadyState: ${ws.readyState}`));
-            }
-          }
-        }, 15000);
+    realtime.on("response_done", () => {
+      this.responseActive = false;
+      this.pendingResponseEventId = null;
+      this.toolResponseEventId = null;
+      this.inFlightSay = null;
+      this.noteAddressedAnswerProgress();
+      this.continueAfterToolOutputs();
+      this.flushPendingInputs();
+    });
 
-      ws.on("open", () => {
-        clearTimeout(connectionTimeout);
-        isConnected = true;
-          
-          // Reset reconnection state on successful connection
-          this.reconnectAttempts = 0;
-          this.reconnectDelay = 1000;
-          this.isReconnecting = false;
-          
-          this.logger.info("✅ OpenAI Realtime API connected successfully", {
-            attempt: this.reconnectAttempts + 1,
-          });
-          this.sendStatusUpdate(
-            "done_status",
-            "I am connected to the microphone.",
-            { platform: this.config.platform }
-          );
+    realtime.on("audio_done", () => {
+      this.voiceState = "idle";
+      // Priority 1: Stop accepting new chunks, but let queue finish playing
+      // Don't clear queue - chunks might still be arriving or in queue
+      this.shouldAcceptNewChunks = false;
+    });
 
-          if (!this.config.isOrganizer) {
-            this.sendStatusUpdate(
-              "done_status",
-              "You can say hello to me now!",
-                { platform: this.config.platform }
-            );
-          }
-          this.openaiWs = ws;
-          this.openaiConnected = true;
-          this.connectionState = "connected";
-          this.voiceState = "idle";
+    realtime.onInterrupt(() => {
+      // The provider interrupted because the user started speaking
+      this.voiceState = "recording";
+      // Priority 1: Clear playback queue when interrupted (user is speaking, stop AI)
+      this.playbackQueue = [];
+      this.isPlayingQueue = false;
+      this.shouldAcceptNewChunks = false;
+      this.logger.info("⚠️  AI interrupted (user speaking)");
+    });
 
-          // Send session configuration
-          try {
-            const sessionConfig = {
-              type: "session.update",
-              session: {
-                instructions: this.config.instructions,
-                voice: this.config.voice,
-                input_audio_format: "pcm16",
-                output_audio_format: "pcm16",
-                input_audio_transcription: {
-                  model: "whisper-1",
-                },
-                turn_detection: {
-                  type: "server_vad",
-                  threshold: 0.5,
-                  prefix_padding_ms: 300,
-                  silence_duration_ms: 500,
-                },
-              },
-            };
-            ws.send(JSON.stringify(sessionConfig));
-            // Session config sent - no need to log details
-        } catch (error) {
-            this.logger.error("❌ Failed to send session configuration", {
-            error: error.message,
-          });
-          }
+    realtime.onTranscript((turn) => {
+      this.logger.info(turn.role === "user" ? "💬 User" : "💬 AI", { text: turn.text });
+      if (this.config.transcriptSource !== "captions") {
+        this.recordTranscriptTurn({ ...turn, source: "model" });
+        if (turn.role === "user") {
+          this.respondIfAddressed(turn);
+        }
+      }
+    });
 
-          if (!connectionResolved) {
-            connectionResolved = true;
-        resolve();
-          }
+    realtime.on("tool_call", (call) => {
+      this.handleToolCall(call).catch((error) => {
+        this.logger.error("Tool call handling failed", { tool: call.name, error: error.message });
       });
+    });
 
-      ws.on("message", (data) => {
-        try {
-          // OpenAI Realtime API sends JSON messages
-          // In Node.js 'ws' library, messages can come as Buffer or string
-          let messageStr;
-          if (typeof data === 'string') {
-            messageStr = data;
-          } else if (Buffer.isBuffer(data)) {
-            messageStr = data.toString('utf8');
-          } else if (data instanceof ArrayBuffer) {
-            messageStr = Buffer.from(data).toString('utf8');
-          } else {
-            this.logger.warn("⚠️ Received unknown message type from OpenAI", {
-              type: typeof data,
-              constructor: data?.constructor?.name,
-            });
-            return;
-          }
-          
-          const message = JSON.parse(messageStr);
-          this.handleOpenAIMessage(message);
-        } catch (e) {
-          this.logger.error("Failed to parse WebSocket message", { error: e.message });
-        }
-      });
+    realtime.on("backend_error", (error) => {
+      this.logger.error("❌ Realtime provider error", error);
+      this.voiceState = "idle";
+      // A rejected response.create never sends response.done
+      if (error.eventId && error.eventId === this.pendingResponseEventId) {
+        this.handleRejectedResponse(error);
+      }
+    });
 
-        ws.on("error", (error) => {
-          clearTimeout(connectionTimeout);
-          if (!isConnected) {
-            // Provide helpful error messages for common connection errors
-            let errorMessage = error.message;
-            let helpfulHint = "";
-            
-            if (error.code === 'ECONNREFUSED') {
-              const urlObj = new URL(wsUrl);
-              helpfulHint = `\n💡 Hint: The backend server is not running or not accessible at ${urlObj.host}. Please ensure the backend is running on port ${urlObj.port || 8000}.`;
-              errorMessage = `Connection refused${helpfulHint}`;
-            } else if (error.code === 'ENOTFOUND') {
-              const urlObj = new URL(wsUrl);
-              helpfulHint = `\n💡 Hint: Cannot resolve hostname "${urlObj.hostname}". Check your network connection and DNS settings.`;
-              errorMessage = `Hostname not found${helpfulHint}`;
-            } else if (error.code === 'ETIMEDOUT') {
-              helpfulHint = `\n💡 Hint: Connection timed out. Check your network connection and firewall settings.`;
-              errorMessage = `Connection timeout${helpfulHint}`;
-            }
-            
-            this.logger.error("OpenAI WebSocket connection error", {
-              error: errorMessage,
-              errorCode: error.code,
-              errorStack: error.stack,
-              url: wsUrl.substring(0, 80) + (wsUrl.length > 80 ? "..." : ""),
-              readyState: ws.readyState,
-              attempt: this.reconnectAttempts + 1,
-            });
-            this.openaiWs = null;
-            this.openaiConnected = false;
-            this.connectionState = "disconnected";
-            
-            if (!connectionResolved) {
-              connectionResolved = true;
-              this.scheduleReconnect();
-              // Extract the actual remote host/port from the underlying socket
-              let host = "unknown";
-              let port = "unknown";
-              if (
-                ws &&
-                ws._socket &&
-                (ws._socket.remoteAddress || ws._socket.remotePort)
-              ) {
-                host = ws._socket.remoteAddress || "unknown";
-                port = ws._socket.remotePort || "unknown";
-              }
-              reject(new Error(
-                `Failed to connect to OpenAI: ${errorMessage} (Code: ${error.code || 'N/A'}, Host: ${host}, Port: ${port})`
-              ));
-            }
-          } else {
-            // Error after connection - log but don't reject (close handler will handle reconnection)
-            this.logger.warn("OpenAI WebSocket error after connection", {
-              error: error.message,
-              errorCode: error.code,
-            });
-          }
+    realtime.on("close", ({ code, reason, recoverable }) => {
+      const wasConnected = this.realtime === realtime;
+      const willReconnect = recoverable && this.shouldReconnect && !this.shouldStop;
+
+      if (wasConnected) {
+        // Log detailed disconnect info to diagnose timing issues
+        this.logger.warn("Realtime provider disconnected", {
+          code,
+          reason,
+          willReconnect,
+          audioFramesSent: this.audioInputFramesSent,
+          audioBytesSent: this.audioBytesSent,
+          audioOutputChunksReceived: this.audioOutputChunksReceived,
+          voiceState: this.voiceState,
+          timeSinceLastAudioLog: Date.now() - this.lastAudioLogTime,
         });
+        this.sendStatusUpdate(
+          "error",
+          "I could not connect to the microphone. ",
+          { platform: this.config.platform }
+        );
+        this.realtime = null;
+        this.connectionState = "disconnected";
+        this.voiceState = "idle";
+        this.responseActive = false;
+      }
 
-        ws.on("close", async (code, reason) => {
-          clearTimeout(connectionTimeout);
-          
-          const reasonStr = reason?.toString() || "No reason provided";
-          this.logger.info("WebSocket closed", {
-            code,
-            reason: reasonStr,
-            wasConnected: isConnected,
-            url: wsUrl.substring(0, 80) + (wsUrl.length > 80 ? "..." : ""),
-          });
-          
-          // Handle 1008 (Unauthorized) - token might be invalid/expired
-          // Also check reason string in case code is different but reason indicates unauthorized
-          // Fetch a fresh token and retry
-          let tokenRefreshed = false;
-          const isUnauthorized = code === 1008 || (reasonStr && reasonStr.toLowerCase().includes("unauthorized"));
-          if (isUnauthorized && this.config.apiBaseUrl) {
-            this.logger.warn("Received unauthorized error (code: %d, reason: %s) - token may be invalid/expired. Fetching fresh token...", code, reasonStr);
-            try {
-              const newWsUrl = await this.fetchWebSocketToken();
-              this.logger.info("Fetched fresh token, will retry connection", {
-                newUrl: newWsUrl.substring(0, 60) + "..."
-              });
-              tokenRefreshed = true;
-            } catch (tokenError) {
-              this.logger.error("Failed to fetch fresh token after unauthorized error", {
-                error: tokenError.message
-              });
-            }
-          }
-          
-          // Determine if we should reconnect based on close code
-          // 1000 = normal closure (shouldn't reconnect)
-          // 1001 = going away (reconnect)
-          // 1002 = protocol error (don't reconnect)
-          // 1003 = unsupported data (don't reconnect)
-          // 1006 = abnormal closure (reconnect)
-          // 1008 = policy violation/unauthorized - special handling: fetch new token and reconnect if token was refreshed
-          // 1009 = message too big (don't reconnect)
-          // 1010 = extension error (don't reconnect)
-          // 1011 = internal error (reconnect)
-          // 1012 = service restart (reconnect)
-          // 1013 = try again later (reconnect)
-          // 1014 = bad gateway (reconnect)
-          // 1015 = TLS handshake failure (don't reconnect)
-          
-          // 1008 is now recoverable if we successfully fetched a new token
-          const nonRecoverableCodes = [1000, 1002, 1003, 1009, 1010, 1015];
-          // If we got 1008 and successfully refreshed the token, allow reconnection
-          const shouldReconnectOnClose = !nonRecoverableCodes.includes(code) || 
-                                         (code === 1008 && tokenRefreshed);
-          
-          if (this.openaiConnected) {
-            // Log detailed disconnect info to diagnose timing issues
-            const disconnectInfo = {
-              code,
-              reason: reasonStr,
-              willReconnect: shouldReconnectOnClose && this.shouldReconnect,
-              audioFramesSent: this.audioInputFramesSent,
-              audioBytesSent: this.audioBytesSent,
-              audioOutputChunksReceived: this.audioOutputChunksReceived,
-              voiceState: this.voiceState,
-              timeSinceLastAudioLog: Date.now() - this.lastAudioLogTime,
-            };
-            this.logger.warn("OpenAI WebSocket closed", disconnectInfo);
-            this.sendStatusUpdate(
-              "error",
-              "I could not connect to the microphone. ",
-              { platform: this.config.platform }
-            );
-          }
-          
-          if (this.openaiWs === ws) {
-            this.openaiWs = null;
-          }
-          this.openaiConnected = false;
-          this.connectionState = "disconnected";
-          this.voiceState = "idle";
-          
-          // Attempt to reconnect if appropriate
-          if (shouldReconnectOnClose && this.shouldReconnect && !this.shouldStop) {
-            this.scheduleReconnect();
-          }
-        });
-      });
-    } catch (err) {
-      this.connectionState = "disconnected";
-      this.logger.error("Failed to connect to OpenAI Realtime API", {
-        error: err.message,
-        stack: err.stack,
-        attempt: this.reconnectAttempts + 1,
-      });
-      
-      // Schedule reconnection attempt
-      this.scheduleReconnect();
-      throw err;
-    }
+      realtime.removeAllListeners();
+
+      // Attempt to reconnect if appropriate
+      if (willReconnect) {
+        this.scheduleReconnect();
+      }
+    });
   }
 
   scheduleReconnect() {
@@ -1447,6 +1910,7 @@ class BrowserBot {
 
     this.isReconnecting = true;
     this.reconnectAttempts++;
+    this.realtimeReconnects++;
 
     // Calculate exponential backoff delay (with jitter)
     const baseDelay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1), this.maxReconnectDelay);
@@ -1465,145 +1929,17 @@ class BrowserBot {
       
       // Only reconnect if we're not stopping and should still reconnect
       if (this.shouldReconnect && !this.shouldStop) {
-        this.connectWebSocket().catch((err) => {
+        this.connectRealtime().catch((err) => {
           this.logger.warn("Reconnection attempt failed, will retry", {
             error: err.message,
             attempt: this.reconnectAttempts,
           });
-          // scheduleReconnect will be called again from connectWebSocket error handler
+          // scheduleReconnect will be called again from connectRealtime error handler
         });
       }
     }, delay);
   }
 
-  handleOpenAIMessage(message) {
-    try {
-      switch (message.type) {
-        case "session.created":
-        case "session.updated":
-          this.logger.info("✅ OpenAI session ready", { type: message.type });
-          break;
-
-        case "input_audio_buffer.speech_started":
-          this.voiceState = "recording";
-          this.logger.info("🎤 Speech detected (VAD)", {
-            inputFrames: this.audioInputFramesSent,
-          });
-          break;
-
-        case "input_audio_buffer.speech_stopped":
-          this.voiceState = "processing";
-          // Speech ended - processing will start, no need to log
-          break;
-          
-        case "response.created":
-          // Response created - no need to log, will log when speaking starts
-          break;
-          
-        case "response.text.done":
-          // Text response - transcript is logged separately
-          break;
-
-        case "response.audio.delta":
-        case "response.output_audio.delta":
-          if (this.voiceState !== "speaking") {
-            this.voiceState = "speaking";
-            this.logger.info("🔊 AI speaking");
-            // Priority 1: Reset flag when new response starts
-            this.shouldAcceptNewChunks = true;
-          }
-          if (message.delta) {
-            // Decode base64 audio and play to meeting
-            const audioData = base64ToArrayBuffer(message.delta);
-            this.handleAudioChunk(audioData);
-          }
-          break;
-
-        case "response.audio.done":
-        case "response.output_audio.done":
-          this.voiceState = "idle";
-          // Priority 1: Stop accepting new chunks, but let queue finish playing
-          // Don't clear queue - chunks might still be arriving or in queue
-          this.shouldAcceptNewChunks = false;
-          // AI response completed - transcript will be logged separately
-          break;
-
-        case "response.interrupted":
-          // OpenAI automatically interrupted because user started speaking
-          this.voiceState = "recording";
-          // Priority 1: Clear playback queue when interrupted (user is speaking, stop AI)
-          this.playbackQueue = [];
-          this.isPlayingQueue = false;
-          this.shouldAcceptNewChunks = false;
-          this.logger.info("⚠️  AI interrupted (user speaking)");
-          break;
-
-
-        case "conversation.item.input_audio_transcription.completed":
-          if (message.transcript) {
-            this.logger.info("💬 User", { text: message.transcript });
-          }
-          break;
-
-        case "response.audio_transcript.done":
-        case "response.output_audio_transcript.done":
-          if (message.transcript) {
-            this.logger.info("💬 AI", { text: message.transcript });
-          }
-          break;
-
-        case "error":
-          const errorMsg = message.error?.message || "An error occurred";
-          const errorCode = message.error?.code;
-          
-          // Handle UNAUTHORIZED error - token might be invalid/expired
-          if (errorCode === "UNAUTHORIZED" && this.config.apiBaseUrl) {
-            this.logger.warn("Received UNAUTHORIZED error - token may be invalid/expired. Fetching fresh token...");
-            // Close the current connection since token is invalid
-            if (this.openaiWs) {
-              try {
-                this.openaiWs.close();
-              } catch (e) {
-                // Ignore errors when closing
-              }
-            }
-            this.openaiConnected = false;
-            this.connectionState = "disconnected";
-            
-            // Fetch a fresh token and trigger reconnection
-            this.fetchWebSocketToken().catch((tokenError) => {
-              this.logger.error("Failed to fetch fresh token after UNAUTHORIZED error", {
-                error: tokenError.message
-              });
-            }).then(() => {
-              // Schedule reconnection with new token
-              if (this.shouldReconnect && !this.shouldStop) {
-                this.scheduleReconnect();
-              }
-            });
-          }
-          
-          this.logger.error("❌ OpenAI error", {
-            message: errorMsg,
-            code: errorCode,
-            type: message.error?.type,
-            param: message.error?.param,
-          });
-          this.voiceState = "idle";
-          break;
-
-        default:
-          // Silently ignore unhandled message types (most are informational)
-          break;
-      }
-    } catch (error) {
-      this.logger.warn("Error processing OpenAI message", {
-        error: error.message,
-        messageType: message?.type,
-      });
-    }
-  }
-
   async setupAudioCapture() {
     try {
       const client = await this.page.context().newCDPSession(this.page);
@@ -1637,6 +1973,12 @@ class BrowserBot {
         }
       );
 
+      await this.page.exposeBinding(LEVEL_BINDING, (_source, payload) => {
+        if (payload && Array.isArray(payload.levels)) {
+          this.speakers.updateLevels(payload.levels);
+        }
+      });
+
       const workletPath = path.resolve(__dirname, "audio-worklet.js");
       const workletCode = fs.readFileSync(workletPath, "utf8");
       
@@ -1692,7 +2034,7 @@ class BrowserBot {
             });
           }
 
-          const attachRemoteTrack = async (track, forceAttach = false) => {
+          const attachRemoteTrack = async (track, forceAttach = false, receiver = null) => {
             if (!track || track.kind !== 'audio' || sources.has(track.id)) {
               return false;
             }
@@ -1713,8 +2055,13 @@ class BrowserBot {
               const stream = new MediaStream([track]);
               const sourceNode = context.createMediaStreamSource(stream);
               sourceNode.connect(workletNode);
+
+              // Per-track level for speaker attribution - the mix above is what the model hears
+              const analyser = context.createAnalyser();
+              analyser.fftSize = 1024;
+              sourceNode.connect(analyser);
               
-              sources.set(track.id, { stream, sourceNode, track });
+              sources.set(track.id, { stream, sourceNode, track, analyser, receiver });
               console.log('[AURRAY] Attached remote audio track via CDP WebRTC:', track.id);
               return true;
             } catch (error) {
@@ -1812,11 +2159,11 @@ class BrowserBot {
               if (event.track && event.track.kind === 'audio') {
                 console.log('[AURRAY] Track event received via CDP WebRTC:', event.track.id);
                 if (event.track.readyState === 'live') {
-                  await attachRemoteTrack(event.track);
+                  await attachRemoteTrack(event.track, false, event.receiver);
                 } else {
                   event.track.addEventListener('started', async () => {
                     console.log('[AURRAY] Track started via CDP WebRTC:', event.track.id);
-                    await attachRemoteTrack(event.track);
+                    await attachRemoteTrack(event.track, false, event.receiver);
                   });
                 }
               }
@@ -1827,7 +2174,7 @@ class BrowserBot {
                 const receivers = pc.getReceivers();
                 for (const receiver of receivers) {
                   if (receiver.track && receiver.track.kind === 'audio' && receiver.track.readyState === 'live') {
-                    await attachRemoteTrack(receiver.track);
+                    await attachRemoteTrack(receiver.track, false, receiver);
                   }
                 }
               } catch (e) {
@@ -1863,9 +2210,42 @@ class BrowserBot {
           // Expose attachRemoteTrack globally so it can be called from audio element capture
           window.aurrayAttachRemoteTrack = attachRemoteTrack;
 
+          // Levels of each remote track, keyed by the sender's SSRC when the receiver exposes it
+          const levelBuffer = new Float32Array(1024);
+          let levelTimer = null;
+          const reportTrackLevels = () => {
+            const emitLevels = window[${JSON.stringify(LEVEL_BINDING)}];
+            if (typeof emitLevels !== 'function') return;
+            const levels = [];
+            for (const [trackId, source] of sources) {
+              if (source.track.readyState !== 'live') continue;
+              source.analyser.getFloatTimeDomainData(levelBuffer);
+              let sumSq = 0;
+              for (let i = 0; i < levelBuffer.length; i++) sumSq += levelBuffer[i] * levelBuffer[i];
+              let ssrc = null;
+              try {
+                const syncSources = source.receiver ? source.receiver.getSynchronizationSources() : [];
+                if (syncSources.length) {
+                  ssrc = syncSources.sort((a, b) => b.timestamp - a.timestamp)[0].source;
+                }
+              } catch (e) {}
+              levels.push({
+                key: ssrc !== null ? 'ssrc:' + ssrc : 'track:' + trackId,
+                rms: Math.sqrt(sumSq / levelBuffer.length)
+              });
+            }
+            // Silence carries no attribution signal - skip it
+            if (levels.some((level) => level.rms > 0.001)) {
+              emitLevels({ levels });
+            }
+          };
+
           window.__aurrayAudioCaptureState = { context: null, workletNode: null, sources, connections };
           window.aurrayStartAudioCapture = async () => {
             await initAudioContext();
+            if (!levelTimer) {
+              levelTimer = setInterval(reportTrackLevels, 200);
+            }
             if (context.state === 'suspended') {
               await context.resume();
             }
@@ -2361,37 +2741,31 @@ class BrowserBot {
     if (this.audioFrameCount === 1) {
       this.logger.info("🎵 Audio pipeline active", {
         meeting: `${sampleCount} samples @ 48kHz`,
-        openai: "24kHz",
-        connected: this.openaiConnected,
+        provider: this.realtime ? `${this.realtime.sampleRate / 1000}kHz` : "not connected",
+        connected: !!this.realtime?.isConnected(),
       });
     }
 
     // Convert Float32Array samples from meeting (48kHz)
     const inputSamples = new Float32Array(frame.samples);
+    this.recordAudio("input", inputSamples, MEETING_SAMPLE_RATE);
     
-    // Resample from 48kHz (meeting) to 24kHz (OpenAI) using proper interpolation
-    const resampledSamples = resampleAudio(
-      inputSamples,
-      MEETING_SAMPLE_RATE,
-      OPENAI_TARGET_SAMPLE_RATE
-    );
-
-    // Convert to PCM16 Int16Array
-    const pcm16 = float32ToPCM16(resampledSamples);
-    
-    // Encode as base64
-    const base64Audio = arrayBufferToBase64(pcm16.buffer);
+    // Check if the realtime provider is ready and connected
+    const realtime = this.realtime;
+    if (realtime && realtime.isConnected()) {
+      try {
+        // Resample from 48kHz (meeting) to the provider rate using proper interpolation
+        const resampledSamples = resampleAudio(
+          inputSamples,
+          MEETING_SAMPLE_RATE,
+          realtime.sampleRate
+        );
 
-    // Check if OpenAI WebSocket is ready and connected
-    const isWsReady = 
-      this.openaiWs && 
-      this.openaiWs.readyState === WebSocket.OPEN && 
-      this.openaiConnected;
+        // Convert to PCM16 Int16Array
+        const pcm16 = float32ToPCM16(resampledSamples);
 
-    if (isWsReady) {
-      try {
         // Check for backpressure - adaptive throttling to match WebSocket drain rate
-        const bufferedAmount = this.openaiWs.bufferedAmount || 0;
+        const bufferedAmount = realtime.bufferedAmount;
         const MAX_BUFFERED_AMOUNT = 512 * 1024; // 512KB - stop sending completely
         const HIGH_THRESHOLD = 384 * 1024; // 384KB - drop 2 out of 3 frames (66% throttle)
         const MEDIUM_THRESHOLD = 256 * 1024; // 256KB - drop every other frame (50% throttle)
@@ -2422,21 +2796,20 @@ class BrowserBot {
         }
         
         if (shouldSkip) {
+          this.audioFramesDropped++;
           return;
         }
         
-        // Send as JSON message to OpenAI Realtime API
-        const message = {
-          type: "input_audio_buffer.append",
-          audio: base64Audio,
-        };
-        
-        this.openaiWs.send(JSON.stringify(message));
+        realtime.sendAudio(Buffer.from(pcm16.buffer, pcm16.byteOffset, pcm16.byteLength));
         this.audioBytesSent += pcm16.length * 2;
         this.audioInputFramesSent++;
       } catch (error) {
-        this.openaiConnected = false;
-        this.openaiWs = null;
+        this.logger.warn("Failed to send audio, reconnecting realtime provider", {
+          error: error.message,
+        });
+        realtime.removeAllListeners();
+        realtime.close();
+        this.realtime = null;
         this.connectionState = "disconnected";
         this.scheduleReconnect();
       }
@@ -2444,25 +2817,30 @@ class BrowserBot {
   }
 
   handleAudioChunk(buffer) {
-    // Buffer is already decoded from base64 in handleOpenAIMessage
-    // It's an ArrayBuffer containing PCM16 Int16 samples at 24kHz
+    // PCM16 Int16 samples at the realtime provider's sample rate
     const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
-    
-    // Convert PCM16 Int16Array to Float32Array
-    const pcm16Array = new Int16Array(buf.buffer, buf.byteOffset, buf.length / 2);
-    const samples24k = pcm16ToFloat32(pcm16Array);
 
-    if (samples24k.length === 0) {
-      this.logger.warn("⚠️ Received empty audio chunk from OpenAI");
+    // Only attempt to play audio if we have a valid connection
+    if (!this.realtime || !this.realtime.isConnected()) {
+      return;
+    }
+
+    // Convert PCM16 Int16Array to Float32Array (copy first - the Int16 view needs an even byte offset)
+    const aligned = Buffer.from(buf);
+    const pcm16Array = new Int16Array(aligned.buffer, aligned.byteOffset, Math.floor(aligned.length / 2));
+    const providerSamples = pcm16ToFloat32(pcm16Array);
+
+    if (providerSamples.length === 0) {
+      this.logger.warn("⚠️ Received empty audio chunk from realtime provider");
       return;
     }
 
     this.audioOutputChunksReceived++;
 
-    // Resample from 24kHz (OpenAI) to 48kHz (meeting) using proper interpolation
+    // Resample from the provider rate to 48kHz (meeting) using proper interpolation
     const samples48k = resampleAudio(
-      samples24k,
-      OPENAI_TARGET_SAMPLE_RATE,
+      providerSamples,
+      this.realtime.sampleRate,
       MEETING_SAMPLE_RATE
     );
 
@@ -2471,9 +2849,9 @@ class BrowserBot {
     // The memory overhead is acceptable since chunks are processed quickly
     const samples48kArray = Array.from(samples48k);
 
-    // Only attempt to play audio if we have a valid connection and page
-    if (!this.openaiConnected || !this.page || this.page.isClosed()) {
-      return; // Silently skip if connection/page is invalid
+    // Only attempt to play audio if we have a valid page
+    if (!this.page || this.page.isClosed()) {
+      return; // Silently skip if page is invalid
     }
     
     // Priority 1: Only add to queue if we should accept new chunks
@@ -2481,11 +2859,14 @@ class BrowserBot {
     if (!this.shouldAcceptNewChunks) {
       return; // Silently skip - response is done, let queue finish
     }
+
+    this.recordAudio("output", providerSamples, this.realtime.sampleRate);
     
     // Prevent queue overflow: if queue is too large, drop oldest chunks
     if (this.playbackQueue.length >= this.MAX_QUEUE_SIZE) {
       // Queue is full - drop oldest chunk to make room
       const dropped = this.playbackQueue.shift();
+      this.playbackQueueOverflowDrops++;
       if (this.audioOutputChunksReceived % 100 === 0) {
         this.logger.warn("⚠️ Playback queue overflow - dropped chunk", {
           queueSize: this.playbackQueue.length,
@@ -2510,11 +2891,11 @@ class BrowserBot {
     }
 
     // Early return if page is closed or connection is invalid
-    if (!this.page || this.page.isClosed() || !this.openaiConnected) {
+    if (!this.page || this.page.isClosed() || !this.realtime) {
       this.logger.warn("⚠️ playAudioQueue: Clearing queue - page closed or not connected", {
         hasPage: !!this.page,
         pageClosed: this.page?.isClosed(),
-        openaiConnected: this.openaiConnected,
+        realtimeConnected: !!this.realtime,
         queueLength: this.playbackQueue.length
       });
       this.playbackQueue = []; // Clear queue if connection is invalid
@@ -2553,11 +2934,18 @@ class BrowserBot {
     } finally {
       this.isPlayingQueue = false;
     }
+
+    // Queued say requests wait for the assistant to finish speaking
+    if (this.playbackQueue.length === 0) {
+      // The follow-up window runs from the end of what participants heard
+      this.noteAddressedAnswerProgress();
+      this.flushPendingInputs();
+    }
   }
 
   async playAudioToMeeting(audioData) {
     // Early return if page is closed or connection is invalid
-    if (!this.page || this.page.isClosed() || !this.openaiConnected) {
+    if (!this.page || this.page.isClosed() || !this.realtime) {
       return;
     }
     
@@ -2791,7 +3179,57 @@ class BrowserBot {
     }
   }
 
-  async cleanup() {
+  /**
+   * Leave the meeting through the platform UI so participants see a clean leave
+   * instead of a dropped connection. Safe to call more than once.
+   */
+  async leaveMeeting() {
+    if (!this.hasJoinedMeeting || this.hasLeftMeeting) {
+      return;
+    }
+    if (!this.platform || !this.page || this.page.isClosed()) {
+      return;
+    }
+    this.hasLeftMeeting = true;
+
+    let leaveTimeout = null;
+    try {
+      // Don't let a stuck leave flow block the rest of cleanup
+      await Promise.race([
+        this.platform.leaveMeeting(),
+        new Promise((_, reject) => {
+          leaveTimeout = setTimeout(() => reject(new Error("Leave meeting timed out")), 10000);
+        }),
+      ]);
+      this.logger.info("Left the meeting");
+      this.sendStatusUpdate(
+        "left_meeting",
+        "Bot left the meeting",
+        { platform: this.config.platform }
+      );
+    } catch (error) {
+      this.logger.warn("Failed to leave meeting cleanly", {
+        error: error.message,
+      });
+    } finally {
+      clearTimeout(leaveTimeout);
+    }
+  }
+
+  /**
+   * Leave the meeting and release every resource. Safe to call from several
+   * places at once: all callers wait for the same run, so the browser is not
+   * closed while another caller is still leaving.
+   * @returns {Promise<void>}
+   */
+  cleanup() {
+    if (!this.cleanupPromise) {
+      this.cleanupPromise = this.performCleanup();
+    }
+    return this.cleanupPromise;
+  }
+
+  async performCleanup() {
     this.logger.info("Cleaning up browser bot resources");
 
     // Send status update before closing connections (fire-and-forget)
@@ -2813,6 +3251,22 @@ class BrowserBot {
       this.reconnectTimeout = null;
     }
 
+    if (this.speakerPollInterval) {
+      clearInterval(this.speakerPollInterval);
+      this.speakerPollInterval = null;
+    }
+
+    // Emit caption turns still waiting for their block to go idle
+    if (this.captionTracker) {
+      this.captionTracker.stop();
+      this.captionTracker = null;
+    }
+
+    await this.stopRecording();
+
+    // Leave the call through the meeting UI before tearing anything down
+    await this.leaveMeeting();
+
     // Cleanup platform-specific resources (e.g., polling intervals)
     if (this.platform && typeof this.platform.cleanup === 'function') {
       try {
@@ -2840,45 +3294,26 @@ class BrowserBot {
       }
     }
 
-    // Close OpenAI WebSocket gracefully
-    if (this.openaiWs) {
-      try {
-        // Check if WebSocket is in a state that can be closed
-        if (
-          this.openaiWs.readyState === WebSocket.OPEN ||
-          this.openaiWs.readyState === WebSocket.CONNECTING
-        ) {
-          this.openaiWs.close();
-        }
-      } catch (error) {
-        this.logger.warn("Error closing OpenAI WebSocket", { error: error.message });
-      }
+    // Close the realtime provider gracefully
+    if (this.realtime) {
+      this.realtime.removeAllListeners();
+      this.realtime.close();
     }
-    this.openaiWs = null;
-    this.openaiConnected = false;
+    this.realtime = null;
     this.connectionState = "disconnected";
     this.voiceState = "idle";
+    this.responseActive = false;
+    this.pendingInputs = [];
+    this.inFlightSay = null;
+    this.pendingResponseEventId = null;
+    this.runningToolCalls.clear();
+    this.toolOutputsPending = false;
+    this.toolResponseEventId = null;
     
     // Priority 1: Clear playback queue on cleanup
     this.playbackQueue = [];
     this.isPlayingQueue = false;
     this.shouldAcceptNewChunks = true;
-    
-    // Legacy gateway cleanup (for backward compatibility)
-    if (this.gateway) {
-      try {
-        if (
-          this.gateway.readyState === WebSocket.OPEN ||
-          this.gateway.readyState === WebSocket.CONNECTING
-        ) {
-          this.gateway.close();
-        }
-      } catch (error) {
-        this.logger.warn("Error closing legacy gateway WebSocket", { error: error.message });
-      }
-    }
-    this.gateway = null;
-    this.gatewayConnected = false;
 
     if (this.page && !this.page.isClosed()) {
       try {
@@ -2914,9 +3349,10 @@ async function startPulseAudio() {
   if (!isDocker) {
     return; // Not in Docker, skip pulseaudio startup
   }
+  const log = getLogger().child({ subsystem: "audio_setup" });
 
   return new Promise((resolve) => {
-    console.log("[INFO] Starting pulseaudio daemon...");
+    log.info("Starting pulseaudio daemon...");
     
     const pulseaudio = spawn("pulseaudio", ["--start", "--exit-idle-time=-1"], {
       stdio: "ignore", // Suppress output
@@ -2926,9 +3362,9 @@ async function startPulseAudio() {
     // Handle errors gracefully - if pulseaudio is already running, that's fine
     pulseaudio.on("error", (error) => {
       if (error.code === "ENOENT") {
-        console.warn("[WARN] pulseaudio not found in PATH, skipping startup");
+        log.warn("pulseaudio not found in PATH, skipping startup");
       } else {
-        console.warn(`[WARN] Failed to start pulseaudio: ${error.message}`);
+        log.warn(`Failed to start pulseaudio: ${error.message}`);
       }
       // Even if pulseaudio fails to start, try to set up virtual sink (might already be running)
       setupVirtualSink().then(() => resolve());
@@ -2936,7 +3372,7 @@ async function startPulseAudio() {
 
     // If spawn succeeds, pulseaudio is starting
     pulseaudio.on("spawn", () => {
-      console.log("[INFO] ✅ Pulseaudio daemon started");
+      log.info("✅ Pulseaudio daemon started");
       // Don't wait for exit - pulseaudio runs as a daemon
       pulseaudio.unref(); // Allow Node.js to exit independently
       
@@ -2949,9 +3385,9 @@ async function startPulseAudio() {
     // If process exits immediately, it might already be running (which is fine)
     pulseaudio.on("exit", (code, signal) => {
       if (code === 0 || code === null) {
-        console.log("[INFO] ✅ Pulseaudio process completed (may already be running)");
+        log.info("✅ Pulseaudio process completed (may already be running)");
       } else {
-        console.warn(`[WARN] Pulseaudio exited with code ${code}, signal ${signal}`);
+        log.warn(`Pulseaudio exited with code ${code}, signal ${signal}`);
       }
       // Try to set up virtual sink anyway (pulseaudio might already be running)
       setupVirtualSink().then(() => resolve());
@@ -2965,8 +3401,9 @@ async function startPulseAudio() {
 }
 
 async function setupVirtualSink() {
+  const log = getLogger().child({ subsystem: "audio_setup" });
   return new Promise((resolve) => {
-    console.log("[INFO] Setting up virtual audio sink for low-latency injection...");
+    log.info("Setting up virtual audio sink for low-latency injection...");
     
     // Load null-sink module to create virtual audio sink
     const pactl = spawn("pactl", [
@@ -2991,9 +3428,9 @@ async function setupVirtualSink() {
 
     pactl.on("error", (error) => {
       if (error.code === "ENOENT") {
-        console.warn("[WARN] pactl not found in PATH, skipping virtual sink setup");
+        log.warn("pactl not found in PATH, skipping virtual sink setup");
       } else {
-        console.warn(`[WARN] Failed to run pactl: ${error.message}`);
+        log.warn(`Failed to run pactl: ${error.message}`);
       }
       resolve(); // Continue anyway
     });
@@ -3002,17 +3439,17 @@ async function setupVirtualSink() {
       if (code === 0) {
         const moduleId = stdout.trim();
         if (moduleId && !isNaN(parseInt(moduleId))) {
-          console.log(`[INFO] ✅ Virtual audio sink created (module ID: ${moduleId})`);
-          console.log("[INFO] ✅ Virtual sink monitor available at: virtual_sink.monitor");
+          log.info(`✅ Virtual audio sink created (module ID: ${moduleId})`);
+          log.info("✅ Virtual sink monitor available at: virtual_sink.monitor");
         } else {
-          console.log("[INFO] ✅ Virtual audio sink setup completed");
+          log.info("✅ Virtual audio sink setup completed");
         }
       } else {
         // Exit code 1 usually means module already loaded, which is fine
         if (stderr.includes("already loaded") || stderr.includes("exists")) {
-          console.log("[INFO] ✅ Virtual audio sink already exists (reusing)");
+          log.info("✅ Virtual audio sink already exists (reusing)");
         } else {
-          console.warn(`[WARN] Virtual sink setup exited with code ${code}: ${stderr.trim()}`);
+          log.warn(`Virtual sink setup exited with code ${code}: ${stderr.trim()}`);
         }
       }
       resolve();
@@ -3026,6 +3463,12 @@ async function setupVirtualSink() {
 }
 
 async function main() {
+  const log = getLogger().child({ subsystem: "main", meetingId: config.meetingId, sessionId: config.sessionId, traceId: config.traceId });
+  if (configErrors.length > 0) {
+    configErrors.forEach(({ message }) => log.error(message));
+    throw new Error(`Invalid configuration: ${configErrors.map(({ env }) => env).join(", ")}`);
+  }
+
   // Start pulseaudio daemon for WebRTC audio support (Docker only)
   await startPulseAudio();
 
@@ -3033,15 +3476,15 @@ async function main() {
   // OPENAI_REALTIME_WS_URL can be provided directly, or the bot will fetch it from API_BASE_URL
   
   if (!config.openaiRealtimeWsUrl && !config.apiBaseUrl) {
-    console.error("[ERROR] Either OPENAI_REALTIME_WS_URL or API_BASE_URL is required.");
-    console.error("[ERROR] If API_BASE_URL is set, the bot will automatically fetch a token from /api/realtime/token");
+    log.error("Either OPENAI_REALTIME_WS_URL or API_BASE_URL is required.");
+    log.error("If API_BASE_URL is set, the bot will automatically fetch a token from /api/realtime/token");
     throw new Error("Either OPENAI_REALTIME_WS_URL or API_BASE_URL environment variable is required");
   }
   
   if (config.openaiRealtimeWsUrl) {
-    console.log(`[INFO] ✅ Using provided OpenAI WebSocket URL: ${config.openaiRealtimeWsUrl.substring(0, 60)}...`);
+    log.info(`✅ Using provided OpenAI WebSocket URL: ${config.openaiRealtimeWsUrl.substring(0, 60)}...`);
   } else if (config.apiBaseUrl) {
-    console.log(`[INFO] ✅ API_BASE_URL is set - bot will fetch token from ${config.apiBaseUrl}/api/realtime/token`);
+    log.info(`✅ API_BASE_URL is set - bot will fetch token from ${config.apiBaseUrl}/api/realtime/token`);
   }
 
   const bot = new BrowserBot(config);
@@ -3049,10 +3492,15 @@ async function main() {
 }
 
 if (require.main === module) {
-  main().catch(async (error) => {
-    console.error("[ERROR] Browser bot terminated with error", error);
-    process.exit(1);
-  });
+  main().then(
+    // Buffered file and HTTP log records are written before the process ends
+    () => getLogger().close(),
+    async (error) => {
+      getLogger().error("Browser bot terminated with error", { error });
+      await getLogger().close();
+      process.exit(1);
+    }
+  );
 }
 
 module.exports = {
@@ -0,0 +1,146 @@
+/**
+ * Admission control for bot starts.
+ * Limits concurrently running bots, refuses starts when the host is short on
+ * memory or CPU, and holds excess starts in a FIFO queue until capacity frees up.
+ */
+
+const os = require("os");
+
+class AdmissionController {
+  /**
+   * @param {object} options
+   * @param {function(): number} options.getRunningCount - Bots currently running
+   * @param {number} [options.maxConcurrent] - Max running bots (0 = unlimited)
+   * @param {number} [options.minFreeMemoryMb] - Free memory required to start a bot (0 = ignore)
+   * @param {number} [options.maxLoadPerCpu] - 1-minute load average per CPU above which starts wait (0 = ignore)
+   * @param {number} [options.maxQueueSize] - Starts allowed to wait (0 = reject immediately)
+   * @param {number} [options.queueTimeoutSec] - How long a start may wait before it is dropped
+   * @param {number} [options.retryAfterSec] - Retry-After hint for rejected starts
+   * @param {function(object): void} [options.onTimeout] - Called with the entry when a queued start expires
+   */
+  constructor(options) {
+    this.getRunningCount = options.getRunningCount;
+    this.maxConcurrent = options.maxConcurrent ?? 5;
+    this.minFreeMemoryMb = options.minFreeMemoryMb ?? 512;
+    this.maxLoadPerCpu = options.maxLoadPerCpu ?? 2;
+    this.maxQueueSize = options.maxQueueSize ?? 20;
+    this.queueTimeoutSec = options.queueTimeoutSec ?? 600;
+    this.retryAfterSec = options.retryAfterSec ?? 30;
+    this.onTimeout = options.onTimeout || (() => {});
+    this.queue = []; // { meetingId, enqueuedAt, start }
+    this.drainTimer = null;
+  }
+
+  /**
+   * Host resource check.
+   * @returns {{ok: boolean, reason?: string}}
+   */
+  checkResources() {
+    const freeMemoryMb = os.freemem() / (1024 * 1024);
+    if (this.minFreeMemoryMb > 0 && freeMemoryMb < this.minFreeMemoryMb) {
+      return { ok: false, reason: `Free memory ${Math.round(freeMemoryMb)}MB below ${this.minFreeMemoryMb}MB` };
+    }
+
+    const loadPerCpu = os.loadavg()[0] / Math.max(os.cpus().length, 1);
+    if (this.maxLoadPerCpu > 0 && loadPerCpu > this.maxLoadPerCpu) {
+      return { ok: false, reason: `CPU load ${loadPerCpu.toFixed(2)} per core above ${this.maxLoadPerCpu}` };
+    }
+
+    return { ok: true };
+  }
+
+  /**
+   * Whether a new bot may launch right now.
+   * @returns {{ok: boolean, reason?: string}}
+   */
+  checkCapacity() {
+    if (this.maxConcurrent > 0 && this.getRunningCount() >= this.maxConcurrent) {
+      return { ok: false, reason: `Concurrent bot limit (${this.maxConcurrent}) reached` };
+    }
+    return this.checkResources();
+  }
+
+  /**
+   * Decide what to do with a start request.
+   * Starts only launch immediately when nothing is already waiting, so the queue stays FIFO.
+   * @returns {{action: "start"|"queue"|"reject", reason?: string}}
+   */
+  admit() {
+    const capacity = this.checkCapacity();
+    if (capacity.ok && this.queue.length === 0) {
+      return { action: "start" };
+    }
+    if (this.queue.length < this.maxQueueSize) {
+      return { action: "queue", reason: capacity.reason || "Earlier starts are still queued" };
+    }
+    return { action: "reject", reason: capacity.reason || "Start queue is full" };
+  }
+
+  /**
+   * Queue a start until capacity is available.
+   * @param {string} meetingId
+   * @param {function(): void} start - Launches the bot
+   * @returns {number} 1-based queue position
+   */
+  enqueue(meetingId, start) {
+    this.queue.push({ meetingId, enqueuedAt: Date.now(), start });
+    this.scheduleDrain();
+    return this.queue.length;
+  }
+
+  /**
+   * @returns {number|null} 1-based queue position, or null if not queued
+   */
+  position(meetingId) {
+    const index = this.queue.findIndex((entry) => entry.meetingId === meetingId);
+    return index === -1 ? null : index + 1;
+  }
+
+  isQueued(meetingId) {
+    return this.position(meetingId) !== null;
+  }
+
+  /**
+   * Remove a queued start.
+   * @returns {boolean} Whether the meeting was queued
+   */
+  cancel(meetingId) {
+    const index = this.queue.findIndex((entry) => entry.meetingId === meetingId);
+    if (index === -1) return false;
+    this.queue.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Launch queued starts while there is capacity, dropping expired entries.
+   */
+  drain() {
+    const now = Date.now();
+    const expired = this.queue.filter(
+      (entry) => this.queueTimeoutSec > 0 && now - entry.enqueuedAt > this.queueTimeoutSec * 1000
+    );
+    this.queue = this.queue.filter((entry) => !expired.includes(entry));
+    expired.forEach((entry) => this.onTimeout(entry));
+
+    while (this.queue.length > 0 && this.checkCapacity().ok) {
+      const entry = this.queue.shift();
+      entry.start();
+    }
+
+    this.scheduleDrain();
+  }
+
+  /**
+   * Re-check the queue periodically - memory/CPU can free up without a bot finishing.
+   */
+  scheduleDrain() {
+    if (this.drainTimer || this.queue.length === 0) return;
+    this.drainTimer = setTimeout(() => {
+      this.drainTimer = null;
+      this.drain();
+    }, 5000);
+    this.drainTimer.unref?.();
+  }
+}
+
+module.exports = AdmissionController;
@@ -0,0 +1,193 @@
+/**
+ * API authentication for the bot server.
+ *
+ * Keys come from API_KEYS (JSON) or API_KEYS_FILE:
+ *   [{ "id": "backend", "key": "secret", "scopes": ["start", "stop", "read"], "tenant": "acme" }]
+ *
+ * A request authenticates either with the key itself (Authorization: Bearer,
+ * X-API-Key, or ?access_token= for EventSource/WebSocket clients) or with an
+ * HMAC-SHA256 signature:
+ *   X-Aurray-Key-Id:    key id
+ *   X-Aurray-Timestamp: unix milliseconds
+ *   X-Aurray-Signature: hex HMAC of "<timestamp>.<METHOD>.<path with query>.<raw body>"
+ *
+ * Keys with a tenant only see that tenant's meetings; keys without one see all.
+ * When no keys are configured authentication is disabled.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const SCOPES = ["start", "stop", "read"];
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Parse API key definitions from the environment.
+ * @param {object} env
+ * @returns {Array<{id: string, key: string, scopes: string[], tenant: string|null}>}
+ */
+function loadApiKeys(env = process.env) {
+  const raw = env.API_KEYS_FILE ? fs.readFileSync(env.API_KEYS_FILE, "utf8") : env.API_KEYS;
+  if (!raw || !raw.trim()) {
+    return [];
+  }
+
+  const parsed = JSON.parse(raw);
+  if (!Array.isArray(parsed)) {
+    throw new Error("API_KEYS must be a JSON array of key definitions");
+  }
+
+  return parsed.map((definition, index) => {
+    if (!definition || typeof definition.key !== "string" || !definition.key) {
+      throw new Error(`API key definition ${index} is missing "key"`);
+    }
+    const scopes = definition.scopes || SCOPES;
+    const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+    if (unknown.length) {
+      throw new Error(`API key definition ${index} has unknown scopes: ${unknown.join(", ")}`);
+    }
+    return {
+      id: definition.id || `key-${index}`,
+      key: definition.key,
+      scopes,
+      tenant: definition.tenant || null,
+    };
+  });
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Compute the request signature expected in X-Aurray-Signature.
+ * @param {string} secret
+ * @param {object} request
+ * @param {string|number} request.timestamp
+ * @param {string} request.method
+ * @param {string} request.path - Path including query string
+ * @param {Buffer|string} [request.body]
+ * @returns {string} Hex digest
+ */
+function signRequest(secret, { timestamp, method, path, body = "" }) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${path}.`)
+    .update(body)
+    .digest("hex");
+}
+
+function createAuthenticator(keys = []) {
+  const enabled = keys.length > 0;
+
+  function clientFor(definition) {
+    return { id: definition.id, scopes: definition.scopes, tenant: definition.tenant };
+  }
+
+  /**
+   * Identify the caller of an HTTP request (or WebSocket upgrade).
+   * @returns {{client: object}|{status: number, error: string}}
+   */
+  function authenticate(req) {
+    const headers = req.headers || {};
+    const path = req.originalUrl || req.url || "";
+
+    const keyId = headers["x-aurray-key-id"];
+    if (keyId) {
+      const definition = keys.find((candidate) => candidate.id === keyId);
+      const timestamp = headers["x-aurray-timestamp"];
+      const signature = headers["x-aurray-signature"];
+      if (!definition || !timestamp || !signature) {
+        return { status: 401, error: "Invalid request signature" };
+      }
+      // Only whole milliseconds; Number() would let "abc" through as NaN
+      if (!/^\d+$/.test(timestamp) || !Number.isSafeInteger(Number(timestamp))) {
+        return { status: 401, error: "Invalid request timestamp" };
+      }
+      if (Math.abs(Date.now() - Number(timestamp)) > SIGNATURE_TOLERANCE_MS) {
+        return { status: 401, error: "Request signature expired" };
+      }
+      const expected = signRequest(definition.key, {
+        timestamp,
+        method: req.method || "GET",
+        path,
+        body: req.rawBody || "",
+      });
+      if (!safeEqual(expected, signature)) {
+        return { status: 401, error: "Invalid request signature" };
+      }
+      return { client: clientFor(definition) };
+    }
+
+    let token = headers["x-api-key"];
+    const authorization = headers.authorization || "";
+    if (!token && /^Bearer /i.test(authorization)) {
+      token = authorization.slice(7).trim();
+    }
+    if (!token) {
+      token = new URL(path, "http://localhost").searchParams.get("access_token");
+    }
+    if (!token) {
+      return { status: 401, error: "Authentication required" };
+    }
+
+    const definition = keys.find((candidate) => safeEqual(candidate.key, token));
+    if (!definition) {
+      return { status: 401, error: "Invalid API key" };
+    }
+    return { client: clientFor(definition) };
+  }
+
+  /**
+   * Express middleware requiring an authenticated client with the given scope.
+   * Sets req.client (null when authentication is disabled).
+   * @param {string} scope - start, stop or read
+   */
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (!enabled) {
+        req.client = null;
+        return next();
+      }
+
+      const result = authenticate(req);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      if (!result.client.scopes.includes(scope)) {
+        return res.status(403).json({
+          error: "Forbidden",
+          message: `API key is not allowed to ${scope}`,
+        });
+      }
+
+      req.client = result.client;
+      next();
+    };
+  }
+
+  /**
+   * Whether a client may see a meeting owned by the given tenant.
+   * @param {object|null} client
+   * @param {string|null} tenant
+   */
+  function canAccessTenant(client, tenant) {
+    return !client || !client.tenant || client.tenant === tenant;
+  }
+
+  return {
+    enabled,
+    authenticate,
+    requireScope,
+    canAccessTenant,
+  };
+}
+
+module.exports = {
+  SCOPES,
+  loadApiKeys,
+  signRequest,
+  createAuthenticator,
+};
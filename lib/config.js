@@ -0,0 +1,252 @@
+/**
+ * Bot configuration schema.
+ * Each option is declared once with its environment variable, type, default
+ * and limits. bot_entry_v2.js parses process.env with it and the server
+ * parses each meeting's environment with it, so both apply the same defaults
+ * and validation. GET /config/schema serves describeConfigSchema().
+ */
+
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { LOG_LEVELS } = require("./logger");
+const { TRANSCRIPT_SOURCES } = require("./transcript");
+const { PLATFORM_REGISTRY } = require("../platforms");
+const { REALTIME_PROVIDER_REGISTRY } = require("../realtime");
+const { parseToolDeclarations, parseMeetingControls } = require("../realtime/tools");
+const { parseSessionSettings } = require("../realtime/session");
+const { RESPONSE_MODES } = require("../realtime/addressing");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const TRUE_VALUES = ["1", "true", "yes", "on"];
+const FALSE_VALUES = ["0", "false", "no", "off"];
+
+// Voices accepted by the OpenAI Realtime API
+const VOICES = ["alloy", "ash", "ballad", "coral", "echo", "sage", "shimmer", "verse", "marin", "cedar"];
+const BROWSER_ENGINES = ["chromium", "chrome"];
+
+/**
+ * Option fields:
+ * - key: property on the parsed config
+ * - env: environment variable (also the name accepted in /start-meeting bodies)
+ * - type: string, boolean, integer, number, enum or list
+ * - default: value, or function(config) for defaults derived from other options
+ * - defaultDescription: shown instead of a derived default in the schema
+ * - values: allowed values for enums (lowercased before checking)
+ * - min, max: inclusive limits for integers and numbers
+ * - validate: function(value) returning an error message or null
+ * - requestField: /start-meeting body field that sets the option
+ * - requestable: false when a request may not set the option by its env name
+ * - serverOnly: set by the server's own environment, never per meeting. Also
+ *   used for options a caller could abuse: browser flags can run commands on
+ *   the host, and backend URLs and keys decide where tokens and tool calls go
+ */
+const CONFIG_SCHEMA = [
+  // Meeting
+  { key: "meetingId", env: "MEETING_ID", type: "string", required: true, requestField: "meetingId", requestable: false, description: "Meeting identifier used by the API, logs and stored files" },
+  { key: "meetingUrl", env: "MEETING_URL", type: "string", required: true, requestField: "meetingUrl", requestable: false, description: "Meeting link to join" },
+  { key: "platform", env: "PLATFORM", type: "enum", values: Object.keys(PLATFORM_REGISTRY), default: "google_meet", requestField: "platform", requestable: false, description: "Meeting platform" },
+  { key: "botName", env: "BOT_NAME", type: "string", default: "Aurray Bot", requestField: "botName", requestable: false, description: "Display name in the meeting" },
+  { key: "sessionId", env: "SESSION_ID", type: "string", default: (config) => config.meetingId || uuidv4(), defaultDescription: "meetingId, or a random UUID", requestField: "sessionId", requestable: false, description: "Backend session for status updates and realtime tokens" },
+  { key: "traceId", env: "TRACE_ID", type: "string", default: () => uuidv4(), defaultDescription: "the X-Request-Id of the start request, or a random UUID", requestable: false, description: "Correlates logs and status updates with the request that started the bot" },
+  { key: "isOrganizer", env: "IS_ORGANIZER", type: "boolean", default: false, description: "The bot's account organizes the meeting and may admit participants" },
+  { key: "leaveWhenAloneAfterMin", env: "LEAVE_WHEN_ALONE_AFTER_MIN", type: "number", default: 5, min: 0, description: "Leave after being the only participant this long (0 disables)" },
+
+  // Browser
+  { key: "headless", env: "HEADLESS", type: "boolean", default: true, description: "Run the browser without a window" },
+  { key: "browserEngine", env: "BROWSER_ENGINE", type: "enum", values: BROWSER_ENGINES, default: "chromium", description: "Bundled Chromium or installed Google Chrome" },
+  { key: "browserLocale", env: "BROWSER_LOCALE", type: "string", default: "en-US", description: "Browser locale" },
+  { key: "browserArgs", env: "BROWSER_ARGS", type: "list", default: [], serverOnly: true, description: "Extra comma-separated browser flags" },
+  { key: "navigationTimeoutMs", env: "NAVIGATION_TIMEOUT_MS", type: "integer", default: 45000, min: 1000, max: 600000, description: "Timeout for loading the meeting page" },
+
+  // Backend
+  { key: "apiBaseUrl", env: "API_BASE_URL", type: "string", serverOnly: true, description: "Backend for status updates, realtime tokens and tool calls" },
+  { key: "shouldSendStatus", env: "SHOULD_SEND_STATUS", type: "boolean", default: false, description: "POST status updates to API_BASE_URL" },
+  { key: "logLevel", env: "LOG_LEVEL", type: "enum", values: Object.keys(LOG_LEVELS), default: "info", description: "Bot log level" },
+
+  // Realtime AI
+  { key: "realtimeProvider", env: "REALTIME_PROVIDER", type: "enum", values: Object.keys(REALTIME_PROVIDER_REGISTRY), default: "openai", description: "Realtime AI backend" },
+  { key: "openaiApiKey", env: "OPENAI_API_KEY", type: "string", serverOnly: true, description: "OpenAI API key" },
+  { key: "openaiRealtimeWsUrl", env: "OPENAI_REALTIME_WS_URL", type: "string", serverOnly: true, description: "Realtime WebSocket URL with token (fetched from API_BASE_URL when unset)" },
+  { key: "rtGatewayUrl", env: "RT_GATEWAY_URL", type: "string", serverOnly: true, description: "Raw PCM gateway for REALTIME_PROVIDER=gateway" },
+  { key: "voice", env: "VOICE", type: "enum", values: VOICES, default: "alloy", description: "Assistant voice" },
+  { key: "instructions", env: "INSTRUCTIONS", type: "string", default: "You are a helpful meeting assistant. Keep responses concise and professional.", description: "System instructions for the assistant" },
+  { key: "tools", env: "TOOLS", type: "string", validate: (value) => parseToolDeclarations(value).error || null, requestField: "tools", description: "JSON array of tool declarations" },
+  { key: "toolsUrl", env: "TOOLS_URL", type: "string", serverOnly: true, description: "Endpoint for declared tools without their own url" },
+  { key: "meetingControls", env: "MEETING_CONTROLS", type: "string", validate: (value) => parseMeetingControls(value).error || null, requestField: "meetingControls", description: "Meeting actions the assistant may take: microphone, leave, chat, admit or all" },
+  { key: "realtimeSession", env: "REALTIME_SESSION", type: "string", validate: (value) => parseSessionSettings(value).error || null, requestField: "session", description: "JSON session tuning: turn detection, transcription model and language, temperature, max response tokens, modalities" },
+  { key: "responseMode", env: "RESPONSE_MODE", type: "enum", values: RESPONSE_MODES, default: "always", description: "always answers every turn; addressed only answers turns naming the bot or a wake phrase, and follow-ups" },
+  { key: "wakePhrases", env: "WAKE_PHRASES", type: "list", default: [], description: "Extra comma-separated phrases that address the bot in addressed mode (its name always does)" },
+  { key: "followUpWindowSec", env: "FOLLOW_UP_WINDOW_SEC", type: "number", default: 20, min: 0, max: 600, description: "In addressed mode, answer turns starting this long after the bot's last answer (0 disables)" },
+  { key: "transcriptSource", env: "TRANSCRIPT_SOURCE", type: "enum", values: TRANSCRIPT_SOURCES, default: "model", description: "Where transcript turns come from" },
+
+  // Recording and debugging
+  { key: "recordAudio", env: "RECORD_AUDIO", type: "boolean", default: false, description: "Record meeting audio to WAV" },
+  { key: "recordingSampleRate", env: "RECORDING_SAMPLE_RATE", type: "integer", default: 16000, min: 8000, max: 48000, description: "Sample rate of recordings in Hz" },
+  { key: "recordingMaxDurationMin", env: "RECORDING_MAX_DURATION_MIN", type: "number", default: 240, min: 0, description: "Stop recording after this long (0 = unlimited)" },
+  { key: "recordingsDir", env: "RECORDINGS_DIR", type: "string", default: path.join(ROOT_DIR, "logs", "recordings"), serverOnly: true, description: "Directory for recordings" },
+  { key: "debugArtifacts", env: "DEBUG_ARTIFACTS", type: "boolean", default: false, description: "Capture video, a HAR file and a join trace" },
+  { key: "artifactsDir", env: "ARTIFACTS_DIR", type: "string", default: path.join(ROOT_DIR, "logs", "artifacts"), serverOnly: true, description: "Directory for debug artifacts" },
+  { key: "screenshotsDir", env: "SCREENSHOTS_DIR", type: "string", defaultDescription: "/app/logs/screenshots in Docker, else ./logs/screenshots", serverOnly: true, description: "Directory for screenshots and failure captures" },
+];
+
+const OPTIONS_BY_ENV = new Map(CONFIG_SCHEMA.map((option) => [option.env, option]));
+
+function isUnset(value) {
+  return value === undefined || value === null || value === "";
+}
+
+/**
+ * Convert one raw value to the option's type.
+ * @returns {{value: *}|{error: string}}
+ */
+function parseValue(option, raw) {
+  const text = Array.isArray(raw) ? raw.join(",") : String(raw).trim();
+
+  switch (option.type) {
+    case "boolean": {
+      const normalized = text.toLowerCase();
+      if (TRUE_VALUES.includes(normalized)) return { value: true };
+      if (FALSE_VALUES.includes(normalized)) return { value: false };
+      return { error: `${option.env} must be a boolean (true/false), got "${text}"` };
+    }
+    case "integer":
+    case "number": {
+      const value = Number(text);
+      if (text === "" || !Number.isFinite(value) || (option.type === "integer" && !Number.isInteger(value))) {
+        return { error: `${option.env} must be ${option.type === "integer" ? "an integer" : "a number"}, got "${text}"` };
+      }
+      if ((option.min !== undefined && value < option.min) || (option.max !== undefined && value > option.max)) {
+        const range = option.max === undefined ? `at least ${option.min}` : `between ${option.min} and ${option.max}`;
+        return { error: `${option.env} must be ${range}, got ${value}` };
+      }
+      return { value };
+    }
+    case "enum": {
+      const value = text.toLowerCase();
+      if (!option.values.includes(value)) {
+        return { error: `Unsupported ${option.env} "${text}". Supported values: ${option.values.join(", ")}` };
+      }
+      return { value };
+    }
+    case "list":
+      return { value: text.split(",").map((item) => item.trim()).filter(Boolean) };
+    default: {
+      // Request bodies are JSON, so anything may arrive here
+      if (typeof raw !== "string") {
+        return { error: `${option.env} must be a string` };
+      }
+      const error = option.validate ? option.validate(raw) : null;
+      return error ? { error } : { value: raw };
+    }
+  }
+}
+
+/**
+ * Validate a single option value, e.g. a voice change for a running bot.
+ * @param {string} key - Config key
+ * @param {*} raw
+ * @returns {{value: *}|{error: string}}
+ */
+function parseOptionValue(key, raw) {
+  const option = CONFIG_SCHEMA.find((candidate) => candidate.key === key);
+  if (!option) {
+    return { error: `Unknown option "${key}"` };
+  }
+  if (isUnset(raw)) {
+    return { error: `${key} must not be empty` };
+  }
+  return parseValue(option, raw);
+}
+
+/**
+ * Parse a bot environment into a config object.
+ * Unset options get their defaults; invalid values are reported and replaced
+ * by the default so callers can still inspect the rest.
+ * @param {object} env - Environment variables (process.env or a meeting's envVars)
+ * @returns {{config: object, errors: {option: string, env: string, message: string}[]}}
+ */
+function parseConfig(env) {
+  const config = {};
+  const errors = [];
+  const derived = [];
+
+  for (const option of CONFIG_SCHEMA) {
+    const raw = env[option.env];
+    if (!isUnset(raw)) {
+      const parsed = parseValue(option, raw);
+      if (!parsed.error) {
+        config[option.key] = parsed.value;
+        continue;
+      }
+      errors.push({ option: option.key, env: option.env, message: parsed.error });
+    } else if (option.required) {
+      errors.push({ option: option.key, env: option.env, message: `${option.env} is required` });
+    }
+
+    if (typeof option.default === "function") {
+      derived.push(option);
+    } else {
+      config[option.key] = Array.isArray(option.default) ? [...option.default] : option.default;
+    }
+  }
+
+  for (const option of derived) {
+    config[option.key] = option.default(config);
+  }
+  return { config, errors };
+}
+
+/**
+ * Check per-meeting overrides from a start request (the body's extra keys).
+ * Only declared options may be set, and server settings never.
+ * @param {object} overrides - Env-named options
+ * @returns {{option: string|null, env: string, message: string}[]}
+ */
+function validateOverrides(overrides) {
+  const errors = [];
+  for (const name of Object.keys(overrides)) {
+    const option = OPTIONS_BY_ENV.get(name);
+    if (!option) {
+      errors.push({ option: null, env: name, message: `Unknown option "${name}". See GET /config/schema` });
+    } else if (option.serverOnly) {
+      errors.push({ option: option.key, env: name, message: `${name} is a server setting and cannot be set per meeting` });
+    } else if (option.requestable === false) {
+      const hint = option.requestField ? `; use "${option.requestField}"` : "";
+      errors.push({ option: option.key, env: name, message: `${name} cannot be set directly${hint}` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * JSON-friendly schema for GET /config/schema.
+ * @returns {object[]}
+ */
+function describeConfigSchema() {
+  return CONFIG_SCHEMA.map((option) => {
+    const described = {
+      key: option.key,
+      env: option.env,
+      type: option.type,
+      description: option.description,
+      required: Boolean(option.required),
+      default: typeof option.default === "function" ? null : option.default ?? null,
+      scope: option.serverOnly ? "server" : "meeting",
+      requestable: !option.serverOnly && option.requestable !== false,
+    };
+    if (option.defaultDescription) described.defaultDescription = option.defaultDescription;
+    if (option.values) described.values = option.values;
+    if (option.min !== undefined) described.min = option.min;
+    if (option.max !== undefined) described.max = option.max;
+    if (option.requestField) described.requestField = option.requestField;
+    return described;
+  });
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  describeConfigSchema,
+  parseConfig,
+  parseOptionValue,
+  validateOverrides,
+};
@@ -0,0 +1,137 @@
+/**
+ * Per-meeting structured log stream.
+ * Keeps a bounded backlog of entries with increasing sequence numbers so
+ * SSE/WebSocket clients can resume from a cursor after reconnecting.
+ */
+
+const { EventEmitter } = require("events");
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Check whether an entry passes a minimum level filter.
+ * @param {string} level - Entry level
+ * @param {string} [minLevel] - Minimum level to include (debug, info, warn, error)
+ * @returns {boolean}
+ */
+function meetsLevel(level, minLevel) {
+  if (!minLevel) return true;
+  const minIndex = LOG_LEVELS.indexOf(String(minLevel).toLowerCase());
+  if (minIndex === -1) return true;
+  return LOG_LEVELS.indexOf(level) >= minIndex;
+}
+
+class MeetingLogStream extends EventEmitter {
+  /**
+   * @param {string} meetingId
+   * @param {object} [options]
+   * @param {number} [options.maxEntries] - Backlog size available to `since` queries
+   */
+  constructor(meetingId, options = {}) {
+    super();
+    this.meetingId = meetingId;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.entries = [];
+    this.nextSeq = 1;
+    this.closed = false;
+    // Every connected client adds a listener
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Append an entry and notify subscribers.
+   * @param {object} entry
+   * @param {string} entry.level - debug, info, warn or error
+   * @param {string} entry.source - Subsystem that produced the line (bot, platform, server)
+   * @param {string} entry.message
+   * @param {object} [entry.meta]
+   * @returns {object|null} The stored entry with seq and timestamp, or null once closed
+   */
+  push({ level, source, message, meta = {} }) {
+    // Bot cleanup keeps logging after the meeting finished; subscribers are gone by then
+    if (this.closed) return null;
+
+    const entry = {
+      seq: this.nextSeq++,
+      timestamp: new Date().toISOString(),
+      meetingId: this.meetingId,
+      level: LOG_LEVELS.includes(level) ? level : "info",
+      source: source || "bot",
+      message,
+      meta,
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+
+    this.emit("entry", entry);
+    return entry;
+  }
+
+  /**
+   * Entries after a cursor, optionally filtered by minimum level.
+   * @param {number} [since] - Last seq the client has seen
+   * @param {string} [minLevel]
+   * @returns {object[]}
+   */
+  since(since = 0, minLevel) {
+    return this.entries.filter(
+      (entry) => entry.seq > since && meetsLevel(entry.level, minLevel)
+    );
+  }
+
+  /**
+   * Subscribe to new entries. Backlog after `since` is delivered first.
+   * @param {function(object): void} onEntry
+   * @param {object} [options]
+   * @param {number} [options.since]
+   * @param {string} [options.level]
+   * @param {function(): void} [options.onEnd] - Called when the meeting finishes
+   * @returns {function(): void} Unsubscribe
+   */
+  subscribe(onEntry, { since = 0, level, onEnd } = {}) {
+    for (const entry of this.since(since, level)) {
+      onEntry(entry);
+    }
+
+    if (this.closed) {
+      if (onEnd) onEnd();
+      return () => {};
+    }
+
+    const listener = (entry) => {
+      if (meetsLevel(entry.level, level)) onEntry(entry);
+    };
+    const endListener = () => {
+      if (onEnd) onEnd();
+    };
+
+    this.on("entry", listener);
+    this.once("end", endListener);
+
+    return () => {
+      this.off("entry", listener);
+      this.off("end", endListener);
+    };
+  }
+
+  /**
+   * Mark the stream finished; subscribers get their onEnd callback and
+   * receive no further entries.
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit("end");
+    this.removeAllListeners("entry");
+  }
+}
+
+module.exports = {
+  MeetingLogStream,
+  LOG_LEVELS,
+  meetsLevel,
+};
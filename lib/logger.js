@@ -0,0 +1,379 @@
+/**
+ * Structured logging shared by the server and the bots.
+ * Every line is one JSON object:
+ *   { timestamp, level, message, meetingId, sessionId, traceId, subsystem, ..., meta }
+ * Context fields come from child() and are omitted when unset. Records go to
+ * the configured sinks: stdout, a rotating file and/or an HTTP collector.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_SINKS = ["stdout", "file", "http"];
+// Correlation fields passed in meta are lifted to the top level of the record
+const CORRELATION_FIELDS = ["meetingId", "sessionId", "traceId"];
+
+/**
+ * Make meta JSON-safe: Errors become { message, stack } instead of {}.
+ */
+function serializeMeta(meta) {
+  const result = {};
+  for (const [key, value] of Object.entries(meta)) {
+    result[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+  }
+  return result;
+}
+
+/**
+ * @param {object} record
+ * @returns {string} Human-readable line for LOG_FORMAT=text
+ */
+function formatText(record) {
+  const { timestamp, level, message, meta, subsystem, meetingId } = record;
+  const scope = [subsystem, meetingId].filter(Boolean).map((part) => `[${part}]`).join(" ");
+  const metaText = meta ? ` ${JSON.stringify(meta)}` : "";
+  return `[${timestamp}] [${level.toUpperCase()}]${scope ? ` ${scope}` : ""} ${message}${metaText}`;
+}
+
+class StdoutSink {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.format] - json (default) or text
+   * @param {{write: function(string): void}} [options.stream]
+   */
+  constructor(options = {}) {
+    this.format = options.format || "json";
+    this.stream = options.stream || process.stdout;
+  }
+
+  write(record) {
+    this.stream.write(`${this.format === "text" ? formatText(record) : JSON.stringify(record)}\n`);
+  }
+}
+
+/**
+ * Appends JSON lines to a file, rotating to <file>.1 ... <file>.<maxFiles>
+ * once it grows past maxBytes. Writes are buffered by a WriteStream so
+ * logging never blocks the event loop; close() waits for them.
+ */
+class FileSink {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath
+   * @param {number} [options.maxBytes] - default 10MB
+   * @param {number} [options.maxFiles] - Rotated files kept (default 5)
+   */
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles ?? 5;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+    this.closed = false;
+    this.stream = this.open();
+  }
+
+  // Opened synchronously so a rotation right after it renames the file this stream writes to
+  open() {
+    const stream = fs.createWriteStream(null, { fd: fs.openSync(this.filePath, "a") });
+    stream.on("error", (error) => {
+      process.stderr.write(`Failed to write log file ${this.filePath}: ${error.message}\n`);
+    });
+    return stream;
+  }
+
+  write(record) {
+    if (this.closed) return;
+    const line = `${JSON.stringify(record)}\n`;
+    if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxBytes) {
+      this.rotate();
+    }
+    this.stream.write(line);
+    this.size += Buffer.byteLength(line);
+  }
+
+  rotate() {
+    // Lines still buffered land in the renamed file, which they belong to
+    this.stream.end();
+    try {
+      fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+      for (let index = this.maxFiles - 1; index >= 1; index--) {
+        const source = `${this.filePath}.${index}`;
+        if (fs.existsSync(source)) fs.renameSync(source, `${this.filePath}.${index + 1}`);
+      }
+      if (this.maxFiles > 0) {
+        fs.renameSync(this.filePath, `${this.filePath}.1`);
+      } else {
+        fs.rmSync(this.filePath, { force: true });
+      }
+    } catch (error) {
+      process.stderr.write(`Failed to rotate log file ${this.filePath}: ${error.message}\n`);
+    }
+    this.size = 0;
+    this.stream = this.open();
+  }
+
+  /**
+   * Write out buffered lines and close the file.
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (this.closed) return Promise.resolve();
+    this.closed = true;
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+}
+
+/**
+ * Batches records and POSTs them as newline-delimited JSON. Records beyond
+ * maxBuffered are dropped (oldest first) while the collector is unreachable.
+ */
+class HttpSink {
+  /**
+   * @param {object} options
+   * @param {string} options.url
+   * @param {object} [options.headers]
+   * @param {number} [options.batchSize] - Send as soon as this many records are buffered (default 100)
+   * @param {number} [options.flushIntervalMs] - default 2000
+   * @param {number} [options.maxBuffered] - default 5000
+   * @param {number} [options.timeoutMs] - default 5000
+   * @param {function} [options.post] - (url, body, config) => Promise, for tests
+   */
+  constructor(options) {
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.batchSize = options.batchSize || 100;
+    this.maxBuffered = options.maxBuffered || 5000;
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.post = options.post || ((url, body, config) => axios.post(url, body, config));
+    this.buffer = [];
+    this.dropped = 0;
+    this.sending = null;
+    this.timer = setInterval(() => this.flush(), options.flushIntervalMs || 2000);
+    this.timer.unref?.();
+  }
+
+  write(record) {
+    this.buffer.push(record);
+    if (this.buffer.length > this.maxBuffered) {
+      this.buffer.shift();
+      this.dropped++;
+    }
+    if (this.buffer.length >= this.batchSize) this.flush();
+  }
+
+  /**
+   * Send everything buffered. Only one request is in flight at a time.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.sending || this.buffer.length === 0) return this.sending || Promise.resolve();
+
+    const batch = this.buffer.splice(0, this.batchSize);
+    const body = batch.map((record) => JSON.stringify(record)).join("\n") + "\n";
+    this.sending = this.post(this.url, body, {
+      headers: { "Content-Type": "application/x-ndjson", ...this.headers },
+      timeout: this.timeoutMs,
+    })
+      .catch((error) => {
+        // Put the batch back for the next flush, within the buffer limit
+        this.buffer.unshift(...batch);
+        const overflow = this.buffer.length - this.maxBuffered;
+        if (overflow > 0) {
+          this.buffer.splice(0, overflow);
+          this.dropped += overflow;
+        }
+        process.stderr.write(`Failed to ship logs to ${this.url}: ${error.message}\n`);
+      })
+      .finally(() => {
+        this.sending = null;
+      });
+    return this.sending;
+  }
+
+  /**
+   * Stop the timer and send everything buffered, one batch at a time, until
+   * the buffer is empty or the collector fails.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this.timer);
+    await this.sending;
+    while (this.buffer.length > 0) {
+      const remaining = this.buffer.length;
+      await this.flush();
+      if (this.buffer.length >= remaining) break;
+    }
+  }
+}
+
+class Logger {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.level] - debug, info, warn or error (default info)
+   * @param {object} [options.context] - Fields added to every record (meetingId, sessionId, traceId, subsystem, ...)
+   * @param {object[]} [options.sinks] - Objects with write(record)
+   */
+  constructor(options = {}) {
+    this.level = LOG_LEVELS[options.level] ? options.level : "info";
+    this.context = options.context || {};
+    this.sinks = options.sinks || [];
+  }
+
+  /**
+   * Logger with extra context fields, sharing this logger's level and sinks.
+   * @param {object} [extra]
+   * @returns {Logger}
+   */
+  child(extra = {}) {
+    return new Logger({ level: this.level, context: { ...this.context, ...extra }, sinks: this.sinks });
+  }
+
+  /**
+   * Same logger, also writing to one more sink (e.g. a per-meeting capture).
+   * @param {{write: function(object): void}} sink
+   * @returns {Logger}
+   */
+  withSink(sink) {
+    return new Logger({ level: this.level, context: this.context, sinks: [...this.sinks, sink] });
+  }
+
+  /**
+   * Same sinks and context at a different level.
+   * @param {string} level
+   * @returns {Logger}
+   */
+  withLevel(level) {
+    return new Logger({ level, context: this.context, sinks: this.sinks });
+  }
+
+  /**
+   * Flush and close every sink, e.g. before process.exit(). Sinks are shared
+   * with the logger's children, so call this once on shutdown.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all(this.sinks.map((sink) => (sink.close ? sink.close() : null)));
+  }
+
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  log(level, message, meta = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const record = { timestamp: new Date().toISOString(), level, message };
+    for (const [key, value] of Object.entries(this.context)) {
+      if (value !== undefined && value !== null) record[key] = value;
+    }
+    const rest = { ...meta };
+    for (const field of CORRELATION_FIELDS) {
+      if (rest[field] === undefined) continue;
+      if (rest[field] !== null) record[field] = rest[field];
+      delete rest[field];
+    }
+    if (Object.keys(rest).length > 0) {
+      record.meta = serializeMeta(rest);
+    }
+
+    for (const sink of this.sinks) {
+      try {
+        sink.write(record);
+      } catch (error) {
+        process.stderr.write(`Log sink failed: ${error.message}\n`);
+      }
+    }
+  }
+
+  debug(message, meta) {
+    this.log("debug", message, meta);
+  }
+
+  info(message, meta) {
+    this.log("info", message, meta);
+  }
+
+  warn(message, meta) {
+    this.log("warn", message, meta);
+  }
+
+  error(message, meta) {
+    this.log("error", message, meta);
+  }
+}
+
+/**
+ * Build sinks from environment variables:
+ * LOG_SINKS (comma-separated stdout, file, http; default stdout), LOG_FORMAT,
+ * LOG_FILE, LOG_FILE_MAX_MB, LOG_FILE_MAX_FILES, LOG_HTTP_URL,
+ * LOG_HTTP_HEADERS (JSON) and LOG_HTTP_BATCH_SIZE.
+ * Unknown sink names and an http sink without a URL are reported on stderr and skipped.
+ * @param {object} [env]
+ * @returns {object[]}
+ */
+function createSinks(env = process.env) {
+  const names = (env.LOG_SINKS || "stdout").split(",").map((name) => name.trim().toLowerCase()).filter(Boolean);
+  const sinks = [];
+
+  for (const name of names) {
+    if (name === "stdout") {
+      sinks.push(new StdoutSink({ format: (env.LOG_FORMAT || "json").toLowerCase() }));
+    } else if (name === "file") {
+      sinks.push(new FileSink({
+        filePath: env.LOG_FILE || path.join(__dirname, "..", "logs", "aurray.log"),
+        maxBytes: parseFloat(env.LOG_FILE_MAX_MB || "10") * 1024 * 1024,
+        maxFiles: parseInt(env.LOG_FILE_MAX_FILES || "5", 10),
+      }));
+    } else if (name === "http") {
+      if (!env.LOG_HTTP_URL) {
+        process.stderr.write("LOG_SINKS includes http but LOG_HTTP_URL is not set\n");
+        continue;
+      }
+      let headers = {};
+      try {
+        headers = env.LOG_HTTP_HEADERS ? JSON.parse(env.LOG_HTTP_HEADERS) : {};
+      } catch (error) {
+        process.stderr.write(`Ignoring invalid LOG_HTTP_HEADERS: ${error.message}\n`);
+      }
+      sinks.push(new HttpSink({
+        url: env.LOG_HTTP_URL,
+        headers,
+        batchSize: parseInt(env.LOG_HTTP_BATCH_SIZE || "100", 10),
+      }));
+    } else {
+      process.stderr.write(`Unknown log sink "${name}". Supported sinks: ${LOG_SINKS.join(", ")}\n`);
+    }
+  }
+  return sinks;
+}
+
+let rootLogger = null;
+
+/**
+ * Process-wide logger configured from LOG_LEVEL and the LOG_* sink variables.
+ * Server and bots share it, so every sink is opened once.
+ * @returns {Logger}
+ */
+function getLogger() {
+  if (!rootLogger) {
+    rootLogger = new Logger({
+      level: (process.env.LOG_LEVEL || "info").toLowerCase(),
+      sinks: createSinks(process.env),
+    });
+  }
+  return rootLogger;
+}
+
+module.exports = {
+  FileSink,
+  HttpSink,
+  LOG_LEVELS,
+  LOG_SINKS,
+  Logger,
+  StdoutSink,
+  createSinks,
+  getLogger,
+};
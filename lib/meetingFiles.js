@@ -0,0 +1,137 @@
+/**
+ * Per-meeting file directories (recordings, debug artifacts).
+ * Each meeting gets <root>/<encoded meetingId>/; retention is enforced by
+ * deleting whole meeting directories.
+ *
+ * Screenshots and failure captures share one flat directory instead, so the
+ * meeting is encoded in their filenames.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @param {string} root
+ * @param {string} meetingId
+ * @returns {string}
+ * @throws {Error} When the meetingId does not name a directory inside root
+ */
+function meetingDirectory(root, meetingId) {
+  // encodeURIComponent leaves dots alone, so "." and ".." would name root and its parent
+  const name = encodeURIComponent(meetingId).replace(/^\.+$/, (dots) => dots.replace(/\./g, "%2E"));
+  const directory = path.join(root, name);
+  if (!name || path.relative(root, directory) !== name) {
+    throw new Error(`Invalid meetingId for a file directory: ${JSON.stringify(meetingId)}`);
+  }
+  return directory;
+}
+
+/**
+ * Files directly inside a meeting's directory.
+ * @returns {Promise<{filename: string, size: number, modifiedAt: string}[]|null>} null when the directory does not exist
+ */
+async function listMeetingFiles(root, meetingId) {
+  const directory = meetingDirectory(root, meetingId);
+  let entries;
+  try {
+    entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const stats = await fs.promises.stat(path.join(directory, entry.name));
+    files.push({ filename: entry.name, size: stats.size, modifiedAt: stats.mtime.toISOString() });
+  }
+  return files.sort((a, b) => a.filename.localeCompare(b.filename));
+}
+
+/**
+ * Delete meeting directories older than maxAgeDays, then the oldest beyond
+ * maxMeetings. Meetings in `keep` (still running) are never removed.
+ * @param {string} root
+ * @param {object} options
+ * @param {number} [options.maxMeetings] - 0 = unlimited
+ * @param {number} [options.maxAgeDays] - 0 = unlimited
+ * @param {string[]} [options.keep] - meetingIds to skip
+ * @returns {Promise<string[]>} meetingIds removed
+ */
+async function pruneMeetingDirectories(root, { maxMeetings = 0, maxAgeDays = 0, keep = [] } = {}) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(root, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const directories = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const meetingId = decodeURIComponent(entry.name);
+    if (keep.includes(meetingId)) continue;
+    const stats = await fs.promises.stat(path.join(root, entry.name));
+    directories.push({ meetingId, name: entry.name, modifiedAt: stats.mtimeMs });
+  }
+  directories.sort((a, b) => b.modifiedAt - a.modifiedAt);
+
+  const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+  const removed = directories.filter((directory, index) =>
+    (maxMeetings && index >= maxMeetings) || directory.modifiedAt < cutoff);
+
+  for (const directory of removed) {
+    await fs.promises.rm(path.join(root, directory.name), { recursive: true, force: true });
+  }
+  return removed.map((directory) => directory.meetingId);
+}
+
+// <kind>-<timestamp>-<encoded meetingId>-<session>-<reason>.<ext>
+const CAPTURE_FILENAME = /^([a-z]+)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-(.+)-(\w+)-(\w+)\.(\w+)$/;
+
+/**
+ * Filename for a screenshot or failure capture.
+ * @param {object} options
+ * @param {string} options.kind - e.g. "screenshot" or "failure"
+ * @param {string} [options.meetingId]
+ * @param {string} [options.sessionId] - Only the first 8 characters are used
+ * @param {string} options.reason
+ * @param {string} options.extension - Without the dot
+ * @param {Date} [options.date]
+ * @returns {string}
+ */
+function captureFilename({ kind, meetingId, sessionId, reason, extension, date = new Date() }) {
+  const timestamp = date.toISOString().replace(/[:.]/g, "-");
+  const session = (sessionId || "unknown").substring(0, 8).replace(/\W/g, "_");
+  const safeReason = String(reason || "unknown").replace(/\W/g, "_");
+  return `${kind}-${timestamp}-${encodeURIComponent(meetingId || "unknown")}-${session}-${safeReason}.${extension}`;
+}
+
+/**
+ * @param {string} filename
+ * @returns {{kind: string, capturedAt: string, meetingId: string, session: string, reason: string, extension: string}|null}
+ */
+function parseCaptureFilename(filename) {
+  const match = CAPTURE_FILENAME.exec(filename);
+  if (!match) return null;
+
+  const [, kind, timestamp, encodedMeetingId, session, reason, extension] = match;
+  let meetingId;
+  try {
+    meetingId = decodeURIComponent(encodedMeetingId);
+  } catch {
+    return null;
+  }
+  const capturedAt = timestamp.replace(/T(\d{2})-(\d{2})-(\d{2})-/, "T$1:$2:$3.");
+  return { kind, capturedAt, meetingId, session, reason, extension };
+}
+
+module.exports = {
+  captureFilename,
+  parseCaptureFilename,
+  meetingDirectory,
+  listMeetingFiles,
+  pruneMeetingDirectories,
+};
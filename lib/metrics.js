@@ -0,0 +1,197 @@
+/**
+ * Prometheus metrics in the text exposition format (version 0.0.4).
+ * Counters, gauges and histograms are kept per label set; collectors add
+ * families computed at scrape time (e.g. from running bots).
+ */
+
+const { getLogger } = require("./logger");
+
+const logger = getLogger().child({ subsystem: "metrics" });
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds - joins usually take 10-60s including browser launch and lobby waits
+const DEFAULT_BUCKETS = [1, 2.5, 5, 10, 20, 30, 45, 60, 90, 120, 180, 300];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  if (Number.isNaN(value)) return "NaN";
+  return String(value);
+}
+
+/**
+ * @param {string} name
+ * @param {object} labels
+ * @param {number} value
+ * @returns {string} One sample line
+ */
+function formatSample(name, labels, value) {
+  const pairs = Object.entries(labels || {})
+    .filter(([, labelValue]) => labelValue !== undefined && labelValue !== null)
+    .map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`);
+  const labelText = pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+  return `${name}${labelText} ${formatValue(value)}`;
+}
+
+/**
+ * @param {{name: string, help: string, type: string, samples: {name?: string, labels?: object, value: number}[]}} family
+ * @returns {string}
+ */
+function formatFamily(family) {
+  const lines = [`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`];
+  for (const sample of family.samples) {
+    lines.push(formatSample(sample.name || family.name, sample.labels, sample.value));
+  }
+  return lines.join("\n");
+}
+
+// Stable key for a label set
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => (labels[name] === undefined ? "" : String(labels[name]))));
+}
+
+class Metric {
+  constructor({ name, help, labelNames = [] }, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, ... }
+  }
+
+  getSeries(labels, create) {
+    const key = labelKey(this.labelNames, labels);
+    if (!this.series.has(key)) {
+      const picked = {};
+      for (const name of this.labelNames) picked[name] = labels[name];
+      this.series.set(key, create(picked));
+    }
+    return this.series.get(key);
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super(options, "counter");
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, (picked) => ({ labels: picked, value: 0 })).value += value;
+  }
+
+  get(labels = {}) {
+    const series = this.series.get(labelKey(this.labelNames, labels));
+    return series ? series.value : 0;
+  }
+
+  collect() {
+    return { name: this.name, help: this.help, type: this.type, samples: Array.from(this.series.values()) };
+  }
+}
+
+class Gauge extends Counter {
+  constructor(options) {
+    super(options);
+    this.type = "gauge";
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, (picked) => ({ labels: picked, value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(options) {
+    super(options, "histogram");
+    this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, (picked) => ({
+      labels: picked,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  collect() {
+    const samples = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        samples.push({ name: `${this.name}_bucket`, labels: { ...series.labels, le: bound }, value: series.counts[index] });
+      });
+      samples.push({ name: `${this.name}_bucket`, labels: { ...series.labels, le: "+Inf" }, value: series.count });
+      samples.push({ name: `${this.name}_sum`, labels: series.labels, value: series.sum });
+      samples.push({ name: `${this.name}_count`, labels: series.labels, value: series.count });
+    }
+    return { name: this.name, help: this.help, type: this.type, samples };
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  /** @param {{name: string, help: string, labelNames?: string[]}} options */
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  /** @param {{name: string, help: string, labelNames?: string[]}} options */
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  /** @param {{name: string, help: string, labelNames?: string[], buckets?: number[]}} options */
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Add families computed at scrape time. A collector that throws is skipped
+   * so one broken source never hides the rest.
+   * @param {function(): (object[]|Promise<object[]>)} collector - Returns families as accepted by formatFamily
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * @returns {Promise<string>} Exposition text
+   */
+  async render() {
+    const families = this.metrics.map((metric) => metric.collect());
+    for (const collector of this.collectors) {
+      try {
+        families.push(...(await collector()));
+      } catch (error) {
+        logger.error("Metrics collector failed", { error: error.message });
+      }
+    }
+    return families.map(formatFamily).join("\n") + "\n";
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  MetricsRegistry,
+  formatFamily,
+};
@@ -0,0 +1,259 @@
+/**
+ * Meeting audio recorder.
+ * Writes what the bot heard (input.wav) and what the assistant said
+ * (output.wav) as mono PCM16 WAV files, plus a mixed.wav and a
+ * recording.json with timing and speaker segments once the meeting ends.
+ * Both tracks are aligned to wall-clock time: gaps are filled with silence.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { meetingDirectory, listMeetingFiles, pruneMeetingDirectories } = require("./meetingFiles");
+
+const WAV_HEADER_BYTES = 44;
+const RECORDING_METADATA_FILE = "recording.json";
+const RECORDING_TRACKS = ["input", "output", "mixed"];
+// Tracks more than this far behind wall-clock time are padded with silence
+const ALIGN_TOLERANCE_SEC = 0.25;
+const MIX_BLOCK_BYTES = 64 * 1024;
+
+/**
+ * @param {number} dataBytes
+ * @param {number} sampleRate
+ * @returns {Buffer} 44-byte PCM16 mono WAV header
+ */
+function wavHeader(dataBytes, sampleRate) {
+  const header = Buffer.alloc(WAV_HEADER_BYTES);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write("data", 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+/**
+ * Streams PCM16 to a WAV file. The header is written with a zero length and
+ * patched on close, so an interrupted recording is still mostly readable.
+ */
+class WavWriter {
+  constructor(filePath, sampleRate) {
+    this.filePath = filePath;
+    this.sampleRate = sampleRate;
+    this.dataBytes = 0;
+    this.stream = fs.createWriteStream(filePath);
+    this.stream.on("error", (error) => {
+      this.error = error;
+    });
+    this.stream.write(wavHeader(0, sampleRate));
+  }
+
+  write(buffer) {
+    if (this.error) return;
+    this.stream.write(buffer);
+    this.dataBytes += buffer.length;
+  }
+
+  async close() {
+    await new Promise((resolve) => this.stream.end(resolve));
+    if (this.error) throw this.error;
+
+    const handle = await fs.promises.open(this.filePath, "r+");
+    try {
+      await handle.write(wavHeader(this.dataBytes, this.sampleRate), 0, WAV_HEADER_BYTES, 0);
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+class MeetingRecorder {
+  /**
+   * @param {object} options
+   * @param {string} options.directory - Root recordings directory; files go in <directory>/<meetingId>/
+   * @param {string} options.meetingId
+   * @param {number} [options.sampleRate] - Rate of the PCM16 passed to writeInput/writeOutput (default 16000)
+   * @param {number} [options.maxDurationSec] - Stop writing after this long (0 = unlimited)
+   * @param {function(): number} [options.now]
+   */
+  constructor(options) {
+    this.meetingId = options.meetingId;
+    this.directory = meetingDirectory(options.directory, options.meetingId);
+    this.sampleRate = options.sampleRate || 16000;
+    this.maxDurationSec = options.maxDurationSec || 0;
+    this.now = options.now || Date.now;
+    this.tracks = null;
+    this.startedAt = null;
+    this.stopped = false;
+  }
+
+  start() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    // A rejoin under the same meetingId starts a fresh recording
+    fs.rmSync(path.join(this.directory, RECORDING_METADATA_FILE), { force: true });
+    this.startedAt = this.now();
+    this.tracks = {
+      input: new WavWriter(path.join(this.directory, "input.wav"), this.sampleRate),
+      output: new WavWriter(path.join(this.directory, "output.wav"), this.sampleRate),
+    };
+  }
+
+  /** @param {Buffer} pcm16 - Meeting audio at sampleRate */
+  writeInput(pcm16) {
+    this.append("input", pcm16);
+  }
+
+  /** @param {Buffer} pcm16 - Assistant audio at sampleRate, written as it is queued for playback */
+  writeOutput(pcm16) {
+    this.append("output", pcm16);
+  }
+
+  append(trackName, pcm16) {
+    if (!this.tracks || this.stopped) return;
+
+    const elapsedSec = (this.now() - this.startedAt) / 1000;
+    if (this.maxDurationSec && elapsedSec > this.maxDurationSec) {
+      this.stopped = true;
+      return;
+    }
+
+    const track = this.tracks[trackName];
+    this.padTo(track, elapsedSec);
+    track.write(pcm16);
+  }
+
+  // Fill silence up to elapsedSec so both tracks stay aligned with the meeting clock
+  padTo(track, elapsedSec) {
+    const expectedBytes = Math.floor(elapsedSec * this.sampleRate) * 2;
+    const toleranceBytes = Math.floor(ALIGN_TOLERANCE_SEC * this.sampleRate) * 2;
+    let missing = expectedBytes - track.dataBytes;
+    if (missing <= toleranceBytes) return;
+
+    const silence = Buffer.alloc(this.sampleRate * 2);
+    while (missing > 0) {
+      const chunk = Math.min(missing, silence.length);
+      track.write(chunk === silence.length ? silence : silence.subarray(0, chunk));
+      missing -= chunk;
+    }
+  }
+
+  /**
+   * Finish both tracks, write the mix and recording.json.
+   * @param {object} [details] - Extra metadata, e.g. { speakers: [{ speaker, startedAt, endedAt }] }
+   * @returns {Promise<object>} The metadata written
+   */
+  async close(details = {}) {
+    if (!this.tracks) return null;
+    const { input, output } = this.tracks;
+    this.tracks = null;
+    const endedAt = this.now();
+
+    await Promise.all([input.close(), output.close()]);
+    const mixedBytes = await mixWavFiles(input.filePath, output.filePath, path.join(this.directory, "mixed.wav"), this.sampleRate);
+
+    const metadata = {
+      meetingId: this.meetingId,
+      sampleRate: this.sampleRate,
+      startedAt: new Date(this.startedAt).toISOString(),
+      endedAt: new Date(endedAt).toISOString(),
+      durationSec: Math.round((mixedBytes / 2 / this.sampleRate) * 10) / 10,
+      truncated: this.stopped,
+      tracks: RECORDING_TRACKS.map((track) => `${track}.wav`),
+      ...details,
+    };
+    await fs.promises.writeFile(path.join(this.directory, RECORDING_METADATA_FILE), JSON.stringify(metadata, null, 2));
+    return metadata;
+  }
+}
+
+/**
+ * Sum two PCM16 WAV files (clipped) into a third, block by block.
+ * @returns {Promise<number>} Data bytes written
+ */
+async function mixWavFiles(firstPath, secondPath, targetPath, sampleRate) {
+  const first = await fs.promises.open(firstPath, "r");
+  const second = await fs.promises.open(secondPath, "r");
+  const target = new WavWriter(targetPath, sampleRate);
+  const blockA = Buffer.alloc(MIX_BLOCK_BYTES);
+  const blockB = Buffer.alloc(MIX_BLOCK_BYTES);
+  const samplesA = new Int16Array(blockA.buffer, blockA.byteOffset, MIX_BLOCK_BYTES / 2);
+  const samplesB = new Int16Array(blockB.buffer, blockB.byteOffset, MIX_BLOCK_BYTES / 2);
+
+  try {
+    for (let position = WAV_HEADER_BYTES; ; position += MIX_BLOCK_BYTES) {
+      const [{ bytesRead: readA }, { bytesRead: readB }] = await Promise.all([
+        first.read(blockA, 0, MIX_BLOCK_BYTES, position),
+        second.read(blockB, 0, MIX_BLOCK_BYTES, position),
+      ]);
+      const count = Math.floor(Math.max(readA, readB) / 2);
+      if (count === 0) break;
+
+      // The shorter track contributes silence past its end
+      const countA = Math.floor(readA / 2);
+      const countB = Math.floor(readB / 2);
+      const mixed = new Int16Array(count);
+      for (let i = 0; i < count; i++) {
+        const sum = (i < countA ? samplesA[i] : 0) + (i < countB ? samplesB[i] : 0);
+        mixed[i] = Math.max(-32768, Math.min(32767, sum));
+      }
+      target.write(Buffer.from(mixed.buffer));
+    }
+  } finally {
+    await Promise.all([first.close(), second.close()]);
+    await target.close();
+  }
+  return target.dataBytes;
+}
+
+/**
+ * Delete old recordings: anything older than maxAgeDays, then the oldest
+ * beyond maxMeetings. Meetings in `keep` (still recording) are never removed.
+ * Recordings use the shared per-meeting directory layout of ./meetingFiles.
+ * @param {string} directory
+ * @param {object} options
+ * @param {number} [options.maxMeetings] - 0 = unlimited
+ * @param {number} [options.maxAgeDays] - 0 = unlimited
+ * @param {string[]} [options.keep] - meetingIds to skip
+ * @returns {Promise<string[]>} meetingIds removed
+ */
+function pruneRecordings(directory, options) {
+  return pruneMeetingDirectories(directory, options);
+}
+
+/**
+ * Describe the recording of one meeting.
+ * @returns {Promise<{directory: string, metadata: object|null, files: {track: string, filename: string, size: number}[]}|null>} null when nothing was recorded
+ */
+async function readRecording(directory, meetingId) {
+  const meetingDir = meetingDirectory(directory, meetingId);
+  const found = await listMeetingFiles(directory, meetingId);
+  if (!found) return null;
+
+  let metadata = null;
+  if (found.some((file) => file.filename === RECORDING_METADATA_FILE)) {
+    metadata = JSON.parse(await fs.promises.readFile(path.join(meetingDir, RECORDING_METADATA_FILE), "utf8"));
+  }
+
+  const files = [];
+  for (const track of RECORDING_TRACKS) {
+    const file = found.find((candidate) => candidate.filename === `${track}.wav`);
+    if (file) files.push({ track, filename: file.filename, size: file.size });
+  }
+  return { directory: meetingDir, metadata, files };
+}
+
+module.exports = {
+  MeetingRecorder,
+  RECORDING_TRACKS,
+  pruneRecordings,
+  readRecording,
+  wavHeader,
+};
@@ -0,0 +1,335 @@
+/**
+ * Scheduled bot joins.
+ * Schedules are persisted to a JSON file so pending joins survive restarts.
+ * A single tick loop launches due schedules a configurable lead time before
+ * joinAt (to absorb browser startup) and stops bots once leaveAt passes.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { getLogger } = require("./logger");
+
+const logger = getLogger().child({ subsystem: "scheduler" });
+
+const TICK_INTERVAL_MS = 5000;
+// A start that could not launch this long after joinAt is given up on
+const MISSED_GRACE_MS = 15 * 60 * 1000;
+
+/**
+ * Validate and normalize schedule timing fields.
+ * @param {object} fields - { joinAt, leaveAt, maxDurationMin }
+ * @returns {{joinAt: string, leaveAt: string|null}|{error: string}}
+ */
+function parseScheduleTiming({ joinAt, leaveAt, maxDurationMin }) {
+  const joinTime = new Date(joinAt);
+  if (!joinAt || Number.isNaN(joinTime.getTime())) {
+    return { error: "joinAt must be a valid ISO 8601 date" };
+  }
+
+  let leaveTime = null;
+  if (leaveAt !== undefined && leaveAt !== null) {
+    leaveTime = new Date(leaveAt);
+    if (Number.isNaN(leaveTime.getTime())) {
+      return { error: "leaveAt must be a valid ISO 8601 date" };
+    }
+  } else if (maxDurationMin !== undefined && maxDurationMin !== null) {
+    const minutes = Number(maxDurationMin);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      return { error: "maxDurationMin must be a positive number" };
+    }
+    leaveTime = new Date(joinTime.getTime() + minutes * 60 * 1000);
+  }
+
+  if (leaveTime && leaveTime <= joinTime) {
+    return { error: "leaveAt must be after joinAt" };
+  }
+
+  return {
+    joinAt: joinTime.toISOString(),
+    leaveAt: leaveTime ? leaveTime.toISOString() : null,
+  };
+}
+
+class MeetingScheduler {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - JSON file holding all schedules
+   * @param {number} [options.leadTimeSec] - Launch this many seconds before joinAt
+   * @param {function(object): {statusCode: number, payload: object}} options.onStart - Starts the bot for a schedule
+   * @param {function(object, string): Promise<void>} options.onStop - Stops the bot for a schedule; the reason is "scheduled_end" or "cancelled"
+   * @param {function(object): boolean} options.isActive - Whether the schedule's bot is still running or queued
+   * @param {function(object): (string|null)} [options.validateRequest] - Error for a start request that could never launch
+   */
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.leadTimeSec = options.leadTimeSec ?? 60;
+    this.onStart = options.onStart;
+    this.onStop = options.onStop;
+    this.isActive = options.isActive;
+    this.validateRequest = options.validateRequest || (() => null);
+    this.schedules = new Map(); // scheduleId -> schedule
+    this.stopping = new Set(); // scheduleIds whose onStop is still running
+    this.tickTimer = null;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const schedules = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      for (const schedule of schedules) {
+        // The bot of a started schedule died with the previous process
+        if (schedule.status === "started") {
+          schedule.status = "interrupted";
+          schedule.updatedAt = new Date().toISOString();
+        }
+        this.schedules.set(schedule.scheduleId, schedule);
+      }
+    } catch (error) {
+      logger.error("Failed to load schedules", { filePath: this.filePath, error: error.message });
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const temp = `${this.filePath}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(Array.from(this.schedules.values()), null, 2));
+    fs.renameSync(temp, this.filePath);
+  }
+
+  start() {
+    if (this.tickTimer) return;
+    this.tickTimer = setInterval(() => {
+      this.tick().catch((error) => {
+        logger.error("Scheduler tick failed", { error });
+      });
+    }, TICK_INTERVAL_MS);
+    this.tickTimer.unref?.();
+  }
+
+  stop() {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+
+  /**
+   * Create a schedule.
+   * @param {object} request - Same body as /start-meeting
+   * @param {object} timing - { joinAt, leaveAt, maxDurationMin }
+   * @param {string|null} tenant
+   * @returns {{schedule: object}|{error: string, statusCode: number}}
+   */
+  create(request, timing, tenant) {
+    if (!request.meetingId) {
+      return { statusCode: 400, error: "meetingId is required" };
+    }
+    if (!request.meetingUrl) {
+      return { statusCode: 400, error: "meetingUrl is required" };
+    }
+    const requestError = this.validateRequest(request);
+    if (requestError) {
+      return { statusCode: 400, error: requestError };
+    }
+
+    const parsed = parseScheduleTiming(timing);
+    if (parsed.error) {
+      return { statusCode: 400, error: parsed.error };
+    }
+
+    const duplicate = Array.from(this.schedules.values()).find(
+      (schedule) => schedule.meetingId === request.meetingId && schedule.status === "scheduled"
+    );
+    if (duplicate) {
+      return { statusCode: 409, error: `Meeting already scheduled (${duplicate.scheduleId})` };
+    }
+
+    const now = new Date().toISOString();
+    const schedule = {
+      scheduleId: uuidv4(),
+      meetingId: request.meetingId,
+      tenant: tenant || null,
+      request,
+      joinAt: parsed.joinAt,
+      leaveAt: parsed.leaveAt,
+      status: "scheduled",
+      attempts: 0,
+      nextAttemptAt: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+    };
+
+    this.schedules.set(schedule.scheduleId, schedule);
+    this.persist();
+    return { schedule };
+  }
+
+  /**
+   * Update timing or request fields of a schedule that has not started yet.
+   * @returns {{schedule: object}|{error: string, statusCode: number}}
+   */
+  update(scheduleId, changes) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      return { statusCode: 404, error: "Schedule not found" };
+    }
+    if (schedule.status !== "scheduled") {
+      return { statusCode: 409, error: `Schedule is ${schedule.status} and can no longer be changed` };
+    }
+
+    const { joinAt, leaveAt, maxDurationMin, meetingId, ...requestChanges } = changes;
+    if (meetingId && meetingId !== schedule.meetingId) {
+      return { statusCode: 400, error: "meetingId cannot be changed" };
+    }
+
+    const parsed = parseScheduleTiming({
+      joinAt: joinAt ?? schedule.joinAt,
+      leaveAt: leaveAt === undefined && maxDurationMin === undefined ? schedule.leaveAt : leaveAt,
+      maxDurationMin,
+    });
+    if (parsed.error) {
+      return { statusCode: 400, error: parsed.error };
+    }
+
+    const request = { ...schedule.request, ...requestChanges };
+    const requestError = this.validateRequest(request);
+    if (requestError) {
+      return { statusCode: 400, error: requestError };
+    }
+
+    schedule.request = request;
+    schedule.joinAt = parsed.joinAt;
+    schedule.leaveAt = parsed.leaveAt;
+    schedule.nextAttemptAt = null;
+    schedule.updatedAt = new Date().toISOString();
+    this.persist();
+    return { schedule };
+  }
+
+  /**
+   * Cancel a schedule. A started schedule has its bot stopped.
+   * @returns {Promise<{schedule: object}|{error: string, statusCode: number}>}
+   */
+  async cancel(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      return { statusCode: 404, error: "Schedule not found" };
+    }
+    if (!["scheduled", "started"].includes(schedule.status)) {
+      return { statusCode: 409, error: `Schedule is already ${schedule.status}` };
+    }
+    if (this.stopping.has(scheduleId)) {
+      return { statusCode: 409, error: "Schedule is already stopping" };
+    }
+
+    if (schedule.status === "started") {
+      await this.stopBot(schedule, "cancelled");
+    }
+    this.setStatus(schedule, "cancelled");
+    return { schedule };
+  }
+
+  /**
+   * Call onStop once per schedule; ticks and cancels skip it until it returns.
+   * @param {object} schedule
+   * @param {string} reason - Outcome recorded for the meeting
+   */
+  async stopBot(schedule, reason) {
+    this.stopping.add(schedule.scheduleId);
+    try {
+      await this.onStop(schedule, reason);
+    } finally {
+      this.stopping.delete(schedule.scheduleId);
+    }
+  }
+
+  get(scheduleId) {
+    return this.schedules.get(scheduleId) || null;
+  }
+
+  /**
+   * @param {object} [filters] - { status, tenant }
+   * @returns {object[]} Schedules ordered by joinAt
+   */
+  list({ status, tenant } = {}) {
+    return Array.from(this.schedules.values())
+      .filter((schedule) => !status || schedule.status === status)
+      .filter((schedule) => !tenant || schedule.tenant === tenant)
+      .sort((a, b) => a.joinAt.localeCompare(b.joinAt));
+  }
+
+  setStatus(schedule, status, error = null) {
+    schedule.status = status;
+    schedule.error = error;
+    schedule.updatedAt = new Date().toISOString();
+    this.persist();
+  }
+
+  /**
+   * Launch due schedules and stop bots past their leaveAt.
+   */
+  async tick(now = Date.now()) {
+    for (const schedule of this.schedules.values()) {
+      if (this.stopping.has(schedule.scheduleId)) continue;
+      if (schedule.status === "scheduled") {
+        this.startIfDue(schedule, now);
+      } else if (schedule.status === "started") {
+        if (!this.isActive(schedule)) {
+          // Bot finished on its own (meeting ended, failed or stopped manually)
+          this.setStatus(schedule, "completed");
+        } else if (schedule.leaveAt && now >= Date.parse(schedule.leaveAt)) {
+          logger.info("Scheduled leave", { meetingId: schedule.meetingId, traceId: schedule.scheduleId });
+          await this.stopBot(schedule, "scheduled_end");
+          this.setStatus(schedule, "completed");
+        }
+      }
+    }
+  }
+
+  startIfDue(schedule, now) {
+    const joinTime = Date.parse(schedule.joinAt);
+    if (now < joinTime - this.leadTimeSec * 1000) return;
+    if (schedule.nextAttemptAt && now < Date.parse(schedule.nextAttemptAt)) return;
+
+    const deadline = schedule.leaveAt ? Date.parse(schedule.leaveAt) : joinTime + MISSED_GRACE_MS;
+    if (now >= deadline) {
+      logger.warn("Missed scheduled join", { meetingId: schedule.meetingId, traceId: schedule.scheduleId });
+      this.setStatus(schedule, "missed", schedule.error);
+      return;
+    }
+
+    schedule.attempts++;
+    const result = this.onStart(schedule);
+
+    if (result.statusCode >= 200 && result.statusCode < 300) {
+      logger.info("Launched scheduled join", { meetingId: schedule.meetingId, traceId: schedule.scheduleId });
+      schedule.startedAt = new Date(now).toISOString();
+      this.setStatus(schedule, "started");
+      return;
+    }
+
+    const error = result.payload.message || result.payload.error;
+    if (result.statusCode === 429) {
+      // Server at capacity - try again after the suggested delay
+      const retryAfterSec = result.payload.retryAfter || 30;
+      schedule.nextAttemptAt = new Date(now + retryAfterSec * 1000).toISOString();
+      schedule.error = error;
+      schedule.updatedAt = new Date().toISOString();
+      this.persist();
+      return;
+    }
+
+    logger.warn("Scheduled join failed", { meetingId: schedule.meetingId, traceId: schedule.scheduleId, error });
+    this.setStatus(schedule, "failed", error);
+  }
+}
+
+module.exports = {
+  MeetingScheduler,
+  parseScheduleTiming,
+};
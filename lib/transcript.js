@@ -0,0 +1,122 @@
+/**
+ * Meeting transcript formatting.
+ * Turns are recorded by the bot as { role, text, itemId, startedAt, endedAt }
+ * with ISO timestamps; subtitle formats use offsets from the meeting start.
+ */
+
+// format -> Content-Type
+const TRANSCRIPT_FORMATS = {
+  json: "application/json",
+  txt: "text/plain",
+  srt: "application/x-subrip",
+  vtt: "text/vtt",
+};
+
+// TRANSCRIPT_SOURCE values: the realtime model's transcription, platform live captions, or both
+const TRANSCRIPT_SOURCES = ["model", "captions", "both"];
+
+const DEFAULT_LABELS = { user: "Participant", assistant: "Assistant" };
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, "0");
+}
+
+/**
+ * @param {number} ms - Offset from the meeting start
+ * @param {string} fractionSeparator - "," for SRT, "." for WebVTT
+ * @returns {string} HH:MM:SS,mmm
+ */
+function formatOffset(ms, fractionSeparator) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${fractionSeparator}${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Text that cannot end a cue early: a blank line would end it and "-->" reads
+ * as a timing line, so line breaks become spaces and arrows are broken up.
+ * @param {string} text
+ * @returns {string}
+ */
+function cueText(text) {
+  return String(text).replace(/\s*[\r\n]+\s*/g, " ").replace(/-->/g, "->");
+}
+
+/**
+ * Cue text for WebVTT, where &, < and > start entities and tags.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeVtt(text) {
+  return cueText(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Offsets of a turn from the meeting start. Cues are never empty or reversed.
+ * @returns {{start: number, end: number}}
+ */
+function turnOffsets(turn, origin) {
+  const start = Math.max(0, Date.parse(turn.startedAt) - origin);
+  const end = Math.max(start + 1, Date.parse(turn.endedAt) - origin);
+  return { start, end };
+}
+
+/**
+ * Render turns in one of TRANSCRIPT_FORMATS, in startedAt order.
+ * @param {object[]} unorderedTurns
+ * @param {string} format - json, txt, srt or vtt
+ * @param {object} [options]
+ * @param {string} [options.startTime] - Meeting start (ISO); defaults to the first turn
+ * @param {object} [options.labels] - Speaker labels by role, e.g. { assistant: "Aurray Bot" }
+ * @returns {string}
+ */
+function formatTranscript(unorderedTurns, format, options = {}) {
+  if (!TRANSCRIPT_FORMATS[format]) {
+    const supported = Object.keys(TRANSCRIPT_FORMATS).join(", ");
+    throw new Error(`Unsupported transcript format "${format}". Supported formats: ${supported}`);
+  }
+  // Stored transcripts from before turns were inserted in order may be out of order
+  const turns = [...unorderedTurns].sort((a, b) => (Date.parse(a.startedAt) - Date.parse(b.startedAt)) || 0);
+  if (format === "json") {
+    return JSON.stringify(turns, null, 2);
+  }
+
+  const labels = { ...DEFAULT_LABELS, ...options.labels };
+  // Caption turns carry the name the platform showed
+  const speaker = (turn) => turn.speaker || labels[turn.role] || turn.role;
+  const origin = options.startTime
+    ? Date.parse(options.startTime)
+    : turns.length > 0 ? Date.parse(turns[0].startedAt) : 0;
+
+  if (format === "txt") {
+    return turns
+      .map((turn) => {
+        const { start } = turnOffsets(turn, origin);
+        return `[${formatOffset(start, ".").slice(0, 8)}] ${speaker(turn)}: ${turn.text}`;
+      })
+      .join("\n") + (turns.length > 0 ? "\n" : "");
+  }
+
+  if (format === "srt") {
+    return turns
+      .map((turn, index) => {
+        const { start, end } = turnOffsets(turn, origin);
+        return `${index + 1}\n${formatOffset(start, ",")} --> ${formatOffset(end, ",")}\n${cueText(`${speaker(turn)}: ${turn.text}`)}\n`;
+      })
+      .join("\n");
+  }
+
+  const cues = turns.map((turn) => {
+    const { start, end } = turnOffsets(turn, origin);
+    return `${formatOffset(start, ".")} --> ${formatOffset(end, ".")}\n<v ${escapeVtt(speaker(turn))}>${escapeVtt(turn.text)}\n`;
+  });
+  return ["WEBVTT\n", ...cues].join("\n");
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  TRANSCRIPT_SOURCES,
+  formatTranscript,
+};
@@ -0,0 +1,351 @@
+/**
+ * Outbound webhooks for meeting lifecycle events.
+ * Each meeting can register its own webhook URLs. Events are queued per URL,
+ * persisted to disk so undelivered events survive restarts, retried with
+ * exponential backoff and signed with HMAC-SHA256 when a secret is set.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { v4: uuidv4 } = require("uuid");
+const { getLogger } = require("./logger");
+
+const logger = getLogger().child({ subsystem: "webhooks" });
+
+// Bump when the event envelope changes incompatibly
+const WEBHOOK_SCHEMA_VERSION = 1;
+const TICK_INTERVAL_MS = 1000;
+// Coalesce bursts of status events into one write
+const FLUSH_DELAY_MS = 1000;
+
+/**
+ * Signature sent in X-Aurray-Signature: hex HMAC-SHA256 of "<timestamp>.<body>".
+ * @param {string} secret
+ * @param {string|number} timestamp - Unix seconds, also sent in X-Aurray-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string}
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Normalize webhookUrl / webhookUrls from a start request.
+ * @returns {{urls: string[]}|{error: string}}
+ */
+function parseWebhookUrls(value) {
+  if (value === undefined || value === null || value === "") return { urls: [] };
+
+  const urls = Array.isArray(value) ? value : [value];
+  for (const url of urls) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { error: `Invalid webhook URL: ${url}` };
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      return { error: `Webhook URL must use http or https: ${url}` };
+    }
+  }
+  return { urls: Array.from(new Set(urls)) };
+}
+
+// 408 and 429 are worth retrying; other client errors will not fix themselves
+function isRetryableStatus(statusCode) {
+  return statusCode >= 500 || statusCode === 408 || statusCode === 429;
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {object} options
+   * @param {string} [options.filePath] - JSON file for the outbound queue (omit to keep it in memory)
+   * @param {string} [options.defaultSecret] - Signing secret for meetings that do not set their own
+   * @param {number} [options.maxAttempts] - Attempts before a delivery is marked failed
+   * @param {number} [options.baseDelayMs] - First retry delay, doubled on each attempt
+   * @param {number} [options.maxDelayMs] - Upper bound on the retry delay
+   * @param {number} [options.timeoutMs] - Per-request timeout
+   * @param {number} [options.maxDeliveries] - Finished deliveries kept for the API
+   * @param {function(object): Promise<{status: number}>} [options.send] - HTTP transport, overridable for tests
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.defaultSecret = options.defaultSecret || null;
+    this.maxAttempts = options.maxAttempts ?? 8;
+    this.baseDelayMs = options.baseDelayMs ?? 2000;
+    this.maxDelayMs = options.maxDelayMs ?? 5 * 60 * 1000;
+    this.timeoutMs = options.timeoutMs ?? 5000;
+    this.maxDeliveries = options.maxDeliveries ?? 2000;
+    this.send = options.send || ((request) => axios.post(request.url, request.body, {
+      headers: request.headers,
+      timeout: this.timeoutMs,
+      validateStatus: () => true,
+    }));
+
+    this.subscriptions = new Map(); // meetingId -> { urls, secret, sessionId, tenant, sequence }
+    this.deliveries = new Map(); // deliveryId -> delivery
+    this.inFlight = new Set();
+    this.tickTimer = null;
+    this.flushTimer = null;
+    this.flushing = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      for (const [meetingId, subscription] of Object.entries(state.subscriptions || {})) {
+        this.subscriptions.set(meetingId, subscription);
+      }
+      for (const delivery of state.deliveries || []) {
+        this.deliveries.set(delivery.deliveryId, delivery);
+      }
+    } catch (error) {
+      logger.error("Failed to load webhook queue", { filePath: this.filePath, error: error.message });
+    }
+  }
+
+  persist() {
+    if (!this.filePath || this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch((error) => {
+        logger.error("Failed to persist webhook queue", { error });
+      });
+    }, FLUSH_DELAY_MS);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write the queue to disk. Writes are chained so the file is never written concurrently.
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (!this.filePath) return;
+
+    const state = JSON.stringify({
+      subscriptions: Object.fromEntries(this.subscriptions),
+      deliveries: Array.from(this.deliveries.values()),
+    });
+
+    this.flushing = this.flushing.then(async () => {
+      const temp = `${this.filePath}.tmp`;
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(temp, state);
+        await fs.promises.rename(temp, this.filePath);
+      } catch (error) {
+        logger.error("Failed to write webhook queue", { error: error.message });
+      }
+    });
+    return this.flushing;
+  }
+
+  start() {
+    if (this.tickTimer) return;
+    this.tickTimer = setInterval(() => this.processDue(), TICK_INTERVAL_MS);
+    this.tickTimer.unref?.();
+  }
+
+  stop() {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+
+  /**
+   * Register the webhook URLs that receive a meeting's events.
+   * @param {string} meetingId
+   * @param {object} subscription - { urls, secret, sessionId, tenant }
+   */
+  register(meetingId, { urls, secret, sessionId, tenant }) {
+    if (!urls || urls.length === 0) return;
+    this.subscriptions.set(meetingId, {
+      urls,
+      secret: secret || null,
+      sessionId: sessionId || meetingId,
+      tenant: tenant || null,
+      sequence: 0,
+    });
+    this.persist();
+  }
+
+  unregister(meetingId) {
+    if (this.subscriptions.delete(meetingId)) {
+      this.persist();
+    }
+  }
+
+  /**
+   * Queue an event for every webhook registered for the meeting.
+   * @param {string} meetingId
+   * @param {string} type - e.g. meeting.status, meeting.finished
+   * @param {object} data - Event-specific payload
+   * @returns {object|null} The event, or null when the meeting has no webhooks
+   */
+  emit(meetingId, type, data = {}) {
+    const subscription = this.subscriptions.get(meetingId);
+    if (!subscription) return null;
+
+    subscription.sequence++;
+    const event = {
+      id: uuidv4(),
+      type,
+      version: WEBHOOK_SCHEMA_VERSION,
+      createdAt: new Date().toISOString(),
+      sequence: subscription.sequence,
+      meetingId,
+      sessionId: subscription.sessionId,
+      tenant: subscription.tenant,
+      data,
+    };
+
+    for (const url of subscription.urls) {
+      const delivery = {
+        deliveryId: uuidv4(),
+        meetingId,
+        url,
+        secret: subscription.secret,
+        event,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: event.createdAt,
+        lastAttemptAt: null,
+        deliveredAt: null,
+        responseStatus: null,
+        lastError: null,
+      };
+      this.deliveries.set(delivery.deliveryId, delivery);
+    }
+
+    this.prune();
+    this.persist();
+    this.processDue();
+    return event;
+  }
+
+  /**
+   * Send every pending delivery whose retry time has come.
+   */
+  processDue(now = Date.now()) {
+    const attempts = [];
+    for (const delivery of this.deliveries.values()) {
+      if (delivery.status !== "pending" || this.inFlight.has(delivery.deliveryId)) continue;
+      if (Date.parse(delivery.nextAttemptAt) > now) continue;
+      attempts.push(this.attempt(delivery));
+    }
+    return Promise.all(attempts);
+  }
+
+  async attempt(delivery) {
+    this.inFlight.add(delivery.deliveryId);
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": `aurray-bot-webhooks/${WEBHOOK_SCHEMA_VERSION}`,
+      "X-Aurray-Event": delivery.event.type,
+      "X-Aurray-Delivery": delivery.deliveryId,
+      "X-Aurray-Timestamp": String(timestamp),
+    };
+    const secret = delivery.secret || this.defaultSecret;
+    if (secret) {
+      headers["X-Aurray-Signature"] = `sha256=${signPayload(secret, timestamp, body)}`;
+    }
+
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date().toISOString();
+
+    let retryable = true;
+    try {
+      const response = await this.send({ url: delivery.url, body, headers });
+      delivery.responseStatus = response.status;
+      if (response.status >= 200 && response.status < 300) {
+        delivery.status = "delivered";
+        delivery.deliveredAt = new Date().toISOString();
+        delivery.nextAttemptAt = null;
+        delivery.lastError = null;
+      } else {
+        delivery.lastError = `HTTP ${response.status}`;
+        retryable = isRetryableStatus(response.status);
+      }
+    } catch (error) {
+      delivery.lastError = error.message;
+    }
+
+    if (delivery.status === "pending") {
+      if (!retryable || delivery.attempts >= this.maxAttempts) {
+        delivery.status = "failed";
+        delivery.nextAttemptAt = null;
+        logger.warn("Webhook delivery failed", {
+          meetingId: delivery.meetingId,
+          deliveryId: delivery.deliveryId,
+          url: delivery.url,
+          attempts: delivery.attempts,
+          error: delivery.lastError,
+        });
+      } else {
+        const delayMs = Math.min(this.baseDelayMs * 2 ** (delivery.attempts - 1), this.maxDelayMs);
+        delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+      }
+    }
+
+    this.inFlight.delete(delivery.deliveryId);
+    this.persist();
+    return delivery;
+  }
+
+  /**
+   * Drop the oldest finished deliveries beyond maxDeliveries. Pending ones are always kept.
+   */
+  prune() {
+    const finished = Array.from(this.deliveries.values()).filter((delivery) => delivery.status !== "pending");
+    const excess = this.deliveries.size - this.maxDeliveries;
+    for (const delivery of finished.slice(0, Math.max(excess, 0))) {
+      this.deliveries.delete(delivery.deliveryId);
+    }
+  }
+
+  /**
+   * Deliveries for a meeting, oldest first, without signing secrets.
+   * @param {string} meetingId
+   * @returns {object[]}
+   */
+  getDeliveries(meetingId) {
+    return Array.from(this.deliveries.values())
+      .filter((delivery) => delivery.meetingId === meetingId)
+      .map(({ secret, event, ...delivery }) => ({
+        ...delivery,
+        eventId: event.id,
+        type: event.type,
+        sequence: event.sequence,
+      }));
+  }
+
+  /**
+   * Delivery counts by status for a meeting.
+   * @returns {{pending: number, delivered: number, failed: number}}
+   */
+  summarize(meetingId) {
+    const summary = { pending: 0, delivered: 0, failed: 0 };
+    for (const delivery of this.deliveries.values()) {
+      if (delivery.meetingId === meetingId) summary[delivery.status]++;
+    }
+    return summary;
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  WEBHOOK_SCHEMA_VERSION,
+  signPayload,
+  parseWebhookUrls,
+};
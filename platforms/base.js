@@ -1,4 +1,11 @@
+const fs = require('fs');
+const path = require('path');
+const { CAPTION_BINDING, installCaptionObserver } = require('./captions');
+const { captureFilename } = require('../lib/meetingFiles');
+
 const DEFAULT_WAIT_FOR_SELECTOR_TIMEOUT = 15000;
+// Browser console messages kept for failure captures
+const CONSOLE_TAIL_SIZE = 100;
 
 /**
  * Base class for platform-specific meeting automation controllers.
@@ -17,6 +24,17 @@ class PlatformController {
     this.logger = logger;
     this.joinDeadline =
       Date.now() + (config.joinTimeoutSec || 60) * 1000;
+    this.consoleTail = [];
+    this.failedJoinStep = null;
+
+    if (typeof page.on === 'function') {
+      page.on('console', (message) =>
+        this.recordConsole(message.type(), message.text())
+      );
+      page.on('pageerror', (error) =>
+        this.recordConsole('pageerror', error.message)
+      );
+    }
   }
 
   /* -------------------------------------------------------------------------- */
@@ -66,12 +84,27 @@ class PlatformController {
   /* -------------------------------------------------------------------------- */
 
   async joinMeeting() {
-    await this.beforeJoin();
-    await this.performJoin();
-    await this.ensureJoined();
+    await this.runJoinStep('beforeJoin', () => this.beforeJoin());
+    await this.runJoinStep('performJoin', () => this.performJoin());
+    await this.runJoinStep('ensureJoined', () => this.ensureJoined());
     await this.afterJoin();
   }
 
+  /**
+   * Run one join step, capturing failure artifacts if it throws.
+   * @param {string} step
+   * @param {function(): Promise<*>} action
+   */
+  async runJoinStep(step, action) {
+    try {
+      return await action();
+    } catch (error) {
+      this.failedJoinStep = step;
+      await this.captureFailureArtifacts(step, error);
+      throw error;
+    }
+  }
+
   // Abstract steps — must be overridden
   async beforeJoin() {
     throw new Error('beforeJoin() must be implemented');
@@ -127,6 +160,250 @@ class PlatformController {
     return false;
   }
 
+  /**
+   * Selectors for screens shown once the bot is no longer in the call, keyed by
+   * the status reported for them. Checked in insertion order, so list the more
+   * specific reasons (e.g. removed_by_host) first.
+   * @returns {Object<string, string[]>}
+   */
+  getMeetingEndSignals() {
+    return {};
+  }
+
+  /**
+   * Check for an end-of-meeting screen.
+   * @returns {Promise<string|null>} Reason key from getMeetingEndSignals(), or null
+   */
+  async detectMeetingEnd() {
+    if (this.page.isClosed()) return 'meeting_ended';
+
+    const context = this.getDomTarget();
+    const signals = this.getMeetingEndSignals();
+
+    for (const [reason, selectors] of Object.entries(signals)) {
+      for (const selector of selectors) {
+        try {
+          const locator = context.locator(selector).first();
+          if (await locator.isVisible()) return reason;
+        } catch (_) {}
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Selectors for an element whose aria-label or text holds the participant count.
+   * @returns {string[]}
+   */
+  getParticipantCountSelectors() {
+    return [];
+  }
+
+  /**
+   * Number of participants in the call, including the bot.
+   * @returns {Promise<number|null>} null when the count cannot be read
+   */
+  async getParticipantCount() {
+    const context = this.getDomTarget();
+
+    for (const selector of this.getParticipantCountSelectors()) {
+      try {
+        const locator = context.locator(selector).first();
+        if (!(await locator.isVisible())) continue;
+
+        // Labels like "Show everyone" have no number; the count is then in a badge inside
+        const label = (await locator.getAttribute('aria-label')) || '';
+        const match = label.match(/\d+/) || ((await locator.textContent()) || '').match(/\d+/);
+        if (match) return parseInt(match[0], 10);
+      } catch (_) {}
+    }
+
+    return null;
+  }
+
+  /* -------------------------------------------------------------------------- */
+  /*                            CHAT AND ADMISSION                              */
+  /* -------------------------------------------------------------------------- */
+
+  /**
+   * Selectors for the in-call chat. An empty input list means chat is unsupported.
+   * @returns {{openButtons: string[], input: string[], sendButtons: string[]}}
+   */
+  getChatSelectors() {
+    return { openButtons: [], input: [], sendButtons: [] };
+  }
+
+  /**
+   * Post a message to the meeting chat, opening the chat panel if needed.
+   * @param {string} text
+   */
+  async sendChatMessage(text) {
+    const { openButtons, input, sendButtons } = this.getChatSelectors();
+    if (!input.length) {
+      throw new Error('Chat is not supported on this platform');
+    }
+
+    let box = await this.waitForAny(input, { timeout: 1000 }).catch(() => null);
+    if (!box) {
+      await this.clickFirstVisible(openButtons);
+      box = await this.waitForAny(input, { timeout: 5000 }).catch(() => null);
+    }
+    if (!box) {
+      throw new Error('Chat input not found');
+    }
+
+    await box.click();
+    await box.fill(text);
+    const sent = sendButtons.length
+      ? await this.clickFirstVisible(sendButtons, { timeout: 1000 })
+      : null;
+    if (!sent) {
+      await box.press('Enter');
+    }
+    this.logger.info?.('Chat message sent', { length: text.length });
+  }
+
+  /**
+   * Selectors for admitting waiting participants.
+   * An empty admitButtons list means admitting is unsupported.
+   * @param {string|null} name - Participant to admit, or null for everyone waiting
+   * @returns {{panelButtons: string[], admitButtons: string[], confirmButtons: string[]}}
+   */
+  getAdmitSelectors(_name) {
+    return { panelButtons: [], admitButtons: [], confirmButtons: [] };
+  }
+
+  /**
+   * Admit a waiting participant by display name, or everyone when name is empty.
+   * Opens the participants panel if the admit control is not already visible.
+   * @param {string|null} name
+   */
+  async admitParticipant(name) {
+    const { panelButtons, admitButtons, confirmButtons } = this.getAdmitSelectors(name || null);
+    if (!admitButtons.length) {
+      throw new Error('Admitting participants is not supported on this platform');
+    }
+
+    let admitted = await this.clickFirstVisible(admitButtons, { timeout: 1000 });
+    if (!admitted) {
+      await this.clickFirstVisible(panelButtons);
+      admitted = await this.clickFirstVisible(admitButtons, { timeout: 5000 });
+    }
+    if (!admitted) {
+      throw new Error(name ? `No one named "${name}" is waiting to join` : 'No one is waiting to join');
+    }
+
+    if (confirmButtons.length) {
+      await this.clickFirstVisible(confirmButtons, { timeout: 2000 });
+    }
+    this.logger.info?.('Admitted waiting participant', { name: name || 'everyone' });
+  }
+
+  /**
+   * Quote a display name for use inside a :has-text("...") selector.
+   * @param {string} name
+   * @returns {string}
+   */
+  static quoteSelectorText(name) {
+    return JSON.stringify(String(name));
+  }
+
+  /* -------------------------------------------------------------------------- */
+  /*                               LIVE CAPTIONS                                */
+  /* -------------------------------------------------------------------------- */
+
+  /**
+   * Selectors for the platform's live captions. enableSteps are clicked in
+   * order to turn captions on (e.g. a menu, then the captions item).
+   * An empty container list means captions are unsupported. selfLabels are
+   * the speaker names the platform shows on the bot's own captions besides
+   * its display name (e.g. "You").
+   * @returns {{enableSteps: string[][], container: string[], entry: string[], speaker: string[], text: string[], selfLabels: string[]}}
+   */
+  getCaptionSelectors() {
+    return { enableSteps: [], container: [], entry: [], speaker: [], text: [], selfLabels: [] };
+  }
+
+  /**
+   * Turn live captions on unless they are already showing.
+   * @returns {Promise<boolean>} false when a step could not be found
+   */
+  async enableCaptions() {
+    const { enableSteps, container } = this.getCaptionSelectors();
+    const showing = await this.waitForAny(container, { timeout: 1000 }).catch(() => null);
+    if (showing) return true;
+
+    for (const step of enableSteps) {
+      if (!(await this.clickFirstVisible(step, { timeout: 3000 }))) {
+        // Close any menu left open by an earlier step
+        await this.page.keyboard.press('Escape').catch(() => {});
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Turn captions on and stream caption changes to onCaption.
+   * @param {function({id: number, speaker: string|null, text: string}): void} onCaption
+   */
+  async startCaptionCapture(onCaption) {
+    const selectors = this.getCaptionSelectors();
+    if (!selectors.container.length) {
+      throw new Error('Live captions are not supported on this platform');
+    }
+    if (!(await this.enableCaptions())) {
+      throw new Error('Could not turn on live captions');
+    }
+
+    // Bindings are visible in every frame, so this also covers iframe-hosted clients
+    await this.page.exposeBinding(CAPTION_BINDING, (_source, caption) => onCaption(caption));
+    await this.getDomTarget().evaluate(installCaptionObserver, {
+      binding: CAPTION_BINDING,
+      container: selectors.container,
+      entry: selectors.entry,
+      speaker: selectors.speaker,
+      text: selectors.text,
+    });
+    this.logger.info?.('Live caption capture started');
+  }
+
+  /* -------------------------------------------------------------------------- */
+  /*                              ACTIVE SPEAKERS                               */
+  /* -------------------------------------------------------------------------- */
+
+  /**
+   * Selectors for participant tiles, the name inside a tile and the indicator
+   * the platform shows while that participant speaks (matched on the tile or
+   * inside it). An empty tiles list means speaker indicators are unsupported.
+   * @returns {{tiles: string[], name: string[], speaking: string[]}}
+   */
+  getSpeakerSelectors() {
+    return { tiles: [], name: [], speaking: [] };
+  }
+
+  /**
+   * Names of the participants the meeting UI currently shows as speaking.
+   * @returns {Promise<string[]>}
+   */
+  async getActiveSpeakers() {
+    const selectors = this.getSpeakerSelectors();
+    if (!selectors.tiles.length) return [];
+
+    return this.getDomTarget().evaluate(({ tiles, name, speaking }) => {
+      const speakingSelector = speaking.join(',');
+      const names = [];
+      for (const tile of document.querySelectorAll(tiles.join(','))) {
+        if (!tile.matches(speakingSelector) && !tile.querySelector(speakingSelector)) continue;
+        const label = name.map((selector) => tile.querySelector(selector)).find(Boolean);
+        const text = label ? (label.textContent || '').trim() : '';
+        if (text) names.push(text);
+      }
+      return names;
+    }, selectors).catch(() => []);
+  }
+
   /* -------------------------------------------------------------------------- */
   /*                               DOM UTILITIES                                */
   /* -------------------------------------------------------------------------- */
@@ -222,6 +499,138 @@ class PlatformController {
     }
   }
 
+  /* -------------------------------------------------------------------------- */
+  /*                             FAILURE ARTIFACTS                              */
+  /* -------------------------------------------------------------------------- */
+
+  recordConsole(type, text) {
+    this.consoleTail.push({ at: new Date().toISOString(), type, text });
+    if (this.consoleTail.length > CONSOLE_TAIL_SIZE) this.consoleTail.shift();
+  }
+
+  /**
+   * Directory for screenshots and failure captures. Docker mounts
+   * /app/logs/screenshots; subprocesses fall back to ./logs/screenshots.
+   * @returns {string}
+   */
+  getScreenshotsDir() {
+    if (this.config.screenshotsDir) return this.config.screenshotsDir;
+    return fs.existsSync('/app/logs/screenshots')
+      ? '/app/logs/screenshots'
+      : path.join(process.cwd(), 'logs', 'screenshots');
+  }
+
+  /**
+   * @param {string} kind - screenshot or failure
+   * @param {string} reason
+   * @param {string} extension
+   * @param {Date} [date] - Shared by the files of one capture
+   * @returns {string} Absolute path, named after the meeting and session
+   */
+  captureFilePath(kind, reason, extension, date = new Date()) {
+    const directory = this.getScreenshotsDir();
+    fs.mkdirSync(directory, { recursive: true });
+    return path.join(
+      directory,
+      captureFilename({
+        kind,
+        meetingId: this.config.meetingId,
+        sessionId: this.config.sessionId,
+        reason,
+        extension,
+        date,
+      })
+    );
+  }
+
+  /**
+   * Take a full-page screenshot for debugging.
+   * @param {string} reason - e.g. "join_button_not_found"
+   * @returns {Promise<string|null>} File path, or null when it failed
+   */
+  async takeScreenshot(reason) {
+    try {
+      const filepath = this.captureFilePath('screenshot', reason, 'png');
+      await this.page.screenshot({ path: filepath, fullPage: true });
+      this.logger.warn('Screenshot captured', {
+        reason,
+        filepath,
+        url: this.page.url(),
+      });
+      return filepath;
+    } catch (error) {
+      this.logger.error('Failed to take screenshot', {
+        reason,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Save what the page looked like when a join step failed: a screenshot, the
+   * HTML of every frame, and a JSON summary with the URL, error and console
+   * tail. Each part is best effort; a closed page still yields the summary.
+   * @param {string} step - Join step that threw
+   * @param {Error} error
+   * @returns {Promise<string[]>} Files written
+   */
+  async captureFailureArtifacts(step, error) {
+    const capturedAt = new Date();
+    const files = [];
+    let url = null;
+    try {
+      url = this.page.url();
+    } catch (_) {}
+
+    try {
+      const filepath = this.captureFilePath('failure', step, 'png', capturedAt);
+      await this.page.screenshot({ path: filepath, fullPage: true });
+      files.push(filepath);
+    } catch (captureError) {
+      this.logger.warn?.('Failure screenshot unavailable', { error: captureError.message });
+    }
+
+    const frames = [];
+    try {
+      const sections = [];
+      for (const frame of this.page.frames()) {
+        const frameUrl = frame.url();
+        frames.push(frameUrl);
+        const html = await frame.content().catch((frameError) => `<!-- ${frameError.message} -->`);
+        sections.push(`<!-- frame: ${frameUrl} -->\n${html}`);
+      }
+      const filepath = this.captureFilePath('failure', step, 'html', capturedAt);
+      await fs.promises.writeFile(filepath, sections.join('\n\n'));
+      files.push(filepath);
+    } catch (captureError) {
+      this.logger.warn?.('Failure DOM capture unavailable', { error: captureError.message });
+    }
+
+    try {
+      const filepath = this.captureFilePath('failure', step, 'json', capturedAt);
+      const summary = {
+        step,
+        error: error.message,
+        stack: error.stack,
+        url,
+        frames,
+        meetingId: this.config.meetingId || null,
+        sessionId: this.config.sessionId || null,
+        platform: this.config.platform || null,
+        capturedAt: capturedAt.toISOString(),
+        console: this.consoleTail,
+      };
+      await fs.promises.writeFile(filepath, JSON.stringify(summary, null, 2));
+      files.push(filepath);
+    } catch (captureError) {
+      this.logger.error('Failed to write failure summary', { error: captureError.message });
+    }
+
+    this.logger.warn('Join step failed, artifacts captured', { step, url, files });
+    return files;
+  }
+
   /* -------------------------------------------------------------------------- */
   /*                            BROWSER ARGS OVERRIDE                            */
   /* -------------------------------------------------------------------------- */
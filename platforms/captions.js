@@ -0,0 +1,180 @@
+// Page binding the in-page observer reports caption changes through
+const CAPTION_BINDING = 'aurrayEmitCaption';
+// A caption block that has not changed for this long is treated as a finished turn
+const DEFAULT_IDLE_MS = 1500;
+const FLUSH_INTERVAL_MS = 500;
+// Emitted blocks idle this long are forgotten; platforms drop old blocks well before
+const EMITTED_RETENTION_MS = 10 * 60 * 1000;
+
+/**
+ * Runs inside the meeting page (passed to evaluate()). Watches the captions
+ * region with a MutationObserver and reports every caption block whose text
+ * changed as { id, speaker, text }. The region is looked up again whenever it
+ * disappears, since platforms re-render it when captions are toggled.
+ * @param {{binding: string, container: string[], entry: string[], speaker: string[], text: string[]}} options
+ */
+function installCaptionObserver(options) {
+  if (window.__aurrayCaptionObserver) return;
+  window.__aurrayCaptionObserver = true;
+
+  const ids = new WeakMap();
+  const lastText = new Map();
+  let nextId = 1;
+  let observed = null;
+  let observer = null;
+  let scanTimer = null;
+
+  const query = (root, selectors) => {
+    for (const selector of selectors) {
+      const found = root.querySelector(selector);
+      if (found) return found;
+    }
+    return null;
+  };
+  const queryAll = (root, selectors) => {
+    for (const selector of selectors) {
+      const found = root.querySelectorAll(selector);
+      if (found.length) return Array.from(found);
+    }
+    return [];
+  };
+  const readText = (element) => (element ? element.textContent || '' : '').replace(/\s+/g, ' ').trim();
+
+  const scan = () => {
+    scanTimer = null;
+    if (!observed) return;
+    const entries = options.entry.length ? queryAll(observed, options.entry) : [observed];
+    const seen = new Set();
+    for (const entry of entries) {
+      if (!ids.has(entry)) ids.set(entry, nextId++);
+      const id = ids.get(entry);
+      seen.add(id);
+      const speakerElement = options.speaker.length ? query(entry, options.speaker) : null;
+      const textElement = (options.text.length && query(entry, options.text)) || entry;
+      const text = readText(textElement);
+      if (!text || lastText.get(id) === text) continue;
+      lastText.set(id, text);
+      window[options.binding]({ id, speaker: readText(speakerElement) || null, text });
+    }
+    // Blocks the platform removed never come back under the same id
+    for (const id of lastText.keys()) {
+      if (!seen.has(id)) lastText.delete(id);
+    }
+  };
+
+  const attach = () => {
+    if (observed && observed.isConnected) return;
+    if (observer) observer.disconnect();
+    observed = query(document, options.container);
+    if (!observed) return;
+    observer = new MutationObserver(() => {
+      // Captions change word by word - coalesce bursts into one scan
+      if (!scanTimer) scanTimer = setTimeout(scan, 100);
+    });
+    observer.observe(observed, { childList: true, subtree: true, characterData: true });
+    scan();
+  };
+
+  attach();
+  setInterval(attach, 1000);
+}
+
+/**
+ * Turns the stream of caption updates into transcript turns. Platforms rewrite
+ * a caption block as recognition improves, so a block is only emitted once it
+ * has been idle for idleMs (or when the tracker stops).
+ */
+class CaptionTracker {
+  /**
+   * @param {object} options
+   * @param {string} [options.botName] - Captions from this speaker are the assistant's turns
+   * @param {string[]} [options.selfLabels] - Platform labels for the bot's own captions (e.g. "You"), also the assistant's
+   * @param {number} [options.idleMs]
+   * @param {function(object): void} options.onTurn - Receives { role, speaker, text, itemId, startedAt, endedAt, source }
+   */
+  constructor(options) {
+    this.botName = (options.botName || '').trim();
+    this.selfNames = [this.botName, ...(options.selfLabels || [])]
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+    this.idleMs = options.idleMs || DEFAULT_IDLE_MS;
+    this.onTurn = options.onTurn;
+    this.pending = new Map(); // caption id -> { speaker, text, startedAt, updatedAt }
+    this.emitted = new Map(); // caption id -> { text, count, updatedAt } already turned into turns
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop the flush timer and emit whatever is still pending.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.flush(Infinity);
+  }
+
+  /**
+   * @param {{id: number, speaker: string|null, text: string}} caption
+   * @param {number} [now]
+   */
+  update(caption, now = Date.now()) {
+    const existing = this.pending.get(caption.id);
+    if (existing) {
+      existing.text = caption.text;
+      existing.speaker = caption.speaker || existing.speaker;
+      existing.updatedAt = now;
+      return;
+    }
+    this.pending.set(caption.id, { speaker: caption.speaker, text: caption.text, startedAt: now, updatedAt: now });
+  }
+
+  /**
+   * Emit blocks that have been idle for idleMs and forget emitted blocks that
+   * stopped updating long ago.
+   * @param {number} [now] - Infinity emits everything
+   */
+  flush(now = Date.now()) {
+    for (const [id, emitted] of this.emitted) {
+      if (!this.pending.has(id) && now - emitted.updatedAt > EMITTED_RETENTION_MS) this.emitted.delete(id);
+    }
+
+    for (const [id, caption] of this.pending) {
+      if (now - caption.updatedAt < this.idleMs) continue;
+      this.pending.delete(id);
+
+      // A block that keeps growing after a pause only contributes its new text
+      const previous = this.emitted.get(id) || { text: '', count: 0 };
+      const text = previous.text && caption.text.startsWith(previous.text)
+        ? caption.text.slice(previous.text.length).trim()
+        : caption.text;
+      this.emitted.set(id, { text: caption.text, count: previous.count + 1, updatedAt: caption.updatedAt });
+      if (!text) continue;
+
+      const isBot = this.selfNames.includes((caption.speaker || '').trim().toLowerCase());
+      this.onTurn({
+        role: isBot ? 'assistant' : 'user',
+        // Self labels like "You" mean nothing in a stored transcript
+        speaker: isBot && this.botName ? this.botName : caption.speaker,
+        text,
+        itemId: previous.count ? `caption_${id}_${previous.count + 1}` : `caption_${id}`,
+        startedAt: new Date(caption.startedAt).toISOString(),
+        endedAt: new Date(caption.updatedAt).toISOString(),
+        source: 'captions',
+      });
+    }
+  }
+}
+
+module.exports = {
+  CAPTION_BINDING,
+  CaptionTracker,
+  installCaptionObserver,
+};
@@ -1,6 +1,82 @@
 const PlatformController = require("./base");
-const fs = require("fs");
-const path = require("path");
+
+const SELECTORS = {
+  micToggle: [
+    'button[aria-label*="Turn off microphone"]',
+    'button[aria-label*="Turn on microphone"]',
+    'button[aria-label*="microphone" i][data-is-muted]',
+  ],
+  cameraToggle: [
+    'button[aria-label*="Turn off camera"]',
+    'button[aria-label*="Turn on camera"]',
+    'button[aria-label*="camera" i][data-is-muted]',
+  ],
+  leaveButtons: [
+    'button[aria-label="Leave call"]',
+    'button[aria-label*="Leave call"]',
+    'button[aria-label*="leave call"]',
+  ],
+  leaveConfirmButtons: [
+    'button:has-text("Just leave the call")',
+    'button:has-text("Leave call")',
+  ],
+  leftMeetingIndicators: [
+    'text="You left the meeting"',
+    'button:has-text("Rejoin")',
+    'button:has-text("Return to home screen")',
+  ],
+  removedIndicators: [
+    'text=/You\'ve been removed from the meeting/i',
+    'text=/removed you from the meeting/i',
+  ],
+  meetingEndedIndicators: [
+    'text=/The call has ended/i',
+    'text=/meeting has ended/i',
+    'text="You left the meeting"',
+    'button:has-text("Return to home screen")',
+  ],
+  participantCount: [
+    'button[aria-label^="People -"][aria-label*="joined"]',
+    'button[aria-label*="Show everyone"] [data-avatar-count]',
+  ],
+  chatOpenButtons: [
+    'button[aria-label*="Chat with everyone"]',
+    'button[aria-label*="chat" i]',
+  ],
+  chatInput: [
+    'textarea[aria-label*="Send a message"]',
+    'textarea[placeholder*="Send a message"]',
+  ],
+  chatSendButtons: [
+    'button[aria-label*="Send a message"]',
+    'button[aria-label="Send message"]',
+  ],
+  peoplePanelButtons: [
+    'button[aria-label^="People -"][aria-label*="joined"]',
+    'button[aria-label*="Show everyone"]',
+  ],
+  admitAllButtons: [
+    'button:has-text("Admit all")',
+  ],
+  admitAllConfirmButtons: [
+    'button:has-text("Admit all")[data-mdc-dialog-action="ok"]',
+  ],
+  captionsButtons: [
+    'button[aria-label*="Turn on captions" i]',
+    'button[aria-label*="captions" i][aria-pressed="false"]',
+  ],
+  captionsRegion: [
+    'div[role="region"][aria-label*="Captions" i]',
+    'div[jsname="dsyhDe"]',
+  ],
+  captionEntries: ['div.nMcdL'],
+  captionSpeakers: ['span.NWpY1d', 'div.KcIKyf'],
+  captionText: ['div.ygicle', 'div.bh44bd'],
+  participantTiles: ['div[data-participant-id]'],
+  participantNames: ['[data-self-name]', 'span.notranslate'],
+  // Meet animates an audio indicator on the tile of whoever is speaking
+  speakingIndicators: ['div.IisKdb:not(.gjg47c)', '[data-audio-level]:not([data-audio-level="0"])'],
+};
 
 class GoogleMeetController extends PlatformController {
   static getBrowserArgs() {
@@ -11,50 +87,6 @@ class GoogleMeetController extends PlatformController {
     return "https://meet.google.com";
   }
 
-  /**
-   * Take a screenshot for debugging purposes
-   * @param {string} reason - Reason for the screenshot (e.g., "join_button_not_found")
-   */
-  async takeScreenshot(reason) {
-    try {
-      // Use mounted volume path for Docker containers, fallback to local logs for subprocess
-      // In Docker, screenshots are mounted at /app/logs/screenshots
-      // For subprocess, use process.cwd()/logs/screenshots
-      const isDocker = fs.existsSync('/app/logs/screenshots');
-      const screenshotsDir = isDocker 
-        ? '/app/logs/screenshots'
-        : path.join(process.cwd(), "logs", "screenshots");
-      
-      if (!fs.existsSync(screenshotsDir)) {
-        fs.mkdirSync(screenshotsDir, { recursive: true });
-      }
-
-      // Generate filename with timestamp, meeting ID, session ID, and reason
-      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-      const meetingId = this.config.meetingId || "unknown";
-      const sessionId = (this.config.sessionId || "unknown").substring(0, 8);
-      const filename = `screenshot-${timestamp}-${meetingId}-${sessionId}-${reason}.png`;
-      const filepath = path.join(screenshotsDir, filename);
-
-      // Take screenshot
-      await this.page.screenshot({
-        path: filepath,
-        fullPage: true, // Capture full page, not just viewport
-      });
-
-      this.logger.warn("Screenshot captured", {
-        reason,
-        filepath,
-        url: this.page.url(),
-      });
-    } catch (error) {
-      this.logger.error("Failed to take screenshot", {
-        reason,
-        error: error.message,
-      });
-    }
-  }
-
   async beforeJoin() {
     await this.page.waitForLoadState("domcontentloaded");
     await this.page.waitForTimeout(2000);
@@ -448,19 +480,103 @@ class GoogleMeetController extends PlatformController {
   }
 
   async leaveMeeting() {
-    // Not implemented
+    // Stop admitting people before we hang up
+    this._admitAllPollingActive = false;
+    if (this._admitAllTimeout) {
+      clearTimeout(this._admitAllTimeout);
+      this._admitAllTimeout = null;
+    }
+
+    const leave = await this.clickFirstVisible(SELECTORS.leaveButtons, { timeout: 4000 });
+    if (!leave) {
+      throw new Error("Google Meet: unable to locate leave call button");
+    }
+    this.logger.info("Google Meet: leave call button clicked");
+
+    // Organizers are asked whether to end the call for everyone - only leave ourselves
+    const confirm = await this.clickFirstVisible(SELECTORS.leaveConfirmButtons, { timeout: 1500 });
+    if (confirm) {
+      this.logger.info("Google Meet: confirmed leaving the call");
+    }
+
+    try {
+      await this.waitForAny(SELECTORS.leftMeetingIndicators, { timeout: 5000 });
+      this.logger.info("Google Meet: left the meeting");
+    } catch (_) {
+      this.logger.warn("Google Meet: leave confirmation screen not detected");
+    }
   }
 
   async setMicrophone(enable) {
-    // Not implemented
+    await this.ensureToggleState({ selectors: SELECTORS.micToggle, desiredState: enable, allowUnknown: true });
+    this.logger.info(`Google Meet: microphone ${enable ? "enabled" : "muted"}`);
   }
 
   async setCamera(enable) {
-    // Not implemented
+    await this.ensureToggleState({ selectors: SELECTORS.cameraToggle, desiredState: enable, allowUnknown: true });
+    this.logger.info(`Google Meet: camera ${enable ? "enabled" : "disabled"}`);
   }
 
   getMeetingPresenceSelectors() {
-    return [];
+    return SELECTORS.leaveButtons;
+  }
+
+  getMeetingEndSignals() {
+    return {
+      removed_by_host: SELECTORS.removedIndicators,
+      meeting_ended: SELECTORS.meetingEndedIndicators,
+    };
+  }
+
+  getParticipantCountSelectors() {
+    return SELECTORS.participantCount;
+  }
+
+  getChatSelectors() {
+    return {
+      openButtons: SELECTORS.chatOpenButtons,
+      input: SELECTORS.chatInput,
+      sendButtons: SELECTORS.chatSendButtons,
+    };
+  }
+
+  getAdmitSelectors(name) {
+    if (!name) {
+      return {
+        panelButtons: SELECTORS.peoplePanelButtons,
+        admitButtons: SELECTORS.admitAllButtons,
+        confirmButtons: SELECTORS.admitAllConfirmButtons,
+      };
+    }
+    const quoted = PlatformController.quoteSelectorText(name);
+    return {
+      panelButtons: SELECTORS.peoplePanelButtons,
+      admitButtons: [
+        `[role="listitem"]:has-text(${quoted}) button:has-text("Admit")`,
+        `button[aria-label=${JSON.stringify(`Admit ${name}`)}]`,
+      ],
+      confirmButtons: [],
+    };
+  }
+
+  getCaptionSelectors() {
+    return {
+      enableSteps: [SELECTORS.captionsButtons],
+      container: SELECTORS.captionsRegion,
+      entry: SELECTORS.captionEntries,
+      speaker: SELECTORS.captionSpeakers,
+      text: SELECTORS.captionText,
+      // Meet labels the local participant's captions "You"
+      selfLabels: ['You'],
+    };
+  }
+
+  getSpeakerSelectors() {
+    return {
+      tiles: SELECTORS.participantTiles,
+      name: SELECTORS.participantNames,
+      speaking: SELECTORS.speakingIndicators,
+    };
   }
 
   async cleanup() {
@@ -0,0 +1,201 @@
+// Page binding the audio capture script reports per-track levels through
+const LEVEL_BINDING = 'aurrayEmitTrackLevels';
+// RMS above which a remote track counts as speaking
+const DEFAULT_SPEAKING_LEVEL = 0.02;
+// Co-occurrences needed before a track is attributed to a name
+const DEFAULT_MIN_VOTES = 3;
+// DOM speaker indicators older than this are ignored when voting
+const ACTIVE_NAMES_MAX_AGE_MS = 2000;
+const DEFAULT_RETENTION_MS = 30 * 60 * 1000;
+// Silence that splits two segments of the same speaker
+const DEFAULT_SEGMENT_GAP_MS = 1000;
+
+/**
+ * Merge time-ordered { speaker, start, end } ranges of the same speaker that
+ * are at most gapMs apart.
+ * @param {{speaker: string, start: number, end: number}[]} ranges
+ * @param {number} gapMs
+ * @returns {{speaker: string, start: number, end: number}[]}
+ */
+function mergeRanges(ranges, gapMs) {
+  const merged = [];
+  let current = null;
+  for (const { speaker, start, end } of ranges) {
+    if (current && current.speaker === speaker && start - current.end <= gapMs) {
+      current.end = Math.max(current.end, end);
+      continue;
+    }
+    current = { speaker, start, end };
+    merged.push(current);
+  }
+  return merged;
+}
+
+/**
+ * Attributes captured audio to participants.
+ *
+ * The capture script reports the level of every remote track (keyed by SSRC
+ * when the receiver exposes one, otherwise by track id). The platform reports
+ * which names its UI currently shows as speaking. Whenever exactly one track
+ * is loud while exactly one name is highlighted, that pairing gets a vote; a
+ * track is attributed to the name with the most votes. Every level sample
+ * also lands on a timeline so finished turns can be tagged afterwards.
+ *
+ * Only levels are tracked per track: the captured audio stays one mix of all
+ * remote tracks, so attribution labels time ranges, not separate streams.
+ *
+ * Samples older than the retention window leave the timeline but are kept as
+ * merged segments, so getSegments() still covers the whole recording.
+ */
+class SpeakerTracker {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.speakingLevel]
+   * @param {number} [options.minVotes]
+   * @param {number} [options.retentionMs] - How much timeline to keep for speakerBetween()
+   * @param {number} [options.segmentGapMs] - Gap used when merging pruned samples into segments
+   */
+  constructor(options = {}) {
+    this.speakingLevel = options.speakingLevel || DEFAULT_SPEAKING_LEVEL;
+    this.minVotes = options.minVotes || DEFAULT_MIN_VOTES;
+    this.retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+    this.segmentGapMs = options.segmentGapMs || DEFAULT_SEGMENT_GAP_MS;
+    this.votes = new Map(); // track key -> Map(name -> count)
+    this.activeNames = [];
+    this.activeNamesAt = 0;
+    this.timeline = []; // { at, speaker }, oldest first
+    this.prunedSegments = []; // { speaker, start, end } merged from samples that left the timeline
+  }
+
+  /**
+   * Names the meeting UI shows as speaking right now.
+   * @param {string[]} names
+   * @param {number} [now]
+   */
+  setActiveNames(names, now = Date.now()) {
+    this.activeNames = Array.from(new Set(names.filter(Boolean)));
+    this.activeNamesAt = now;
+  }
+
+  /**
+   * @param {{key: string, rms: number}[]} levels
+   * @param {number} [now]
+   * @returns {string|null} The participant speaking at this instant, if known
+   */
+  updateLevels(levels, now = Date.now()) {
+    const loud = levels
+      .filter((level) => level.rms >= this.speakingLevel)
+      .sort((a, b) => b.rms - a.rms);
+    const namesFresh = now - this.activeNamesAt <= ACTIVE_NAMES_MAX_AGE_MS;
+    const soleName = namesFresh && this.activeNames.length === 1 ? this.activeNames[0] : null;
+
+    if (loud.length === 1 && soleName) {
+      this.vote(loud[0].key, soleName);
+    }
+    if (loud.length === 0) return null;
+
+    const speaker = this.nameFor(loud[0].key) || soleName;
+    if (speaker) {
+      this.timeline.push({ at: now, speaker });
+      this.pruneTimeline(now);
+    }
+    return speaker;
+  }
+
+  /**
+   * Move samples older than the retention window into prunedSegments.
+   * @param {number} now
+   */
+  pruneTimeline(now) {
+    let count = 0;
+    while (count < this.timeline.length && this.timeline[count].at < now - this.retentionMs) count++;
+    if (count === 0) return;
+
+    const pruned = this.timeline.splice(0, count).map(({ at, speaker }) => ({ speaker, start: at, end: at }));
+    const last = this.prunedSegments.pop();
+    this.prunedSegments.push(...mergeRanges(last ? [last, ...pruned] : pruned, this.segmentGapMs));
+  }
+
+  vote(key, name) {
+    if (!this.votes.has(key)) this.votes.set(key, new Map());
+    const counts = this.votes.get(key);
+    counts.set(name, (counts.get(name) || 0) + 1);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string|null}
+   */
+  nameFor(key) {
+    const counts = this.votes.get(key);
+    if (!counts) return null;
+
+    let best = null;
+    let bestCount = 0;
+    for (const [name, count] of counts) {
+      if (count > bestCount) {
+        best = name;
+        bestCount = count;
+      }
+    }
+    return bestCount >= this.minVotes ? best : null;
+  }
+
+  /**
+   * @returns {Object<string, string>} track key -> participant name
+   */
+  getAssignments() {
+    const assignments = {};
+    for (const key of this.votes.keys()) {
+      const name = this.nameFor(key);
+      if (name) assignments[key] = name;
+    }
+    return assignments;
+  }
+
+  /**
+   * The participant heard most between two instants.
+   * @param {number} start - ms since epoch
+   * @param {number} end - ms since epoch
+   * @returns {string|null}
+   */
+  speakerBetween(start, end) {
+    const counts = new Map();
+    for (const { at, speaker } of this.timeline) {
+      if (at < start || at > end) continue;
+      counts.set(speaker, (counts.get(speaker) || 0) + 1);
+    }
+
+    let best = null;
+    let bestCount = 0;
+    for (const [speaker, count] of counts) {
+      if (count > bestCount) {
+        best = speaker;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Every sample since the tracker started merged into { speaker, startedAt, endedAt } segments.
+   * Pruned samples were already merged with segmentGapMs, so a smaller gapMs
+   * only splits segments still on the timeline.
+   * @param {number} [gapMs] - Silence that splits two segments of the same speaker
+   * @returns {{speaker: string, startedAt: string, endedAt: string}[]}
+   */
+  getSegments(gapMs = this.segmentGapMs) {
+    const samples = this.timeline.map(({ at, speaker }) => ({ speaker, start: at, end: at }));
+    const segments = mergeRanges([...this.prunedSegments, ...samples], gapMs);
+    return segments.map(({ speaker, start, end }) => ({
+      speaker,
+      startedAt: new Date(start).toISOString(),
+      endedAt: new Date(end).toISOString(),
+    }));
+  }
+}
+
+module.exports = {
+  LEVEL_BINDING,
+  SpeakerTracker,
+};
@@ -1,5 +1,114 @@
 const PlatformController = require('./base');
 
+// Maximum time to sit in the lobby before giving up on admission
+const LOBBY_WAIT_TIMEOUT_MS = 120000;
+
+const SELECTORS = {
+  continueOnBrowser: [
+    'button:has-text("Continue on this browser")',
+    'button[data-tid="joinOnWeb"]'
+  ],
+  nameInput: 'input[placeholder*="name" i], input[placeholder="Type your name"]',
+  joinButtons: [
+    'button:has-text("Join now")',
+    'button[data-tid="prejoin-join-button"]'
+  ],
+  lobbyMessage: [
+    'text=/Someone in the meeting should let you in soon/i',
+    'text=/we\'ll let people know you\'re waiting/i'
+  ],
+  lobbyDenied: [
+    'text=/denied access to the meeting/i',
+    'text=/Sorry, but you were denied access/i',
+    'text=/no one responded to your request to join/i'
+  ],
+  micToggle: [
+    'button#mic-button',
+    '[data-tid="toggle-mute"]',
+    'button[aria-label*="Mute" i]'
+  ],
+  cameraToggle: [
+    'button#video-button',
+    '[data-tid="toggle-video"]',
+    'button[aria-label*="camera" i]'
+  ],
+  leaveButtons: [
+    'button#hangup-button',
+    '[data-tid="hangup-main-btn"]',
+    '[data-tid="call-hangup"]',
+    'button[aria-label*="Leave"]'
+  ],
+  leftMeetingIndicators: [
+    'text=/You left the meeting/i',
+    'text=/You\'ve left the meeting/i',
+    'button:has-text("Rejoin")'
+  ],
+  removedIndicators: [
+    'text=/removed you from the meeting/i',
+    'text=/You\'ve been removed from this meeting/i'
+  ],
+  meetingEndedIndicators: [
+    'text=/The meeting has ended/i',
+    'text=/meeting ended/i',
+    'text=/You left the meeting/i',
+    'text=/You\'ve left the meeting/i'
+  ],
+  participantCount: [
+    'button#roster-button',
+    '[data-tid="roster-button"]',
+    'button[aria-label*="participants" i]'
+  ],
+  meetingIndicators: [
+    'button#mic-button',
+    'button#hangup-button',
+    'button[aria-label*="Leave"]'
+  ],
+  chatOpenButtons: [
+    'button#chat-button',
+    '[data-tid="chat-button"]',
+    'button[aria-label*="chat" i]'
+  ],
+  chatInput: [
+    '[data-tid="ckeditor"]',
+    'div[role="textbox"][aria-label*="message" i]'
+  ],
+  chatSendButtons: [
+    'button[data-tid="newMessageCommands-send"]',
+    'button[aria-label="Send"]'
+  ],
+  rosterButtons: [
+    'button#roster-button',
+    '[data-tid="roster-button"]'
+  ],
+  admitAllButtons: [
+    'button:has-text("Admit all")'
+  ],
+  moreButtons: [
+    '#callingButtons-showMoreBtn',
+    'button[data-tid="more-button"]',
+    'button[aria-label="More"]'
+  ],
+  languageSpeechMenu: [
+    '[data-tid="LanguageSpeechMenuControl-id"]',
+    '[role="menuitem"]:has-text("Language and speech")'
+  ],
+  captionsMenuItem: [
+    '[data-tid="closed-captions-button"]',
+    '[role="menuitem"]:has-text("Turn on live captions")',
+    '[role="menuitemcheckbox"]:has-text("live captions")'
+  ],
+  captionsRegion: [
+    '[data-tid="closed-caption-v2-window-wrapper"]',
+    '[data-tid="closed-captions-renderer"]'
+  ],
+  captionEntries: ['.fui-ChatMessageCompact', '[data-tid="closed-caption-message"]'],
+  captionSpeakers: ['[data-tid="author"]'],
+  captionText: ['[data-tid="closed-caption-text"]'],
+  participantTiles: ['[data-cid="calling-participant-stream"]', '[data-tid="video-tile"]'],
+  participantNames: ['[data-tid="participant-name"]', '[data-tid="calling-participant-name"]'],
+  speakingIndicators: ['[data-tid="voice-level-stream-outline"][data-is-speaking="true"]', '[data-is-speaking="true"]']
+};
+
 class TeamsController extends PlatformController {
   static getBrowserArgs() {
     return [];
@@ -12,10 +121,7 @@ class TeamsController extends PlatformController {
   async beforeJoin() {
     // Click "Continue on this browser" button as soon as it appears
     this.logger.info('Looking for "Continue on this browser" button');
-    const continueButton = await this.clickFirstVisible([
-      'button:has-text("Continue on this browser")',
-      'button[data-tid="joinOnWeb"]'
-    ], { timeout: 30000 });
+    const continueButton = await this.clickFirstVisible(SELECTORS.continueOnBrowser, { timeout: 30000 });
     
     if (!continueButton) {
       throw new Error('Failed to find "Continue on this browser" button');
@@ -31,16 +137,13 @@ class TeamsController extends PlatformController {
   async performJoin() {
     // Fill in bot name
     this.logger.info('Filling bot name');
-    const nameInput = await this.page.waitForSelector('input[placeholder*="name" i], input[placeholder="Type your name"]', { timeout: 30000 });
+    const nameInput = await this.page.waitForSelector(SELECTORS.nameInput, { timeout: 30000 });
     await nameInput.fill(this.config.botName);
     this.logger.info('Bot name filled');
     
     // Click "Join now" button
     this.logger.info('Looking for "Join now" button');
-    const joinButton = await this.clickFirstVisible([
-      'button:has-text("Join now")',
-      'button[data-tid="prejoin-join-button"]'
-    ], { timeout: 30000 });
+    const joinButton = await this.clickFirstVisible(SELECTORS.joinButtons, { timeout: 30000 });
     
     if (!joinButton) {
       throw new Error('Failed to find "Join now" button');
@@ -48,11 +151,60 @@ class TeamsController extends PlatformController {
     this.logger.info('Clicked "Join now" button');
   }
 
+  /**
+   * Locator matching any of the selectors. text= selectors cannot be
+   * comma-joined: the engine reads the whole list as one text pattern.
+   * @param {string[]} selectors
+   */
+  anyOf(selectors) {
+    return selectors
+      .map((selector) => this.page.locator(selector))
+      .reduce((combined, locator) => combined.or(locator))
+      .first();
+  }
+
   async ensureJoined() {
-    await this.page.waitForSelector('button[id="mic-button"], button[id="hangup-button"], button[aria-label*="Leave"]', { timeout: 30000 });
+    const lobbyLocator = this.anyOf(SELECTORS.lobbyMessage);
+    const inLobby = await lobbyLocator
+      .waitFor({ state: 'visible', timeout: 5000 })
+      .then(() => true, () => false);
+    if (inLobby) {
+      this.logger.info('Teams: waiting in lobby for admission');
+      if (this.config.sendStatusUpdate) {
+        await this.config.sendStatusUpdate(
+          'waiting_for_host',
+          'Waiting to be admitted into the meeting',
+          { platform: this.config.platform }
+        );
+      }
+
+      const lobbyDeadline = Date.now() + LOBBY_WAIT_TIMEOUT_MS;
+      while (await lobbyLocator.isVisible().catch(() => false)) {
+        if (await this.isLobbyDenied()) {
+          throw new Error('Teams: admission to the meeting was denied');
+        }
+        if (Date.now() > lobbyDeadline) {
+          throw new Error('Teams: timed out waiting in lobby for admission');
+        }
+        await this.page.waitForTimeout(2000);
+      }
+      this.logger.info('Teams: admitted from lobby');
+    }
+
+    if (await this.isLobbyDenied()) {
+      throw new Error('Teams: admission to the meeting was denied');
+    }
+
+    await this.page.waitForSelector(SELECTORS.meetingIndicators.join(', '), { timeout: 30000 });
     this.logger.info('Meeting joined - meeting controls visible');
   }
 
+  async isLobbyDenied() {
+    return this.anyOf(SELECTORS.lobbyDenied)
+      .isVisible()
+      .catch(() => false);
+  }
+
   async afterJoin() {
     // No additional actions
   }
@@ -62,19 +214,106 @@ class TeamsController extends PlatformController {
   }
 
   async leaveMeeting() {
-    // Not implemented
+    const leave = await this.clickFirstVisible(SELECTORS.leaveButtons, { timeout: 4000 });
+    if (!leave) {
+      throw new Error('Teams: unable to locate hangup button');
+    }
+    this.logger.info('Teams: hangup button clicked');
+
+    try {
+      await this.waitForAny(SELECTORS.leftMeetingIndicators, { timeout: 5000 });
+      this.logger.info('Teams: left the meeting');
+    } catch (_) {
+      this.logger.warn('Teams: leave confirmation screen not detected');
+    }
   }
 
   async setMicrophone(enable) {
-    // Not implemented
+    await this.ensureToggleState({ selectors: SELECTORS.micToggle, desiredState: enable, allowUnknown: true });
+    this.logger.info(`Teams: microphone ${enable ? 'enabled' : 'muted'}`);
   }
 
   async setCamera(enable) {
-    // Not implemented
+    await this.ensureToggleState({ selectors: SELECTORS.cameraToggle, desiredState: enable, allowUnknown: true });
+    this.logger.info(`Teams: camera ${enable ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Teams labels its toggles "Mute"/"Unmute" and "Turn camera on/off" and
+   * exposes the current state via data-state (e.g. "mic-off"), neither of
+   * which the generic aria-label check understands.
+   */
+  async extractToggleState(locator) {
+    const dataState = (await locator.getAttribute('data-state')) || '';
+    if (/-off$/i.test(dataState)) return false;
+    if (dataState) return true;
+
+    const label = (await locator.getAttribute('aria-label')) || '';
+    if (/unmute|turn camera on/i.test(label)) return false;
+    if (/mute|turn camera off/i.test(label)) return true;
+
+    return super.extractToggleState(locator);
   }
 
   getMeetingPresenceSelectors() {
-    return [];
+    return [
+      ...SELECTORS.leaveButtons,
+      ...SELECTORS.micToggle.slice(0, 2),
+      ...SELECTORS.cameraToggle.slice(0, 2)
+    ];
+  }
+
+  getMeetingEndSignals() {
+    return {
+      removed_by_host: SELECTORS.removedIndicators,
+      meeting_ended: SELECTORS.meetingEndedIndicators
+    };
+  }
+
+  getParticipantCountSelectors() {
+    return SELECTORS.participantCount;
+  }
+
+  getChatSelectors() {
+    return {
+      openButtons: SELECTORS.chatOpenButtons,
+      input: SELECTORS.chatInput,
+      sendButtons: SELECTORS.chatSendButtons
+    };
+  }
+
+  getAdmitSelectors(name) {
+    if (!name) {
+      return { panelButtons: SELECTORS.rosterButtons, admitButtons: SELECTORS.admitAllButtons, confirmButtons: [] };
+    }
+    const quoted = PlatformController.quoteSelectorText(name);
+    return {
+      panelButtons: SELECTORS.rosterButtons,
+      admitButtons: [
+        `[role="treeitem"]:has-text(${quoted}) button[aria-label*="Admit"]`,
+        `[role="treeitem"]:has-text(${quoted}) button:has-text("Admit")`
+      ],
+      confirmButtons: []
+    };
+  }
+
+  getCaptionSelectors() {
+    return {
+      enableSteps: [SELECTORS.moreButtons, SELECTORS.languageSpeechMenu, SELECTORS.captionsMenuItem],
+      container: SELECTORS.captionsRegion,
+      entry: SELECTORS.captionEntries,
+      speaker: SELECTORS.captionSpeakers,
+      text: SELECTORS.captionText,
+      selfLabels: []
+    };
+  }
+
+  getSpeakerSelectors() {
+    return {
+      tiles: SELECTORS.participantTiles,
+      name: SELECTORS.participantNames,
+      speaking: SELECTORS.speakingIndicators
+    };
   }
 }
 
@@ -55,7 +55,49 @@ const SELECTORS = {
   leaveButtons: [
     'button:has-text("Leave")',
     '[data-testid*="leave"]'
-  ]
+  ],
+  removedIndicators: [
+    'text=/You have been removed from this meeting/i',
+    'text=/host has removed you/i'
+  ],
+  meetingEndedIndicators: [
+    'text=/This meeting has been ended by host/i',
+    'text=/meeting has ended/i',
+    'text=/You left the meeting/i'
+  ],
+  participantCount: [
+    '.footer-button__number-counter',
+    'button[aria-label*="participants list" i]'
+  ],
+  chatOpenButtons: [
+    'button[aria-label*="open the chat panel" i]',
+    'button[aria-label*="chat" i]'
+  ],
+  chatInput: [
+    '.chat-rtf-box__editor-outer [contenteditable="true"]',
+    'textarea.chat-box__chat-textarea'
+  ],
+  participantsPanelButtons: [
+    'button[aria-label*="open the participants list" i]',
+    'button[aria-label*="participants" i]'
+  ],
+  admitAllButtons: [
+    'button:has-text("Admit all")'
+  ],
+  captionsButtons: [
+    'button[aria-label*="Captions" i]',
+    'button[aria-label*="closed caption" i]'
+  ],
+  showCaptionsItems: [
+    '[role="menuitem"]:has-text("Show Captions")',
+    'a:has-text("Show Captions")'
+  ],
+  captionsRegion: ['.live-transcription-subtitle__box', '#live-transcription-subtitle'],
+  captionEntries: ['.live-transcription-subtitle__item'],
+  captionSpeakers: ['.live-transcription-subtitle__name'],
+  participantTiles: ['.video-avatar__avatar', '.speaker-active-container__video-frame', '.gallery-video-container__video-frame'],
+  participantNames: ['.video-avatar__avatar-footer span', '.video-avatar__avatar-name'],
+  speakingIndicators: ['.video-avatar__avatar--active', '.speaker-active-container__video-frame', '.gallery-video-container__video-frame--active']
 };
 
 class ZoomController extends PlatformController {
@@ -264,6 +306,57 @@ class ZoomController extends PlatformController {
     ];
   }
 
+  getMeetingEndSignals() {
+    return {
+      removed_by_host: SELECTORS.removedIndicators,
+      meeting_ended: SELECTORS.meetingEndedIndicators
+    };
+  }
+
+  getParticipantCountSelectors() {
+    return SELECTORS.participantCount;
+  }
+
+  getChatSelectors() {
+    // Zoom sends on Enter; there is no separate send button
+    return { openButtons: SELECTORS.chatOpenButtons, input: SELECTORS.chatInput, sendButtons: [] };
+  }
+
+  getAdmitSelectors(name) {
+    if (!name) {
+      return { panelButtons: SELECTORS.participantsPanelButtons, admitButtons: SELECTORS.admitAllButtons, confirmButtons: [] };
+    }
+    const quoted = PlatformController.quoteSelectorText(name);
+    return {
+      panelButtons: SELECTORS.participantsPanelButtons,
+      admitButtons: [
+        `.waiting-room-list-conatiner__ul li:has-text(${quoted}) button:has-text("Admit")`,
+        `[aria-label*="waiting room" i] li:has-text(${quoted}) button:has-text("Admit")`
+      ],
+      confirmButtons: []
+    };
+  }
+
+  getCaptionSelectors() {
+    // The subtitle overlay often has no name element; speakers are then unknown
+    return {
+      enableSteps: [SELECTORS.captionsButtons, SELECTORS.showCaptionsItems],
+      container: SELECTORS.captionsRegion,
+      entry: SELECTORS.captionEntries,
+      speaker: SELECTORS.captionSpeakers,
+      text: [],
+      selfLabels: []
+    };
+  }
+
+  getSpeakerSelectors() {
+    return {
+      tiles: SELECTORS.participantTiles,
+      name: SELECTORS.participantNames,
+      speaking: SELECTORS.speakingIndicators
+    };
+  }
+
   async leaveMeeting() {
     const leave = await this.clickFirstVisible(SELECTORS.leaveButtons, { timeout: 4000 });
     if (!leave) {
@@ -0,0 +1,74 @@
+/**
+ * Addressed-only response mode (RESPONSE_MODE=addressed).
+ * The assistant still hears and transcribes everything, but only answers
+ * user turns that mention its name or a wake phrase, and follow-ups that
+ * start within a window after its last answer.
+ */
+
+const RESPONSE_MODES = ['always', 'addressed'];
+
+// Lowercase, accents and punctuation stripped, padded so phrases match whole words
+function normalize(text) {
+  const words = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  return ` ${words} `;
+}
+
+class AddressDetector {
+  /**
+   * @param {object} options
+   * @param {string} [options.botName] - Matched in full only; short forms go in wakePhrases
+   * @param {string[]} [options.wakePhrases]
+   * @param {number} [options.followUpWindowSec] - 0 disables follow-ups (default 20)
+   */
+  constructor({ botName, wakePhrases = [], followUpWindowSec = 20 }) {
+    const candidates = [];
+    // Not the first word on its own: names like "Meeting Assistant" would match ordinary talk
+    if (botName) candidates.push({ text: botName, reason: 'name' });
+    wakePhrases.forEach((text) => candidates.push({ text, reason: 'wake_phrase' }));
+
+    this.phrases = [];
+    for (const { text, reason } of candidates) {
+      const phrase = normalize(text).trim();
+      if (phrase && !this.phrases.some((existing) => existing.phrase === phrase)) {
+        this.phrases.push({ phrase, reason });
+      }
+    }
+    this.followUpWindowMs = followUpWindowSec * 1000;
+    this.lastResponseAt = null;
+  }
+
+  /**
+   * @param {string} text - A user turn
+   * @param {number} [startedAt] - When the turn started (ms), for the follow-up window
+   * @returns {{addressed: boolean, reason: string|null, phrase?: string}} reason is name, wake_phrase or follow_up
+   */
+  check(text, startedAt = Date.now()) {
+    const normalized = normalize(text);
+    const match = this.phrases.find(({ phrase }) => normalized.includes(` ${phrase} `));
+    if (match) {
+      return { addressed: true, reason: match.reason, phrase: match.phrase };
+    }
+    if (this.lastResponseAt !== null && this.followUpWindowMs > 0 && startedAt - this.lastResponseAt <= this.followUpWindowMs) {
+      return { addressed: true, reason: 'follow_up' };
+    }
+    return { addressed: false, reason: null };
+  }
+
+  /**
+   * The assistant just finished answering an addressed turn - opens the follow-up window.
+   * @param {number} [at]
+   */
+  markResponse(at = Date.now()) {
+    this.lastResponseAt = at;
+  }
+}
+
+module.exports = {
+  AddressDetector,
+  RESPONSE_MODES,
+};
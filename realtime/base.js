@@ -0,0 +1,247 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const CONNECT_TIMEOUT_MS = 15000;
+
+/**
+ * Normalize a configured backend URL into a WebSocket URL.
+ * http(s) becomes ws(s), a missing scheme defaults to ws://, and 0.0.0.0
+ * (a bind address, not a connect address) becomes localhost.
+ * @param {string} url
+ * @returns {string}
+ */
+function toWebSocketUrl(url) {
+  let wsUrl = url.split('#')[0].trim();
+  if (wsUrl.startsWith('http://')) {
+    wsUrl = wsUrl.replace('http://', 'ws://');
+  } else if (wsUrl.startsWith('https://')) {
+    wsUrl = wsUrl.replace('https://', 'wss://');
+  } else if (!wsUrl.startsWith('ws://') && !wsUrl.startsWith('wss://')) {
+    wsUrl = `ws://${wsUrl}`;
+  }
+  return wsUrl.replace(/0\.0\.0\.0/g, 'localhost');
+}
+
+// Shortened URL for logs - token URLs are long and carry credentials
+function redactUrl(url) {
+  return url.substring(0, 80) + (url.length > 80 ? '...' : '');
+}
+
+function describeConnectionError(error, wsUrl) {
+  const { host, hostname, port } = new URL(wsUrl);
+  if (error.code === 'ECONNREFUSED') {
+    return `Connection refused - the backend is not running or not reachable at ${host} (port ${port || 'default'})`;
+  }
+  if (error.code === 'ENOTFOUND') {
+    return `Hostname not found - cannot resolve "${hostname}"`;
+  }
+  if (error.code === 'ETIMEDOUT') {
+    return 'Connection timeout - check network connection and firewall settings';
+  }
+  return error.message;
+}
+
+/**
+ * Base class for realtime voice AI backends.
+ * The bot sends meeting audio as PCM16 mono at `sampleRate` and plays back
+ * whatever the provider emits. Concrete providers translate between this
+ * interface and their wire protocol.
+ *
+ * Events:
+ * - audio (Buffer)                  PCM16 mono at `sampleRate` to play into the meeting
+ * - audio_done ()                   The current response has no more audio
+ * - transcript ({ role, text, itemId, startedAt, endedAt }) A finished turn; role is 'user' or 'assistant', times are ISO strings
+ * - interrupt ()                    The user spoke over the response - stop playback
+ * - speech_started / speech_stopped Voice activity on the input side
+ * - backend_error ({ message, code, eventId }) Protocol-level error reported by the backend; eventId names the rejected request
+ * - tool_call ({ callId, name, arguments }) The assistant wants a tool run; answer with sendToolResult()
+ * - response_started / response_done The assistant began or finished a response (audio may still be playing)
+ * - close ({ code, reason, recoverable })
+ */
+class RealtimeProvider extends EventEmitter {
+  /**
+   * @param {object} config - Bot config
+   * @param {object} logger
+   */
+  constructor(config, logger) {
+    super();
+    this.config = config;
+    this.logger = logger;
+    this.ws = null;
+    this.connected = false;
+    this.toolDefinitions = [];
+  }
+
+  /** Provider name used in logs. */
+  get name() {
+    return 'realtime';
+  }
+
+  /** Sample rate of audio sent to and received from the provider. */
+  get sampleRate() {
+    throw new Error('sampleRate must be implemented');
+  }
+
+  /**
+   * Bytes queued on the socket but not yet sent - used for backpressure.
+   * @returns {number}
+   */
+  get bufferedAmount() {
+    return this.ws ? this.ws.bufferedAmount || 0 : 0;
+  }
+
+  /**
+   * Open the connection. Resolves once audio can be sent.
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    throw new Error('connect() must be implemented');
+  }
+
+  /**
+   * Send one chunk of meeting audio.
+   * @param {Buffer} pcm16 - PCM16 mono at `sampleRate`
+   */
+  sendAudio(_pcm16) {
+    throw new Error('sendAudio() must be implemented');
+  }
+
+  /**
+   * Open a WebSocket, resolving once it is open.
+   * Rejects on connection errors or after CONNECT_TIMEOUT_MS.
+   * @param {string} wsUrl
+   * @param {object} [options] - { binaryType, headers }
+   * @returns {Promise<WebSocket>}
+   */
+  openSocket(wsUrl, options = {}) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(wsUrl, options.headers ? { headers: options.headers } : undefined);
+      if (options.binaryType) {
+        ws.binaryType = options.binaryType;
+      }
+      let settled = false;
+
+      const timeout = setTimeout(() => {
+        if (settled) return;
+        settled = true;
+        try {
+          ws.terminate();
+        } catch (e) {
+          // Ignore errors when closing
+        }
+        reject(new Error(`${this.name} WebSocket connection timeout after ${CONNECT_TIMEOUT_MS / 1000} seconds. URL: ${redactUrl(wsUrl)}`));
+      }, CONNECT_TIMEOUT_MS);
+
+      ws.on('open', () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        resolve(ws);
+      });
+
+      ws.on('error', (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        reject(new Error(`Failed to connect to ${this.name}: ${describeConnectionError(error, wsUrl)} (Code: ${error.code || 'N/A'})`));
+      });
+    });
+  }
+
+  /** Whether the backend protocol supports function calling. */
+  get supportsTools() {
+    return false;
+  }
+
+  /** Whether the provider applies the meeting's session settings (REALTIME_SESSION). */
+  get supportsSessionSettings() {
+    return false;
+  }
+
+  /** Whether text can be added to the conversation (addConversationItem, createResponse). */
+  get supportsConversationInput() {
+    return false;
+  }
+
+  /**
+   * Add a text message to the conversation without asking for a response.
+   * @param {string} text
+   * @param {string} role - system or user
+   */
+  addConversationItem(_text, _role) {
+    throw new Error(`${this.name} does not support conversation input`);
+  }
+
+  /**
+   * Ask the assistant to respond now.
+   * @param {string} [instructions] - One-off instructions for this response
+   * @returns {string} Event id, matched by backend_error when the request is rejected
+   */
+  createResponse(_instructions) {
+    throw new Error(`${this.name} does not support conversation input`);
+  }
+
+  /**
+   * Re-send the session configuration after the bot changed instructions,
+   * voice or realtimeSession in its config. Only called while connected.
+   */
+  updateSession() {
+    throw new Error(`${this.name} does not support session updates`);
+  }
+
+  /**
+   * Tools to declare when the session is configured. Call before connect().
+   * @param {Array<{name: string, description: string, parameters: object}>} definitions
+   */
+  setTools(definitions) {
+    this.toolDefinitions = definitions;
+  }
+
+  /**
+   * Return a tool result to the assistant. It continues only when asked with
+   * createResponse(), so several results can go out before one response.
+   * @param {string} callId
+   * @param {object} output
+   */
+  sendToolResult(_callId, _output) {
+    throw new Error(`${this.name} does not support tools`);
+  }
+
+  isConnected() {
+    return this.connected && !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  onAudio(handler) {
+    return this.on('audio', handler);
+  }
+
+  onTranscript(handler) {
+    return this.on('transcript', handler);
+  }
+
+  onInterrupt(handler) {
+    return this.on('interrupt', handler);
+  }
+
+  /**
+   * Close the connection. No close event is emitted for a deliberate close.
+   */
+  close() {
+    const ws = this.ws;
+    this.ws = null;
+    this.connected = false;
+    if (!ws) return;
+
+    try {
+      if (ws.readyState === WebSocket.CONNECTING || ws.readyState === WebSocket.OPEN) {
+        ws.close();
+      }
+    } catch (error) {
+      this.logger.warn(`Error closing ${this.name} WebSocket`, { error: error.message });
+    }
+  }
+}
+
+module.exports = RealtimeProvider;
+module.exports.toWebSocketUrl = toWebSocketUrl;
+module.exports.redactUrl = redactUrl;
@@ -0,0 +1,82 @@
+const RealtimeProvider = require('./base');
+const { toWebSocketUrl, redactUrl } = RealtimeProvider;
+
+/**
+ * Raw PCM gateway (the protocol of the original bot_entry.js).
+ * Connects to RT_GATEWAY_URL/ws/bot/<sessionId>, registers with a JSON
+ * message, then exchanges binary PCM16 mono frames at 16kHz in both
+ * directions. Text frames are control messages (ping/pong).
+ */
+class GatewayRealtimeProvider extends RealtimeProvider {
+  get name() {
+    return 'realtime gateway';
+  }
+
+  get sampleRate() {
+    return 16000;
+  }
+
+  async connect() {
+    if (!this.config.rtGatewayUrl) {
+      throw new Error('RT_GATEWAY_URL is required for the gateway realtime provider');
+    }
+
+    const gatewayUrl = new URL(toWebSocketUrl(this.config.rtGatewayUrl));
+    const wsUrl = `${gatewayUrl.protocol}//${gatewayUrl.host}/ws/bot/${encodeURIComponent(this.config.sessionId)}`;
+    this.logger.info('Connecting to realtime gateway', { url: redactUrl(wsUrl) });
+
+    const ws = await this.openSocket(wsUrl, { binaryType: 'nodebuffer' });
+    this.ws = ws;
+    this.connected = true;
+
+    ws.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+    ws.on('error', (error) => {
+      this.logger.warn('Gateway WebSocket error after connection', { error: error.message });
+    });
+    ws.on('close', (code, reason) => {
+      if (this.ws !== ws) return;
+      this.ws = null;
+      this.connected = false;
+      // The gateway restarts with deploys; anything but a normal close is worth retrying
+      this.emit('close', { code, reason: reason?.toString() || 'No reason provided', recoverable: code !== 1000 });
+    });
+
+    try {
+      ws.send(JSON.stringify({ type: 'register', sessionId: this.config.sessionId }));
+    } catch (error) {
+      this.logger.warn('Failed to send gateway registration', { error: error.message });
+    }
+  }
+
+  sendAudio(pcm16) {
+    this.ws.send(pcm16);
+  }
+
+  handleMessage(data, isBinary) {
+    if (isBinary) {
+      this.emit('audio', Buffer.isBuffer(data) ? data : Buffer.from(data));
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString('utf8'));
+    } catch (error) {
+      this.logger.debug('Received non-JSON text message from gateway', { length: data.length });
+      return;
+    }
+
+    if (message.type === 'ping') {
+      try {
+        this.ws.send(JSON.stringify({ type: 'pong' }));
+      } catch (error) {
+        this.logger.warn('Failed to send pong response', { error: error.message });
+      }
+      return;
+    }
+
+    this.logger.debug('Received control message from gateway', { messageType: message.type });
+  }
+}
+
+module.exports = GatewayRealtimeProvider;
@@ -0,0 +1,31 @@
+const RealtimeProvider = require('./base');
+const OpenAIRealtimeProvider = require('./openai');
+const GatewayRealtimeProvider = require('./gateway');
+
+const REALTIME_PROVIDER_REGISTRY = {
+  openai: OpenAIRealtimeProvider,
+  gateway: GatewayRealtimeProvider
+};
+
+/**
+ * Create the realtime AI provider selected by REALTIME_PROVIDER.
+ * @param {string} provider - Provider name (openai, gateway)
+ * @param {object} config - Bot config
+ * @param {object} logger
+ * @returns {RealtimeProvider}
+ */
+function createRealtimeProvider(provider, config, logger) {
+  const normalized = (provider || 'openai').toLowerCase();
+  const Provider = REALTIME_PROVIDER_REGISTRY[normalized];
+  if (!Provider) {
+    const supported = Object.keys(REALTIME_PROVIDER_REGISTRY).join(', ');
+    throw new Error(`Unsupported realtime provider "${provider}". Supported providers: ${supported}`);
+  }
+  return new Provider(config, logger);
+}
+
+module.exports = {
+  createRealtimeProvider,
+  RealtimeProvider,
+  REALTIME_PROVIDER_REGISTRY
+};
@@ -0,0 +1,359 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const RealtimeProvider = require('./base');
+const { parseSessionSettings, toOpenAISessionFields } = require('./session');
+const { toWebSocketUrl, redactUrl } = RealtimeProvider;
+
+// Close codes after which reconnecting cannot help
+// 1000 normal, 1002 protocol error, 1003 unsupported data, 1009 too big, 1010 extension, 1015 TLS
+const NON_RECOVERABLE_CLOSE_CODES = [1000, 1002, 1003, 1009, 1010, 1015];
+
+/**
+ * OpenAI Realtime API (JSON events, base64 PCM16 at 24kHz).
+ * The socket URL comes from OPENAI_REALTIME_WS_URL or is fetched from
+ * API_BASE_URL/api/realtime/token, and is refetched when the token expires.
+ */
+class OpenAIRealtimeProvider extends RealtimeProvider {
+  constructor(config, logger) {
+    super(config, logger);
+    // item_id -> { startedAt, endedAt, audioBytes } until the item's transcript arrives
+    this.turnTimings = new Map();
+
+    const { settings, error } = parseSessionSettings(config.realtimeSession);
+    if (error) {
+      this.logger.warn('Invalid REALTIME_SESSION, using default session settings', { error });
+    }
+    this.sessionSettings = settings || parseSessionSettings().settings;
+  }
+
+  get name() {
+    return 'OpenAI Realtime';
+  }
+
+  get sampleRate() {
+    return 24000;
+  }
+
+  get supportsTools() {
+    return true;
+  }
+
+  get supportsSessionSettings() {
+    return true;
+  }
+
+  get supportsConversationInput() {
+    return true;
+  }
+
+  /**
+   * Fetch a fresh tokenized WebSocket URL from the backend.
+   * @returns {Promise<string>}
+   */
+  async fetchToken() {
+    if (!this.config.apiBaseUrl) {
+      throw new Error('API_BASE_URL is required to fetch WebSocket token');
+    }
+
+    const apiBaseUrl = this.config.apiBaseUrl.split('#')[0].trim();
+    this.logger.info('Fetching WebSocket token from backend', { apiBaseUrl });
+    try {
+      const response = await axios.get(new URL('/api/realtime/token', apiBaseUrl).toString(), {
+        timeout: 5000,
+      });
+      const wsUrl = response.data.url;
+      this.logger.info('Token fetched successfully', { url: wsUrl.substring(0, 60) + '...' });
+
+      // Reused for reconnects until it expires
+      this.config.openaiRealtimeWsUrl = wsUrl;
+      return wsUrl;
+    } catch (error) {
+      this.logger.error('Failed to fetch token from backend', {
+        error: error.message,
+        apiBaseUrl: this.config.apiBaseUrl,
+      });
+      throw new Error(`Failed to get WebSocket token: ${error.message}`);
+    }
+  }
+
+  async connect() {
+    let url = this.config.openaiRealtimeWsUrl;
+    if (!url) {
+      if (!this.config.apiBaseUrl) {
+        throw new Error('OpenAI WebSocket URL not set. Check OPENAI_REALTIME_WS_URL environment variable is configured or API_BASE_URL is set to fetch token automatically.');
+      }
+      url = await this.fetchToken();
+    }
+
+    const wsUrl = toWebSocketUrl(url);
+    this.logger.info('Connecting to OpenAI Realtime API', { url: redactUrl(wsUrl) });
+
+    const ws = await this.openSocket(wsUrl);
+    this.ws = ws;
+    this.connected = true;
+    this.tokenRejected = false;
+
+    ws.on('message', (data) => this.handleMessage(data));
+    ws.on('error', (error) => {
+      this.logger.warn('OpenAI WebSocket error after connection', {
+        error: error.message,
+        errorCode: error.code,
+      });
+    });
+    ws.on('close', (code, reason) => this.handleClose(ws, code, reason));
+
+    this.sendSessionConfig();
+  }
+
+  sendSessionConfig() {
+    const tools = this.toolDefinitions.map((tool) => ({ type: 'function', ...tool }));
+    // Transcribing input costs extra - skip it when captions provide the transcript
+    const transcribeInput = this.config.transcriptSource !== 'captions';
+    try {
+      this.ws.send(JSON.stringify({
+        type: 'session.update',
+        session: {
+          instructions: this.config.instructions,
+          voice: this.config.voice,
+          input_audio_format: 'pcm16',
+          output_audio_format: 'pcm16',
+          ...toOpenAISessionFields(this.sessionSettings, {
+            transcribeInput,
+            // In addressed mode the bot requests responses itself
+            autoRespond: this.config.responseMode !== 'addressed',
+          }),
+          ...(tools.length > 0 ? { tools, tool_choice: 'auto' } : {}),
+        },
+      }));
+    } catch (error) {
+      this.logger.error('❌ Failed to send session configuration', {
+        error: error.message,
+      });
+    }
+  }
+
+  updateSession() {
+    const { settings, error } = parseSessionSettings(this.config.realtimeSession);
+    if (error) {
+      this.logger.warn('Invalid session settings, keeping the current ones', { error });
+    } else {
+      this.sessionSettings = settings;
+    }
+    this.sendSessionConfig();
+  }
+
+  addConversationItem(text, role) {
+    this.ws.send(JSON.stringify({
+      type: 'conversation.item.create',
+      item: {
+        type: 'message',
+        role,
+        content: [{ type: 'input_text', text }],
+      },
+    }));
+  }
+
+  createResponse(instructions) {
+    // Errors about this request carry the event_id back
+    const eventId = `evt_${uuidv4()}`;
+    this.ws.send(JSON.stringify(instructions
+      ? { type: 'response.create', event_id: eventId, response: { instructions } }
+      : { type: 'response.create', event_id: eventId }));
+    return eventId;
+  }
+
+  sendAudio(pcm16) {
+    this.ws.send(JSON.stringify({
+      type: 'input_audio_buffer.append',
+      audio: pcm16.toString('base64'),
+    }));
+  }
+
+  sendToolResult(callId, output) {
+    this.ws.send(JSON.stringify({
+      type: 'conversation.item.create',
+      item: {
+        type: 'function_call_output',
+        call_id: callId,
+        output: JSON.stringify(output),
+      },
+    }));
+  }
+
+  async handleClose(ws, code, reason) {
+    // Deliberate close() - the bot is already tearing down
+    if (this.ws !== ws) return;
+    this.ws = null;
+    this.connected = false;
+
+    const reasonStr = reason?.toString() || 'No reason provided';
+
+    // Expired or invalid token: recoverable only if a fresh one can be fetched
+    let tokenRefreshed = false;
+    const isUnauthorized = this.tokenRejected || code === 1008 || reasonStr.toLowerCase().includes('unauthorized');
+    if (isUnauthorized && this.config.apiBaseUrl) {
+      this.logger.warn('Realtime token rejected - fetching a fresh one', { code, reason: reasonStr });
+      try {
+        await this.fetchToken();
+        tokenRefreshed = true;
+      } catch (error) {
+        this.logger.error('Failed to fetch fresh token after unauthorized error', {
+          error: error.message,
+        });
+      }
+    }
+
+    const recoverable = isUnauthorized
+      ? tokenRefreshed
+      : !NON_RECOVERABLE_CLOSE_CODES.includes(code);
+    this.emit('close', { code, reason: reasonStr, recoverable });
+  }
+
+  /**
+   * Timing entry for a conversation item, created on its first event.
+   * @param {string} itemId
+   */
+  markTurn(itemId) {
+    const key = itemId || 'unknown';
+    let timing = this.turnTimings.get(key);
+    if (!timing) {
+      timing = { startedAt: Date.now(), endedAt: null, audioBytes: 0 };
+      this.turnTimings.set(key, timing);
+    }
+    return timing;
+  }
+
+  /**
+   * Emit a finished turn. Assistant audio arrives faster than it plays, so its
+   * end is estimated from the amount of audio rather than the arrival time.
+   */
+  emitTranscript(role, itemId, text) {
+    const timing = this.markTurn(itemId);
+    this.turnTimings.delete(itemId || 'unknown');
+
+    let endedAt = timing.endedAt || Date.now();
+    if (timing.audioBytes > 0) {
+      const playbackMs = Math.round((timing.audioBytes / 2 / this.sampleRate) * 1000);
+      endedAt = Math.max(endedAt, timing.startedAt + playbackMs);
+    }
+
+    this.emit('transcript', {
+      role,
+      text,
+      itemId: itemId || null,
+      startedAt: new Date(timing.startedAt).toISOString(),
+      endedAt: new Date(endedAt).toISOString(),
+    });
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      // ws delivers text frames as Buffer unless configured otherwise
+      const text = typeof data === 'string' ? data : Buffer.from(data).toString('utf8');
+      message = JSON.parse(text);
+    } catch (error) {
+      this.logger.error('Failed to parse WebSocket message', { error: error.message });
+      return;
+    }
+
+    switch (message.type) {
+      case 'session.created':
+      case 'session.updated':
+        this.logger.info('✅ OpenAI session ready', { type: message.type });
+        break;
+
+      case 'response.created':
+        this.emit('response_started');
+        break;
+
+      case 'response.done':
+        this.emit('response_done');
+        break;
+
+      case 'input_audio_buffer.speech_started':
+        this.markTurn(message.item_id).startedAt = Date.now();
+        this.emit('speech_started');
+        break;
+
+      case 'input_audio_buffer.speech_stopped':
+        this.markTurn(message.item_id).endedAt = Date.now();
+        this.emit('speech_stopped');
+        break;
+
+      case 'response.audio.delta':
+      case 'response.output_audio.delta':
+        if (message.delta) {
+          const audio = Buffer.from(message.delta, 'base64');
+          this.markTurn(message.item_id).audioBytes += audio.length;
+          this.emit('audio', audio);
+        }
+        break;
+
+      case 'response.audio.done':
+      case 'response.output_audio.done':
+        this.emit('audio_done');
+        break;
+
+      case 'response.interrupted':
+        this.emit('interrupt');
+        break;
+
+      case 'conversation.item.input_audio_transcription.completed':
+        if (message.transcript) {
+          this.emitTranscript('user', message.item_id, message.transcript);
+        }
+        break;
+
+      case 'conversation.item.input_audio_transcription.failed':
+        this.turnTimings.delete(message.item_id || 'unknown');
+        break;
+
+      case 'response.audio_transcript.done':
+      case 'response.output_audio_transcript.done':
+        if (message.transcript) {
+          this.emitTranscript('assistant', message.item_id, message.transcript);
+        }
+        break;
+
+      // Text-only sessions (modalities ['text']) answer with text instead of audio
+      case 'response.text.done':
+      case 'response.output_text.done':
+        if (message.text) {
+          this.emitTranscript('assistant', message.item_id, message.text);
+        }
+        break;
+
+      case 'response.function_call_arguments.done':
+        this.emit('tool_call', {
+          callId: message.call_id,
+          name: message.name,
+          arguments: message.arguments,
+        });
+        break;
+
+      case 'error': {
+        const error = message.error || {};
+        if (error.code === 'UNAUTHORIZED' && this.config.apiBaseUrl && this.ws) {
+          // Close so the close handler refreshes the token and reports it as recoverable
+          this.tokenRejected = true;
+          this.ws.close();
+        }
+        this.emit('backend_error', {
+          message: error.message || 'An error occurred',
+          code: error.code,
+          type: error.type,
+          param: error.param,
+          eventId: error.event_id,
+        });
+        break;
+      }
+
+      default:
+        // Most other event types are informational
+        break;
+    }
+  }
+}
+
+module.exports = OpenAIRealtimeProvider;
@@ -0,0 +1,274 @@
+/**
+ * Per-meeting tuning of the realtime session: turn detection, input
+ * transcription, temperature, response length and output modalities.
+ * Meetings pass a `session` block to /start-meeting; the bot receives it as
+ * the REALTIME_SESSION env var and the provider turns it into session.update.
+ *
+ * {
+ *   turnDetection: { type: 'server_vad', threshold, prefixPaddingMs, silenceDurationMs, createResponse, interruptResponse }
+ *                | { type: 'semantic_vad', eagerness, createResponse, interruptResponse }
+ *                | { type: 'none' },
+ *   transcription: { model, language, prompt },
+ *   temperature: 0.6-1.2,
+ *   maxResponseOutputTokens: 1-4096 or 'inf',
+ *   modalities: ['audio', 'text'] or ['text']
+ * }
+ */
+
+const TURN_DETECTION_TYPES = ['server_vad', 'semantic_vad', 'none'];
+const SEMANTIC_VAD_EAGERNESS = ['low', 'medium', 'high', 'auto'];
+const TRANSCRIPTION_MODELS = ['whisper-1', 'gpt-4o-transcribe', 'gpt-4o-mini-transcribe'];
+const MODALITIES = ['audio', 'text'];
+
+const DEFAULT_SERVER_VAD = { threshold: 0.5, prefixPaddingMs: 300, silenceDurationMs: 500 };
+
+const DEFAULT_SESSION_SETTINGS = {
+  turnDetection: { type: 'server_vad', ...DEFAULT_SERVER_VAD },
+  transcription: { model: 'whisper-1' },
+  modalities: ['audio', 'text'],
+};
+
+// Allowed keys per turn detection type
+const TURN_DETECTION_FIELDS = {
+  server_vad: ['type', 'threshold', 'prefixPaddingMs', 'silenceDurationMs', 'createResponse', 'interruptResponse'],
+  semantic_vad: ['type', 'eagerness', 'createResponse', 'interruptResponse'],
+  none: ['type'],
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function unknownKeys(object, allowed) {
+  return Object.keys(object).filter((key) => !allowed.includes(key));
+}
+
+function checkNumber(value, name, min, max, integer = false) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+    return `${name} must be ${integer ? 'an integer' : 'a number'}`;
+  }
+  if (value < min || value > max) {
+    return `${name} must be between ${min} and ${max}`;
+  }
+  return null;
+}
+
+function checkBoolean(value, name) {
+  return value === undefined || typeof value === 'boolean' ? null : `${name} must be true or false`;
+}
+
+/**
+ * @returns {{turnDetection: object}|{error: string}}
+ */
+function parseTurnDetection(value) {
+  if (!isPlainObject(value)) {
+    return { error: 'session.turnDetection must be an object' };
+  }
+  const type = value.type === undefined ? 'server_vad' : value.type;
+  if (!TURN_DETECTION_TYPES.includes(type)) {
+    return { error: `Unsupported session.turnDetection.type "${type}". Supported: ${TURN_DETECTION_TYPES.join(', ')}` };
+  }
+  const unknown = unknownKeys(value, TURN_DETECTION_FIELDS[type]);
+  if (unknown.length) {
+    return { error: `Unknown session.turnDetection fields for ${type}: ${unknown.join(', ')}` };
+  }
+
+  const turnDetection = type === 'server_vad' ? { type, ...DEFAULT_SERVER_VAD } : { type };
+  if (type === 'server_vad') {
+    const error = (value.threshold !== undefined && checkNumber(value.threshold, 'session.turnDetection.threshold', 0, 1))
+      || (value.prefixPaddingMs !== undefined && checkNumber(value.prefixPaddingMs, 'session.turnDetection.prefixPaddingMs', 0, 5000, true))
+      || (value.silenceDurationMs !== undefined && checkNumber(value.silenceDurationMs, 'session.turnDetection.silenceDurationMs', 0, 10000, true));
+    if (error) return { error };
+  }
+  if (type === 'semantic_vad') {
+    const eagerness = value.eagerness === undefined ? 'auto' : value.eagerness;
+    if (!SEMANTIC_VAD_EAGERNESS.includes(eagerness)) {
+      return { error: `Unsupported session.turnDetection.eagerness "${eagerness}". Supported: ${SEMANTIC_VAD_EAGERNESS.join(', ')}` };
+    }
+    turnDetection.eagerness = eagerness;
+  }
+  const booleanError = checkBoolean(value.createResponse, 'session.turnDetection.createResponse')
+    || checkBoolean(value.interruptResponse, 'session.turnDetection.interruptResponse');
+  if (booleanError) return { error: booleanError };
+
+  for (const key of TURN_DETECTION_FIELDS[type]) {
+    if (value[key] !== undefined) turnDetection[key] = value[key];
+  }
+  return { turnDetection };
+}
+
+/**
+ * @returns {{transcription: object}|{error: string}}
+ */
+function parseTranscription(value) {
+  if (!isPlainObject(value)) {
+    return { error: 'session.transcription must be an object' };
+  }
+  const unknown = unknownKeys(value, ['model', 'language', 'prompt']);
+  if (unknown.length) {
+    return { error: `Unknown session.transcription fields: ${unknown.join(', ')}` };
+  }
+
+  const model = value.model === undefined ? 'whisper-1' : value.model;
+  if (!TRANSCRIPTION_MODELS.includes(model)) {
+    return { error: `Unsupported session.transcription.model "${model}". Supported: ${TRANSCRIPTION_MODELS.join(', ')}` };
+  }
+  const transcription = { model };
+  if (value.language !== undefined) {
+    if (typeof value.language !== 'string' || !/^[a-z]{2}$/.test(value.language)) {
+      return { error: 'session.transcription.language must be an ISO-639-1 code such as "en"' };
+    }
+    transcription.language = value.language;
+  }
+  if (value.prompt !== undefined) {
+    if (typeof value.prompt !== 'string') {
+      return { error: 'session.transcription.prompt must be a string' };
+    }
+    transcription.prompt = value.prompt;
+  }
+  return { transcription };
+}
+
+/**
+ * Validate and normalize a meeting's session block. Omitted fields keep
+ * the defaults (server VAD 0.5/300ms/500ms, whisper-1, audio and text).
+ * @param {object|string} value - Object or its JSON encoding (REALTIME_SESSION env var)
+ * @returns {{settings: object}|{error: string}}
+ */
+function parseSessionSettings(value) {
+  if (value === undefined || value === null || value === '') {
+    return { settings: JSON.parse(JSON.stringify(DEFAULT_SESSION_SETTINGS)) };
+  }
+
+  let session = value;
+  if (typeof value === 'string') {
+    try {
+      session = JSON.parse(value);
+    } catch (error) {
+      return { error: `session must be valid JSON: ${error.message}` };
+    }
+  }
+  if (!isPlainObject(session)) {
+    return { error: 'session must be an object' };
+  }
+  const unknown = unknownKeys(session, ['turnDetection', 'transcription', 'temperature', 'maxResponseOutputTokens', 'modalities']);
+  if (unknown.length) {
+    return { error: `Unknown session fields: ${unknown.join(', ')}` };
+  }
+
+  const settings = parseSessionSettings(undefined).settings;
+
+  if (session.turnDetection !== undefined) {
+    const parsed = parseTurnDetection(session.turnDetection);
+    if (parsed.error) return parsed;
+    settings.turnDetection = parsed.turnDetection;
+  }
+
+  if (session.transcription !== undefined) {
+    const parsed = parseTranscription(session.transcription);
+    if (parsed.error) return parsed;
+    settings.transcription = parsed.transcription;
+  }
+
+  if (session.temperature !== undefined) {
+    const error = checkNumber(session.temperature, 'session.temperature', 0.6, 1.2);
+    if (error) return { error };
+    settings.temperature = session.temperature;
+  }
+
+  if (session.maxResponseOutputTokens !== undefined) {
+    const tokens = session.maxResponseOutputTokens;
+    const error = tokens === 'inf' ? null : checkNumber(tokens, 'session.maxResponseOutputTokens', 1, 4096, true);
+    if (error) return { error: `${error} (or "inf")` };
+    settings.maxResponseOutputTokens = tokens;
+  }
+
+  if (session.modalities !== undefined) {
+    const modalities = session.modalities;
+    if (!Array.isArray(modalities) || modalities.length === 0 || modalities.some((modality) => !MODALITIES.includes(modality))) {
+      return { error: 'session.modalities must be ["audio", "text"] or ["text"]' };
+    }
+    // The API has no audio-only mode - audio responses always carry a transcript
+    if (modalities.includes('audio') && !modalities.includes('text')) {
+      return { error: 'session.modalities must include "text" when "audio" is requested' };
+    }
+    settings.modalities = MODALITIES.filter((modality) => modalities.includes(modality));
+  }
+
+  return { settings };
+}
+
+/**
+ * Apply a partial session block to current settings, e.g. for a running bot.
+ * turnDetection and transcription fields merge into the current ones unless
+ * the turn detection type changes, which replaces the whole block.
+ * @param {object} current - From parseSessionSettings
+ * @param {object} changes - Partial session block
+ * @returns {{settings: object}|{error: string}}
+ */
+function mergeSessionSettings(current, changes) {
+  if (!isPlainObject(changes)) {
+    return { error: 'session must be an object' };
+  }
+  const merged = { ...current, ...changes };
+
+  const turnDetection = changes.turnDetection;
+  const sameType = isPlainObject(turnDetection)
+    && (turnDetection.type === undefined || turnDetection.type === current.turnDetection.type);
+  if (sameType) {
+    merged.turnDetection = { ...current.turnDetection, ...turnDetection };
+  }
+  if (isPlainObject(changes.transcription)) {
+    merged.transcription = { ...current.transcription, ...changes.transcription };
+  }
+  return parseSessionSettings(merged);
+}
+
+/**
+ * OpenAI session.update fields for parsed settings.
+ * @param {object} settings - From parseSessionSettings
+ * @param {object} [options]
+ * @param {boolean} [options.transcribeInput] - false when captions provide the transcript
+ * @param {boolean} [options.autoRespond] - false when the bot decides when to respond (RESPONSE_MODE=addressed)
+ * @returns {object}
+ */
+function toOpenAISessionFields(settings, { transcribeInput = true, autoRespond = true } = {}) {
+  const { turnDetection, transcription } = settings;
+  let turn_detection = null;
+  if (turnDetection.type !== 'none') {
+    turn_detection = { type: turnDetection.type };
+    if (turnDetection.type === 'server_vad') {
+      turn_detection.threshold = turnDetection.threshold;
+      turn_detection.prefix_padding_ms = turnDetection.prefixPaddingMs;
+      turn_detection.silence_duration_ms = turnDetection.silenceDurationMs;
+    } else {
+      turn_detection.eagerness = turnDetection.eagerness;
+    }
+    if (!autoRespond) {
+      turn_detection.create_response = false;
+    } else if (turnDetection.createResponse !== undefined) {
+      turn_detection.create_response = turnDetection.createResponse;
+    }
+    if (turnDetection.interruptResponse !== undefined) turn_detection.interrupt_response = turnDetection.interruptResponse;
+  }
+
+  const fields = {
+    modalities: settings.modalities,
+    input_audio_transcription: transcribeInput ? { ...transcription } : null,
+    turn_detection,
+  };
+  if (settings.temperature !== undefined) fields.temperature = settings.temperature;
+  if (settings.maxResponseOutputTokens !== undefined) fields.max_response_output_tokens = settings.maxResponseOutputTokens;
+  return fields;
+}
+
+module.exports = {
+  DEFAULT_SESSION_SETTINGS,
+  MODALITIES,
+  SEMANTIC_VAD_EAGERNESS,
+  TRANSCRIPTION_MODELS,
+  TURN_DETECTION_TYPES,
+  mergeSessionSettings,
+  parseSessionSettings,
+  toOpenAISessionFields,
+};
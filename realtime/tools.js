@@ -0,0 +1,324 @@
+const axios = require('axios');
+
+const DEFAULT_TOOL_TIMEOUT_MS = 10000;
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Tools the bot can run itself. Meetings opt in by listing the name in `tools`.
+ * Handlers receive the parsed arguments and the BrowserBot.
+ */
+const LOCAL_TOOLS = {
+  get_current_time: {
+    definition: {
+      description: 'Get the current date and time.',
+      parameters: { type: 'object', properties: {} },
+    },
+    handler: async () => ({
+      iso: new Date().toISOString(),
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    }),
+  },
+  get_meeting_info: {
+    definition: {
+      description: 'Get details about the current meeting: platform, participant count and how long the bot has been in it.',
+      parameters: { type: 'object', properties: {} },
+    },
+    handler: async (args, bot) => ({
+      platform: bot.config.platform,
+      botName: bot.config.botName,
+      participantCount: bot.platform ? await bot.platform.getParticipantCount() : null,
+      joinedForSec: bot.joinedAt ? Math.floor((Date.now() - bot.joinedAt) / 1000) : null,
+    }),
+  },
+};
+
+/**
+ * Meeting actions the assistant can take on request ("please leave now",
+ * "admit Sarah"). Each is only offered when its permission is listed in the
+ * meeting's MEETING_CONTROLS; the bot reports every action via sendStatusUpdate.
+ */
+const MEETING_CONTROL_TOOLS = {
+  set_microphone: {
+    permission: 'microphone',
+    definition: {
+      description: 'Mute or unmute your own microphone in the meeting.',
+      parameters: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean', description: 'true to unmute, false to mute' },
+        },
+        required: ['enabled'],
+      },
+    },
+    handler: async ({ enabled }, bot) => {
+      const enable = enabled === true;
+      await bot.performMeetingControl(
+        'set_microphone',
+        enable ? 'I unmuted my microphone' : 'I muted my microphone',
+        () => bot.platform.setMicrophone(enable)
+      );
+      return { ok: true, microphone: enable ? 'on' : 'off' };
+    },
+  },
+  leave_meeting: {
+    permission: 'leave',
+    definition: {
+      description: 'Leave the meeting. Only use when a participant explicitly asks you to leave; say goodbye first.',
+      parameters: { type: 'object', properties: {} },
+    },
+    handler: async (args, bot) => {
+      await bot.performMeetingControl('leave_meeting', 'I was asked to leave the meeting', async () => {
+        bot.handleMeetingEnd('leave_requested');
+      });
+      return { ok: true, message: 'Leaving the meeting in a few seconds' };
+    },
+  },
+  send_chat_message: {
+    permission: 'chat',
+    definition: {
+      description: 'Post a message in the meeting chat, e.g. a link or a summary participants asked for.',
+      parameters: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', description: 'Message to post' },
+        },
+        required: ['text'],
+      },
+    },
+    handler: async ({ text }, bot) => {
+      if (!text || typeof text !== 'string') {
+        return { error: 'text is required' };
+      }
+      await bot.performMeetingControl(
+        'send_chat_message',
+        'I posted a message in the chat',
+        () => bot.platform.sendChatMessage(text)
+      );
+      return { ok: true };
+    },
+  },
+  admit_participant: {
+    permission: 'admit',
+    definition: {
+      description: 'Admit someone waiting in the lobby. Omit name to admit everyone who is waiting.',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Display name of the person to admit' },
+        },
+      },
+    },
+    handler: async ({ name }, bot) => {
+      await bot.performMeetingControl(
+        'admit_participant',
+        name ? `I admitted ${name}` : 'I admitted everyone who was waiting',
+        () => bot.platform.admitParticipant(name || null)
+      );
+      return { ok: true, admitted: name || 'everyone' };
+    },
+  },
+};
+
+const MEETING_CONTROL_PERMISSIONS = Array.from(
+  new Set(Object.values(MEETING_CONTROL_TOOLS).map((tool) => tool.permission))
+);
+
+/**
+ * Validate the meeting-control permissions of a meeting.
+ * @param {Array|string} value - Array or comma-separated list; "all" enables every control
+ * @returns {{controls: string[]}|{error: string}}
+ */
+function parseMeetingControls(value) {
+  if (value === undefined || value === null || value === '') return { controls: [] };
+
+  const controls = (Array.isArray(value) ? value : String(value).split(','))
+    .map((control) => String(control).trim().toLowerCase())
+    .filter(Boolean);
+  if (controls.includes('all')) {
+    return { controls: MEETING_CONTROL_PERMISSIONS.slice() };
+  }
+
+  const unknown = controls.filter((control) => !MEETING_CONTROL_PERMISSIONS.includes(control));
+  if (unknown.length) {
+    return { error: `Unknown meeting controls: ${unknown.join(', ')}. Supported: ${MEETING_CONTROL_PERMISSIONS.join(', ')}, all` };
+  }
+  return { controls: Array.from(new Set(controls)) };
+}
+
+/**
+ * Validate and normalize the `tools` declaration of a meeting.
+ * Strings name local tools; objects declare HTTP tools:
+ * { name, description, parameters, url?, headers?, timeoutMs? }.
+ * @param {Array|string} value - Array or its JSON encoding (TOOLS env var)
+ * @returns {{tools: Array}|{error: string}}
+ */
+function parseToolDeclarations(value) {
+  if (value === undefined || value === null || value === '') return { tools: [] };
+
+  let declarations = value;
+  if (typeof value === 'string') {
+    try {
+      declarations = JSON.parse(value);
+    } catch (error) {
+      return { error: `tools must be valid JSON: ${error.message}` };
+    }
+  }
+  if (!Array.isArray(declarations)) {
+    return { error: 'tools must be an array' };
+  }
+
+  const tools = [];
+  const names = new Set();
+  for (const declaration of declarations) {
+    const tool = typeof declaration === 'string' ? { name: declaration } : declaration;
+    if (!tool || typeof tool.name !== 'string' || !TOOL_NAME_PATTERN.test(tool.name)) {
+      return { error: `Invalid tool name: ${JSON.stringify(tool && tool.name)}` };
+    }
+    if (names.has(tool.name)) {
+      return { error: `Duplicate tool: ${tool.name}` };
+    }
+    names.add(tool.name);
+
+    if (typeof declaration === 'string') {
+      if (!LOCAL_TOOLS[tool.name]) {
+        return { error: `Unknown local tool: ${tool.name}. Local tools: ${Object.keys(LOCAL_TOOLS).join(', ')}` };
+      }
+      tools.push({ name: tool.name });
+      continue;
+    }
+
+    if (!tool.description) {
+      return { error: `Tool ${tool.name} needs a description` };
+    }
+    if (tool.parameters !== undefined && (typeof tool.parameters !== 'object' || Array.isArray(tool.parameters))) {
+      return { error: `Tool ${tool.name} parameters must be a JSON schema object` };
+    }
+    if (tool.url !== undefined) {
+      try {
+        new URL(tool.url);
+      } catch (error) {
+        return { error: `Tool ${tool.name} has an invalid url` };
+      }
+    }
+    tools.push(tool);
+  }
+
+  return { tools };
+}
+
+/**
+ * Tools available to the assistant in one meeting.
+ * Local tools and permitted meeting controls run in the bot process; declared
+ * tools are POSTed to their url (or the backend tools endpoint) and the
+ * response body is the result.
+ */
+class ToolRegistry {
+  /**
+   * @param {object} options
+   * @param {Array} options.tools - Output of parseToolDeclarations
+   * @param {string[]} [options.controls] - Permitted meeting controls (output of parseMeetingControls)
+   * @param {object} options.bot - BrowserBot passed to local handlers
+   * @param {string} [options.defaultUrl] - Endpoint for declared tools without a url
+   * @param {string} options.sessionId
+   * @param {object} options.logger
+   */
+  constructor({ tools, controls = [], bot, defaultUrl, sessionId, logger }) {
+    this.bot = bot;
+    this.defaultUrl = defaultUrl || null;
+    this.sessionId = sessionId;
+    this.logger = logger;
+    this.tools = new Map();
+
+    for (const tool of tools) {
+      const local = LOCAL_TOOLS[tool.name];
+      if (local && !tool.description) {
+        this.tools.set(tool.name, { name: tool.name, ...local.definition, handler: local.handler });
+      } else {
+        this.tools.set(tool.name, tool);
+      }
+    }
+
+    for (const [name, control] of Object.entries(MEETING_CONTROL_TOOLS)) {
+      if (controls.includes(control.permission) && !this.tools.has(name)) {
+        this.tools.set(name, { name, ...control.definition, handler: control.handler });
+      }
+    }
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  /**
+   * Definitions for the realtime session (name, description, JSON schema).
+   * @returns {Array<{name: string, description: string, parameters: object}>}
+   */
+  getDefinitions() {
+    return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters: parameters || { type: 'object', properties: {} },
+    }));
+  }
+
+  /**
+   * Run a tool call from the assistant. Never throws - failures become
+   * `{ error }` results so the assistant can tell the user.
+   * @param {string} name
+   * @param {string|object} rawArguments - JSON string as sent by the provider
+   * @param {string} callId
+   * @returns {Promise<object>}
+   */
+  async execute(name, rawArguments, callId) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { error: `Unknown tool: ${name}` };
+    }
+
+    let args = rawArguments || {};
+    if (typeof args === 'string') {
+      try {
+        args = args ? JSON.parse(args) : {};
+      } catch (error) {
+        return { error: `Invalid arguments: ${error.message}` };
+      }
+    }
+
+    try {
+      if (tool.handler) {
+        return await tool.handler(args, this.bot);
+      }
+      return await this.forward(tool, args, callId);
+    } catch (error) {
+      this.logger.warn('Tool call failed', { tool: name, callId, error: error.message });
+      return { error: error.message };
+    }
+  }
+
+  async forward(tool, args, callId) {
+    const url = tool.url || this.defaultUrl;
+    if (!url) {
+      throw new Error(`No url configured for tool ${tool.name}`);
+    }
+
+    const response = await axios.post(url, {
+      sessionId: this.sessionId,
+      callId,
+      name: tool.name,
+      arguments: args,
+    }, {
+      headers: tool.headers || {},
+      timeout: tool.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS,
+    });
+    return response.data;
+  }
+}
+
+module.exports = {
+  ToolRegistry,
+  LOCAL_TOOLS,
+  MEETING_CONTROL_TOOLS,
+  MEETING_CONTROL_PERMISSIONS,
+  parseToolDeclarations,
+  parseMeetingControls,
+};
@@ -4,19 +4,66 @@
  */
 
 const express = require("express");
+const { v4: uuidv4 } = require("uuid");
 const path = require("path");
 const fs = require("fs");
 const { BrowserBot } = require("./bot_entry_v2.js");
+const { createMeetingStore } = require("./store");
+const { MeetingLogStream } = require("./lib/logStream");
+const WebSocket = require("ws");
+const { loadApiKeys, createAuthenticator } = require("./lib/auth");
+const AdmissionController = require("./lib/admission");
+const { MeetingScheduler } = require("./lib/scheduler");
+const { WebhookDispatcher, parseWebhookUrls } = require("./lib/webhooks");
+const { TRANSCRIPT_FORMATS, formatTranscript } = require("./lib/transcript");
+const { readRecording } = require("./lib/recorder");
+const { listMeetingFiles, meetingDirectory, parseCaptureFilename, pruneMeetingDirectories } = require("./lib/meetingFiles");
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, MetricsRegistry } = require("./lib/metrics");
+const { getLogger } = require("./lib/logger");
+const { describeConfigSchema, parseConfig, parseOptionValue, validateOverrides } = require("./lib/config");
+const { parseToolDeclarations, parseMeetingControls } = require("./realtime/tools");
+const { mergeSessionSettings, parseSessionSettings } = require("./realtime/session");
 
 const app = express();
+const logger = getLogger().child({ subsystem: "server" });
 
-// Enable CORS for all routes - using manual headers for better control
+// Caller-supplied X-Request-Id values are accepted when they look like an id
+const TRACE_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// API keys (API_KEYS / API_KEYS_FILE) - authentication is disabled when none are configured
+const auth = createAuthenticator(loadApiKeys());
+if (!auth.enabled) {
+  logger.warn("No API keys configured - bot server API is unauthenticated");
+}
+
+// Comma-separated CORS allowlist; "*" allows any origin
+const corsAllowedOrigins = (process.env.CORS_ALLOWED_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+// Correlation id for every request: the caller's X-Request-Id or a new one.
+// It is echoed back, tagged on the request's logs and handed to bots it starts.
+app.use((req, res, next) => {
+  const requestedId = req.get("X-Request-Id");
+  req.traceId = requestedId && TRACE_ID_PATTERN.test(requestedId) ? requestedId : uuidv4();
+  req.log = logger.child({ traceId: req.traceId });
+  res.setHeader("X-Request-Id", req.traceId);
+  next();
+});
+
+// Enable CORS for allowlisted origins - using manual headers for better control
 app.use((req, res, next) => {
   // Set CORS headers
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, Authorization");
-  res.setHeader("Access-Control-Allow-Credentials", "true");
+  const origin = req.headers.origin;
+  if (origin && (corsAllowedOrigins.includes("*") || corsAllowedOrigins.includes(origin))) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Aurray-Key-Id, X-Aurray-Timestamp, X-Aurray-Signature, X-Request-Id");
+    res.setHeader("Access-Control-Expose-Headers", "X-Request-Id");
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+  }
+  res.setHeader("Vary", "Origin");
   
   // Handle preflight requests
   if (req.method === "OPTIONS") {
@@ -45,7 +92,8 @@ app.use((req, res, next) => {
 app.use(express.json({
   limit: '10mb', // Limit request body size
   verify: (req, res, buf, encoding) => {
-    // Verify request body if needed
+    // Keep the raw body for HMAC request signature verification
+    req.rawBody = buf;
   }
 }));
 
@@ -57,7 +105,7 @@ app.use((error, req, res, next) => {
       error.message?.includes('aborted') ||
       error.name === 'BadRequestError') {
     // Client disconnected or request was aborted - log but don't crash
-    console.warn(`[WARN] Request aborted: ${req.method} ${req.path}`, {
+    req.log.warn(`Request aborted: ${req.method} ${req.path}`, {
       error: error.message,
       type: error.type || error.name
     });
@@ -73,7 +121,7 @@ app.use((error, req, res, next) => {
   
   // Handle other errors
   if (!res.headersSent && !req.aborted) {
-    console.error("[ERROR] Unhandled error:", error);
+    req.log.error("Unhandled error", { error });
     res.status(500).json({
       error: "Internal server error",
       message: error.message
@@ -84,38 +132,258 @@ app.use((error, req, res, next) => {
 const PORT = process.env.PORT || 3001;
 const activeMeetings = new Map(); // meetingId -> { bot, startTime, envVars, logs }
 
-// Helper function to parse boolean from string
-function parseBoolean(value, defaultValue) {
-  if (value === undefined || value === null || value === "") {
-    return defaultValue;
+// Persistent meeting registry - survives restarts, holds finished meetings too
+const meetingStore = createMeetingStore(process.env.MEETING_STORE, {
+  directory: process.env.MEETING_STORE_DIR || path.join(__dirname, "logs", "meetings"),
+  maxMeetings: parseInt(process.env.MEETING_HISTORY_LIMIT || "500", 10),
+});
+
+// Audio recordings (RECORD_AUDIO) and debug artifacts (DEBUG_ARTIFACTS) - one
+// directory per meeting, pruned when meetings finish
+const recordingsDir = process.env.RECORDINGS_DIR || path.join(__dirname, "logs", "recordings");
+const artifactsDir = process.env.ARTIFACTS_DIR || path.join(__dirname, "logs", "artifacts");
+// Screenshots and join failure captures, one flat directory named by meeting
+const screenshotsDir = process.env.SCREENSHOTS_DIR || path.join(__dirname, "logs", "screenshots");
+const meetingFileRetention = [
+  {
+    kind: "recording",
+    root: recordingsDir,
+    maxMeetings: parseInt(process.env.RECORDING_RETENTION_COUNT || "50", 10),
+    maxAgeDays: parseFloat(process.env.RECORDING_RETENTION_DAYS || "7"),
+  },
+  {
+    kind: "debug artifact",
+    root: artifactsDir,
+    maxMeetings: parseInt(process.env.ARTIFACT_RETENTION_COUNT || "20", 10),
+    maxAgeDays: parseFloat(process.env.ARTIFACT_RETENTION_DAYS || "3"),
+  },
+];
+
+function pruneMeetingFiles() {
+  const keep = Array.from(activeMeetings.keys());
+  for (const { kind, root, maxMeetings, maxAgeDays } of meetingFileRetention) {
+    pruneMeetingDirectories(root, { maxMeetings, maxAgeDays, keep })
+      .then((removed) => {
+        if (removed.length > 0) {
+          logger.info(`Pruned ${kind}s of ${removed.length} meeting(s)`);
+        }
+      })
+      .catch((error) => {
+        logger.error(`Failed to prune ${kind}s`, { error: error.message });
+      });
   }
-  return ["1", "true", "yes", "on"].includes(String(value).toLowerCase());
 }
 
-// Helper function to convert env vars to bot config
+// Outbound lifecycle webhooks - queue persisted so undelivered events survive restarts
+const webhooks = new WebhookDispatcher({
+  filePath: process.env.WEBHOOK_QUEUE_FILE || path.join(__dirname, "logs", "webhooks.json"),
+  defaultSecret: process.env.WEBHOOK_SECRET,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "8", 10),
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || "5000", 10),
+});
+
+// Prometheus metrics (GET /metrics)
+const metrics = new MetricsRegistry();
+const joinDuration = metrics.histogram({
+  name: "aurray_join_duration_seconds",
+  help: "Time from bot start to joining the meeting",
+  labelNames: ["platform"],
+});
+const joinFailures = metrics.counter({
+  name: "aurray_join_failures_total",
+  help: "Bots that failed before joining, by platform and failed step or startup phase",
+  labelNames: ["platform", "reason"],
+});
+const meetingsFinished = metrics.counter({
+  name: "aurray_meetings_finished_total",
+  help: "Meetings finished, by outcome",
+  labelNames: ["outcome"],
+});
+
+// BrowserBot.getMetrics() counters exported per running meeting and summed
+// across all meetings: [metric suffix, getMetrics() field, help]
+const BOT_COUNTERS = [
+  ["audio_frames_captured_total", "audioFramesCaptured", "Audio frames captured from the meeting"],
+  ["audio_frames_sent_total", "audioFramesSent", "Audio frames sent to the realtime provider"],
+  ["audio_bytes_sent_total", "audioBytesSent", "PCM16 bytes sent to the realtime provider"],
+  ["audio_frames_dropped_total", "audioFramesDropped", "Audio frames dropped because of WebSocket backpressure"],
+  ["audio_output_chunks_received_total", "audioOutputChunksReceived", "Assistant audio chunks received"],
+  ["playback_queue_overflow_drops_total", "playbackQueueOverflowDrops", "Assistant audio chunks dropped because the playback queue was full"],
+  ["realtime_reconnects_total", "realtimeReconnects", "Realtime provider reconnects"],
+];
+// Totals of bots that already finished, so aggregate counters never go backwards
+const finishedBotTotals = Object.fromEntries(BOT_COUNTERS.map(([, field]) => [field, 0]));
+
+function retireBotMetrics(bot) {
+  const snapshot = bot.getMetrics();
+  for (const [, field] of BOT_COUNTERS) {
+    finishedBotTotals[field] += snapshot[field] || 0;
+  }
+}
+
+/**
+ * Remove a bot from activeMeetings. Every removal goes through here so its
+ * counters move into the finished totals exactly once.
+ * @param {string} meetingId
+ * @param {object} bot - Only removed while it is still the meeting's bot
+ * @returns {boolean}
+ */
+function releaseBot(meetingId, bot) {
+  if (activeMeetings.get(meetingId)?.bot !== bot) return false;
+  retireBotMetrics(bot);
+  activeMeetings.delete(meetingId);
+  return true;
+}
+
+metrics.addCollector(async () => {
+  const running = Array.from(activeMeetings.entries());
+  const snapshots = await Promise.all(running.map(async ([meetingId, meetingInfo]) => ({
+    labels: { meeting_id: meetingId, platform: meetingInfo.bot.config.platform },
+    values: meetingInfo.bot.getMetrics(),
+    memory: await meetingInfo.bot.getBrowserMemory(),
+  })));
+
+  const families = [
+    { name: "aurray_active_bots", help: "Bots currently running", type: "gauge", samples: [{ value: activeMeetings.size }] },
+    { name: "aurray_queued_starts", help: "Starts waiting for capacity", type: "gauge", samples: [{ value: admission.queue.length }] },
+  ];
+  for (const [suffix, field, help] of BOT_COUNTERS) {
+    families.push({
+      name: `aurray_${suffix}`,
+      help: `${help}, all meetings`,
+      type: "counter",
+      samples: [{ value: snapshots.reduce((sum, snapshot) => sum + (snapshot.values[field] || 0), finishedBotTotals[field]) }],
+    });
+    families.push({
+      name: `aurray_bot_${suffix}`,
+      help: `${help}, per running meeting`,
+      type: "counter",
+      samples: snapshots.map((snapshot) => ({ labels: snapshot.labels, value: snapshot.values[field] || 0 })),
+    });
+  }
+  families.push(
+    {
+      name: "aurray_bot_playback_queue_depth",
+      help: "Assistant audio chunks waiting to be played",
+      type: "gauge",
+      samples: snapshots.map((snapshot) => ({ labels: snapshot.labels, value: snapshot.values.playbackQueueDepth })),
+    },
+    {
+      name: "aurray_bot_realtime_connected",
+      help: "Whether the realtime provider is connected (1) or not (0)",
+      type: "gauge",
+      samples: snapshots.map((snapshot) => ({ labels: snapshot.labels, value: snapshot.values.realtimeConnected ? 1 : 0 })),
+    },
+    {
+      name: "aurray_bot_browser_js_heap_used_bytes",
+      help: "JS heap used by the meeting page",
+      type: "gauge",
+      samples: snapshots
+        .filter((snapshot) => snapshot.memory)
+        .map((snapshot) => ({ labels: snapshot.labels, value: snapshot.memory.jsHeapUsedBytes })),
+    },
+    {
+      name: "aurray_bot_browser_js_heap_total_bytes",
+      help: "JS heap allocated by the meeting page",
+      type: "gauge",
+      samples: snapshots
+        .filter((snapshot) => snapshot.memory)
+        .map((snapshot) => ({ labels: snapshot.labels, value: snapshot.memory.jsHeapTotalBytes })),
+    },
+  );
+  return families;
+});
+
+/**
+ * Transcript options for a meeting record: subtitle offsets start with the
+ * meeting and the assistant is labelled with the bot's name.
+ */
+function transcriptOptions(record) {
+  return {
+    startTime: record.startTime,
+    labels: record.botName ? { assistant: record.botName } : {},
+  };
+}
+
+/**
+ * Finish a meeting in the registry and notify its webhooks once.
+ * The final transcript is delivered as meeting.transcript just before meeting.finished.
+ * @param {string} meetingId
+ * @param {string} outcome
+ * @param {object} [details] - { error }
+ */
+function finishMeeting(meetingId, outcome, details = {}) {
+  const record = meetingStore.getMeeting(meetingId);
+  const wasActive = record && record.status === "active";
+  meetingStore.finishMeeting(meetingId, outcome, details);
+
+  if (wasActive) {
+    const transcript = meetingStore.getTranscript(meetingId) || [];
+    if (transcript.length > 0) {
+      webhooks.emit(meetingId, "meeting.transcript", {
+        turns: transcript,
+        text: formatTranscript(transcript, "txt", transcriptOptions(record)),
+      });
+    }
+    webhooks.emit(meetingId, "meeting.finished", { outcome, error: details.error || null });
+    meetingsFinished.inc({ outcome });
+    pruneMeetingFiles();
+  }
+  webhooks.unregister(meetingId);
+}
+
+// Admission control - caps concurrent bots and queues starts beyond capacity
+const admission = new AdmissionController({
+  getRunningCount: () => activeMeetings.size,
+  maxConcurrent: parseInt(process.env.MAX_CONCURRENT_BOTS || "5", 10),
+  minFreeMemoryMb: parseInt(process.env.MIN_FREE_MEMORY_MB || "512", 10),
+  maxLoadPerCpu: parseFloat(process.env.MAX_LOAD_PER_CPU || "2"),
+  maxQueueSize: parseInt(process.env.START_QUEUE_SIZE || "20", 10),
+  queueTimeoutSec: parseInt(process.env.START_QUEUE_TIMEOUT_SEC || "600", 10),
+  retryAfterSec: parseInt(process.env.ADMISSION_RETRY_AFTER_SEC || "30", 10),
+  onTimeout: ({ meetingId }) => {
+    logger.warn("Queued start timed out", { meetingId });
+    finishMeeting(meetingId, "queue_timeout");
+  },
+});
+
+// Tenant that owns a meeting, from the live entry or the registry
+function getMeetingTenant(meetingId) {
+  const meetingInfo = activeMeetings.get(meetingId);
+  if (meetingInfo) return meetingInfo.tenant;
+  const record = meetingStore.getMeeting(meetingId);
+  return record ? record.tenant : undefined;
+}
+
+// Hide meetings owned by other tenants (reported as not found, not forbidden)
+function requireMeetingAccess(req, res, next) {
+  const meetingId = req.params.meetingId;
+  const tenant = getMeetingTenant(meetingId);
+  const isUnknownToTenantKey = tenant === undefined && req.client && req.client.tenant;
+
+  if (isUnknownToTenantKey || (tenant !== undefined && !auth.canAccessTenant(req.client, tenant))) {
+    return res.status(404).json({
+      error: "Meeting not found",
+      meetingId,
+    });
+  }
+  next();
+}
+
+// Meeting record without the bulky logs/events arrays, for list responses
+function summarizeMeetingRecord(record) {
+  const { logs, events, transcript, ...summary } = record;
+  return summary;
+}
+
+// Bot config for a meeting's environment (see lib/config.js)
 function envVarsToConfig(envVars) {
   return {
-    meetingUrl: envVars.MEETING_URL,
-    botName: envVars.BOT_NAME || "Aurray Bot",
-    platform: envVars.PLATFORM || "google_meet",
-    headless: parseBoolean(envVars.HEADLESS, true),
-    shouldSendStatus: parseBoolean(envVars.SHOULD_SEND_STATUS, false),
-    browserEngine: (envVars.BROWSER_ENGINE || "chromium").toLowerCase(),
-    browserLocale: envVars.BROWSER_LOCALE || "en-US",
-    browserArgs: envVars.BROWSER_ARGS
-      ? envVars.BROWSER_ARGS.split(",")
-          .map((arg) => arg.trim())
-          .filter(Boolean)
-      : [],
-    navigationTimeoutMs: parseInt(envVars.NAVIGATION_TIMEOUT_MS || "45000", 10),
-    logLevel: (envVars.LOG_LEVEL || "info").toLowerCase(),
-    sessionId: envVars.SESSION_ID || envVars.MEETING_ID,
-    apiBaseUrl: envVars.API_BASE_URL,
-    isOrganizer: parseBoolean(envVars.IS_ORGANIZER, false),
-    openaiApiKey: envVars.OPENAI_API_KEY,
-    openaiRealtimeWsUrl: envVars.OPENAI_REALTIME_WS_URL,
-    voice: envVars.VOICE || "alloy",
-    instructions: envVars.INSTRUCTIONS || "You are a helpful meeting assistant. Keep responses concise and professional.",
+    ...parseConfig(envVars).config,
+    // Server settings only - requests cannot choose where files are written
+    recordingsDir,
+    artifactsDir,
+    screenshotsDir,
   };
 }
 
@@ -131,155 +399,442 @@ app.get("/health", (req, res) => {
 });
 
 /**
- * Start a new meeting bot
- * POST /start-meeting
- * Body: { meetingId, meetingUrl, platform, botName, sessionId, ...envVars }
+ * Prometheus metrics
+ * GET /metrics
  */
-app.post("/start-meeting", async (req, res) => {
-  // Handle request abort gracefully
-  req.on('close', () => {
-    if (!res.headersSent) {
-      console.warn(`[WARN] Request aborted: POST /start-meeting`);
-    }
-  });
-
+app.get("/metrics", auth.requireScope("read"), async (req, res) => {
+  // Metrics cover every tenant's meetings
+  if (req.client && req.client.tenant) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: "Metrics cover all tenants and need a key without a tenant",
+    });
+  }
   try {
-    const {
-      meetingId,
-      meetingUrl,
-      platform,
-      botName,
-      sessionId,
-      ...additionalEnvVars
-    } = req.body;
-
-    // Validate required fields
-    if (!meetingId) {
-      return res.status(400).json({ error: "meetingId is required" });
-    }
-    if (!meetingUrl) {
-      return res.status(400).json({ error: "meetingUrl is required" });
-    }
+    res.type(METRICS_CONTENT_TYPE).send(await metrics.render());
+  } catch (error) {
+    req.log.error("Failed to render metrics", { error });
+    res.status(500).json({
+      error: "Failed to render metrics",
+      message: error.message,
+    });
+  }
+});
 
-    // Check if meeting is already active
-    if (activeMeetings.has(meetingId)) {
-      return res.status(409).json({
-        error: "Meeting already active",
-        meetingId,
-      });
+/**
+ * Bot options accepted by /start-meeting and /schedule-meeting
+ * GET /config/schema
+ */
+app.get("/config/schema", auth.requireScope("read"), (req, res) => {
+  const options = describeConfigSchema();
+  res.json({
+    options,
+    count: options.length,
+  });
+});
+
+/**
+ * Create a bot for a meeting, register it in activeMeetings and start it.
+ * Used for immediate starts and for starts released from the admission queue.
+ * @param {object} request
+ * @param {string} request.meetingId
+ * @param {object} request.envVars - Bot environment (see envVarsToConfig)
+ * @param {string|null} request.tenant - Tenant of the API key that started it
+ */
+function launchMeeting({ meetingId, envVars, tenant }) {
+  // Convert env vars to bot config
+  const botConfig = envVarsToConfig(envVars);
+  webhooks.emit(meetingId, "meeting.started", {
+    platform: botConfig.platform,
+    meetingUrl: botConfig.meetingUrl,
+    botName: botConfig.botName,
+  });
+  botConfig.onStatusUpdate = (stage, message, metadata) => {
+    if (stage === "joined" && metadata && metadata.joinDurationMs >= 0) {
+      joinDuration.observe({ platform: botConfig.platform }, metadata.joinDurationMs / 1000);
     }
+    meetingStore.recordEvent(meetingId, stage, message, metadata);
+    webhooks.emit(meetingId, "meeting.status", { stage, message, metadata });
+  };
+  botConfig.onTranscript = (turn) => {
+    meetingStore.appendTranscript(meetingId, turn);
+  };
 
-    // Prepare environment variables for bot config
-    const envVars = {
-      ...process.env, // Inherit parent process env
-      MEETING_ID: meetingId,
-      MEETING_URL: meetingUrl,
-      PLATFORM: platform || "google_meet",
-      BOT_NAME: botName || "Aurray Bot",
-      SESSION_ID: sessionId || meetingId,
-      ...additionalEnvVars, // Allow additional env vars from request
-    };
+  // Queued starts already have a record - keep its queue history
+  const existingRecord = meetingStore.getMeeting(meetingId);
+  if (existingRecord && existingRecord.status === "active") {
+    meetingStore.recordEvent(meetingId, "starting", "Meeting bot started");
+  } else {
+    meetingStore.createMeeting(meetingId, {
+      sessionId: botConfig.sessionId,
+      traceId: botConfig.traceId,
+      platform: botConfig.platform,
+      meetingUrl: botConfig.meetingUrl,
+      botName: botConfig.botName,
+      tenant,
+    });
+  }
 
-    // Convert env vars to bot config
-    const botConfig = envVarsToConfig(envVars);
+  // Create log capture system
+  const logs = [];
+  const maxLogLines = 1000; // Keep last 1000 lines per meeting
 
-    // Create log capture system
-    const logs = [];
-    const maxLogLines = 1000; // Keep last 1000 lines per meeting
+  // Structured entries for live SSE/WebSocket subscribers
+  const logStream = new MeetingLogStream(meetingId, { maxEntries: maxLogLines });
 
-    const logLine = (source, message, meta = {}) => {
-      const timestamp = new Date().toISOString();
-      const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : "";
-      const logEntry = `[${timestamp}] [${meetingId}] [${source}] ${message}${metaStr}`;
-      console.log(logEntry);
-      logs.push(logEntry);
+  // Every record the bot logs is also kept with the meeting (as its JSON line)
+  // and pushed to live subscribers
+  const captureSink = {
+    write(record) {
+      const line = JSON.stringify(record);
+      logs.push(line);
+      meetingStore.appendLog(meetingId, line);
+      logStream.push({ level: record.level, source: record.subsystem || "bot", message: record.message, meta: record.meta || {} });
       // Keep only last maxLogLines
       if (logs.length > maxLogLines) {
         logs.shift();
       }
-    };
+    },
+  };
+
+  // Create bot instance
+  const bot = new BrowserBot(botConfig);
+  bot.logger = bot.logger.withSink(captureSink);
+  const meetingLog = bot.logger.child({ subsystem: "server" });
 
-    // Create bot instance
-    const bot = new BrowserBot(botConfig);
+  // Frees the slot and lets the next queued start launch
+  const releaseMeeting = () => {
+    releaseBot(meetingId, bot);
+    admission.drain();
+  };
 
-    // Override bot's logger to capture logs
-    const originalLogger = bot.logger;
+  // Start bot asynchronously (don't await to return response immediately)
+  bot.start().then(() => {
+    // Run loop ended on its own (meeting ended, removed, alone or browser closed)
+    meetingLog.info("Bot finished", { endReason: bot.endReason });
+    finishMeeting(meetingId, bot.endReason || "completed");
+    logStream.close();
+    releaseMeeting();
+  }).catch((error) => {
+    meetingLog.error(`Bot failed: ${error.message}`, { stack: error.stack });
+    if (!bot.hasJoinedMeeting) {
+      joinFailures.inc({ platform: botConfig.platform, reason: bot.getJoinFailureReason() });
+    }
+    finishMeeting(meetingId, "failed", { error: error.message });
+    logStream.close();
     
-    // Create a wrapper logger that captures all logs
-    class LogCaptureLogger {
-      constructor(original, logCaptureFn) {
-        this.original = original;
-        this.logCaptureFn = logCaptureFn;
-        this.level = original.level;
-        this.context = original.context;
-      }
+    // Remove from active meetings on error
+    releaseMeeting();
+    
+    // Attempt cleanup
+    bot.cleanup().catch((cleanupError) => {
+      meetingLog.error("Cleanup failed", { error: cleanupError });
+    });
+  });
 
-      child(extra = {}) {
-        return new LogCaptureLogger(this.original.child(extra), this.logCaptureFn);
-      }
+  // Store meeting info
+  activeMeetings.set(meetingId, {
+    bot: bot,
+    startTime: new Date(),
+    envVars: envVars,
+    logs: logs,
+    logStream: logStream,
+    tenant: tenant,
+  });
 
-      info(message, meta = {}) {
-        this.original.info(message, meta);
-        this.logCaptureFn("INFO", message, meta);
-      }
+  meetingLog.info("Started meeting bot");
+}
 
-      warn(message, meta = {}) {
-        this.original.warn(message, meta);
-        this.logCaptureFn("WARN", message, meta);
-      }
+// 400 body for config validation errors from lib/config.js
+function invalidConfigPayload(errors) {
+  return {
+    error: errors.map(({ message }) => message).join("; "),
+    errors,
+  };
+}
 
-      error(message, meta = {}) {
-        this.original.error(message, meta);
-        this.logCaptureFn("ERROR", message, meta);
-      }
+/**
+ * Validate a start request and build the bot's environment.
+ * Shared by startMeeting and the scheduler, which checks requests when they are scheduled.
+ * @param {object} body - { meetingId, meetingUrl, platform, botName, sessionId, tools, meetingControls, session, webhook*, ...options }
+ * @param {string} traceId
+ * @returns {{error: object}|{meetingId: string, envVars: object, webhookTargets: object, webhookSecret?: string}}
+ */
+function prepareStart(body, traceId) {
+  const {
+    meetingId,
+    meetingUrl,
+    platform,
+    botName,
+    sessionId,
+    webhookUrl,
+    webhookUrls,
+    webhookSecret,
+    tools,
+    meetingControls,
+    session,
+    ...additionalEnvVars
+  } = body;
 
-      debug(message, meta = {}) {
-        this.original.debug(message, meta);
-        this.logCaptureFn("DEBUG", message, meta);
-      }
-    }
+  // Validate required fields
+  if (!meetingId) {
+    return { error: { error: "meetingId is required" } };
+  }
+  if (!meetingUrl) {
+    return { error: { error: "meetingUrl is required" } };
+  }
 
-    bot.logger = new LogCaptureLogger(originalLogger, logLine);
-
-    // Start bot asynchronously (don't await to return response immediately)
-    bot.start().catch((error) => {
-      const errorLog = `[${new Date().toISOString()}] [${meetingId}] [ERROR] Bot failed: ${error.message}`;
-      console.error(errorLog);
-      logs.push(errorLog);
-      logs.push(`[${new Date().toISOString()}] [${meetingId}] [ERROR] Stack: ${error.stack}`);
-      
-      // Remove from active meetings on error
-      activeMeetings.delete(meetingId);
-      
-      // Attempt cleanup
-      bot.cleanup().catch((cleanupError) => {
-        console.error(`[ERROR] Cleanup failed for meeting ${meetingId}:`, cleanupError);
-      });
+  // Remaining keys must be bot options by their env names (see GET /config/schema)
+  const overrideErrors = validateOverrides(additionalEnvVars);
+  if (overrideErrors.length > 0) {
+    return { error: invalidConfigPayload(overrideErrors) };
+  }
+
+  const toolDeclarations = parseToolDeclarations(tools);
+  if (toolDeclarations.error) {
+    return { error: { error: toolDeclarations.error } };
+  }
+
+  const controlPermissions = parseMeetingControls(meetingControls ?? additionalEnvVars.MEETING_CONTROLS);
+  if (controlPermissions.error) {
+    return { error: { error: controlPermissions.error } };
+  }
+
+  const sessionSettings = session === undefined ? null : parseSessionSettings(session);
+  if (sessionSettings && sessionSettings.error) {
+    return { error: { error: sessionSettings.error } };
+  }
+
+  const webhookTargets = parseWebhookUrls(webhookUrls ?? webhookUrl);
+  if (webhookTargets.error) {
+    return { error: { error: webhookTargets.error } };
+  }
+
+  // Prepare environment variables for bot config
+  const envVars = {
+    ...process.env, // Inherit parent process env
+    MEETING_ID: meetingId,
+    MEETING_URL: meetingUrl,
+    PLATFORM: platform || "google_meet",
+    BOT_NAME: botName || "Aurray Bot",
+    SESSION_ID: sessionId || meetingId,
+    ...additionalEnvVars, // Per-meeting options from the request
+    TRACE_ID: traceId,
+  };
+  if (toolDeclarations.tools.length > 0) {
+    envVars.TOOLS = JSON.stringify(toolDeclarations.tools);
+  }
+  if (meetingControls !== undefined) {
+    envVars.MEETING_CONTROLS = controlPermissions.controls.join(",");
+  }
+  if (sessionSettings) {
+    envVars.REALTIME_SESSION = JSON.stringify(sessionSettings.settings);
+  }
+
+  const { errors: configErrors } = parseConfig(envVars);
+  if (configErrors.length > 0) {
+    return { error: invalidConfigPayload(configErrors) };
+  }
+
+  return { meetingId, envVars, webhookTargets, webhookSecret };
+}
+
+/**
+ * Validate a start request and launch, queue or reject it.
+ * Shared by POST /start-meeting and the scheduler.
+ * @param {object} body - See prepareStart
+ * @param {string|null} tenant
+ * @param {string} [traceId] - Correlation id carried into the bot's logs and status updates
+ * @returns {{statusCode: number, payload: object, headers?: object}}
+ */
+function startMeeting(body, tenant, traceId = uuidv4()) {
+  const prepared = prepareStart(body, traceId);
+  if (prepared.error) {
+    return { statusCode: 400, payload: prepared.error };
+  }
+  const { meetingId, envVars, webhookTargets, webhookSecret } = prepared;
+
+  // Check if meeting is already active or waiting to start
+  if (activeMeetings.has(meetingId) || admission.isQueued(meetingId)) {
+    return {
+      statusCode: 409,
+      payload: { error: "Meeting already active", meetingId },
+    };
+  }
+
+  const decision = admission.admit();
+
+  if (decision.action === "reject") {
+    logger.warn("Rejected start", { meetingId, traceId, reason: decision.reason });
+    return {
+      statusCode: 429,
+      headers: { "Retry-After": String(admission.retryAfterSec) },
+      payload: {
+        error: "Server at capacity",
+        message: decision.reason,
+        meetingId,
+        retryAfter: admission.retryAfterSec,
+      },
+    };
+  }
+
+  webhooks.register(meetingId, {
+    urls: webhookTargets.urls,
+    secret: webhookSecret,
+    sessionId: envVars.SESSION_ID,
+    tenant,
+  });
+
+  if (decision.action === "queue") {
+    meetingStore.createMeeting(meetingId, {
+      sessionId: envVars.SESSION_ID,
+      traceId,
+      platform: envVars.PLATFORM,
+      meetingUrl: envVars.MEETING_URL,
+      botName: envVars.BOT_NAME,
+      tenant,
+    }, {
+      state: "queued",
+      message: "Waiting for server capacity",
+      metadata: { reason: decision.reason },
     });
 
-    // Store meeting info
-    activeMeetings.set(meetingId, {
-      bot: bot,
-      startTime: new Date(),
-      envVars: envVars,
-      logs: logs,
+    const position = admission.enqueue(meetingId, () => {
+      launchMeeting({ meetingId, envVars, tenant });
     });
+    logger.info("Queued meeting bot", { meetingId, traceId, position });
+    webhooks.emit(meetingId, "meeting.queued", { position, reason: decision.reason });
 
-    console.log(`[INFO] Started meeting bot for meetingId: ${meetingId} (direct import)`);
+    return {
+      statusCode: 202,
+      payload: {
+        ok: true,
+        meetingId,
+        queued: true,
+        position,
+        message: "Meeting bot queued",
+      },
+    };
+  }
 
-    res.json({
+  launchMeeting({ meetingId, envVars, tenant });
+
+  return {
+    statusCode: 200,
+    payload: {
       ok: true,
       meetingId,
       message: "Meeting bot started",
-    });
+    },
+  };
+}
+
+/**
+ * Stop a running bot or cancel a queued start.
+ * Shared by DELETE /stop-meeting/:meetingId and the scheduler.
+ * @param {string} meetingId
+ * @param {string} [outcome] - Outcome recorded in the registry
+ * @returns {Promise<{statusCode: number, payload: object}>}
+ */
+async function stopMeeting(meetingId, outcome = "stopped") {
+  // Queued starts are simply dropped from the queue
+  if (admission.cancel(meetingId)) {
+    finishMeeting(meetingId, "cancelled");
+    logger.info("Cancelled queued meeting bot", { meetingId });
+    return {
+      statusCode: 200,
+      payload: {
+        ok: true,
+        meetingId,
+        message: "Queued meeting bot cancelled",
+      },
+    };
+  }
+
+  const meetingInfo = activeMeetings.get(meetingId);
+  if (!meetingInfo) {
+    return {
+      statusCode: 404,
+      payload: { error: "Meeting not found", meetingId },
+    };
+  }
+
+  const { bot } = meetingInfo;
+
+  // Set stop flag and trigger cleanup. The run loop exits meanwhile and start()
+  // resolves first, so it must already see why the bot is stopping.
+  bot.endReason = bot.endReason || outcome;
+  bot.shouldStop = true;
+  bot.shouldReconnect = false;
+
+  // Cleanup bot resources
+  try {
+    await bot.cleanup();
+    logger.info("Stopped meeting bot", { meetingId });
+  } catch (cleanupError) {
+    logger.error("Error during bot cleanup", { meetingId, error: cleanupError });
+  }
+
+  // Remove from active meetings
+  releaseBot(meetingId, bot);
+  finishMeeting(meetingId, outcome);
+  meetingInfo.logStream.close();
+  admission.drain();
+
+  return {
+    statusCode: 200,
+    payload: {
+      ok: true,
+      meetingId,
+      message: "Meeting bot stopped",
+    },
+  };
+}
+
+// Scheduled joins - persisted so pending schedules survive restarts
+const scheduler = new MeetingScheduler({
+  filePath: process.env.SCHEDULES_FILE || path.join(__dirname, "logs", "schedules.json"),
+  leadTimeSec: parseInt(process.env.SCHEDULE_LEAD_TIME_SEC || "60", 10),
+  // Scheduled joins are correlated by their schedule id
+  onStart: (schedule) => startMeeting(schedule.request, schedule.tenant, schedule.scheduleId),
+  validateRequest: (request) => {
+    const prepared = prepareStart(request, uuidv4());
+    return prepared.error ? prepared.error.error : null;
+  },
+  onStop: (schedule, reason) => stopMeeting(schedule.meetingId, reason),
+  isActive: (schedule) => activeMeetings.has(schedule.meetingId) || admission.isQueued(schedule.meetingId),
+});
+
+/**
+ * Start a new meeting bot
+ * POST /start-meeting
+ * Body: { meetingId, meetingUrl, platform, botName, sessionId, ...options }
+ * Options use their env names (GET /config/schema); unknown or invalid ones are rejected with 400.
+ * Responds 202 with a queue position when the server is at capacity,
+ * or 429 with Retry-After when the start queue is full.
+ */
+app.post("/start-meeting", auth.requireScope("start"), async (req, res) => {
+  // Handle request abort gracefully
+  req.on('close', () => {
+    if (!res.headersSent) {
+      req.log.warn(`Request aborted: POST /start-meeting`);
+    }
+  });
+
+  try {
+    const tenant = req.client ? req.client.tenant : null;
+    const result = startMeeting(req.body, tenant, req.traceId);
+
+    Object.entries(result.headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+    res.status(result.statusCode).json(result.payload);
   } catch (error) {
     // Don't send response if request was aborted
     if (req.aborted || res.headersSent) {
-      console.warn("[WARN] Request aborted during start-meeting, skipping response");
+      req.log.warn("Request aborted during start-meeting, skipping response");
       return;
     }
     
-    console.error("[ERROR] Failed to start meeting:", error);
+    req.log.error("Failed to start meeting", { error });
     res.status(500).json({
       error: "Failed to start meeting",
       message: error.message,
@@ -291,57 +846,128 @@ app.post("/start-meeting", async (req, res) => {
  * Stop an active meeting bot
  * DELETE /stop-meeting/:meetingId
  */
-app.delete("/stop-meeting/:meetingId", async (req, res) => {
+app.delete("/stop-meeting/:meetingId", auth.requireScope("stop"), requireMeetingAccess, async (req, res) => {
   // Handle request abort gracefully
   req.on('close', () => {
     if (!res.headersSent) {
-      console.warn(`[WARN] Request aborted: DELETE /stop-meeting/${req.params.meetingId}`);
+      req.log.warn(`Request aborted: DELETE /stop-meeting/${req.params.meetingId}`);
     }
   });
 
   try {
-    const meetingId = req.params.meetingId;
+    const result = await stopMeeting(req.params.meetingId);
+    res.status(result.statusCode).json(result.payload);
+  } catch (error) {
+    // Don't send response if request was aborted
+    if (req.aborted || res.headersSent) {
+      req.log.warn("Request aborted during stop-meeting, skipping response");
+      return;
+    }
+    
+    req.log.error("Failed to stop meeting", { error });
+    res.status(500).json({
+      error: "Failed to stop meeting",
+      message: error.message,
+    });
+  }
+});
 
-    const meetingInfo = activeMeetings.get(meetingId);
-    if (!meetingInfo) {
-      return res.status(404).json({
-        error: "Meeting not found",
-        meetingId,
-      });
+/**
+ * Schedule a bot to join later
+ * POST /schedule-meeting
+ * Body: same as /start-meeting plus { joinAt, leaveAt?, maxDurationMin? }
+ * The bot is launched SCHEDULE_LEAD_TIME_SEC before joinAt and stopped at leaveAt.
+ */
+app.post("/schedule-meeting", auth.requireScope("start"), (req, res) => {
+  try {
+    const { joinAt, leaveAt, maxDurationMin, ...request } = req.body;
+    const tenant = req.client ? req.client.tenant : null;
+    const result = scheduler.create(request, { joinAt, leaveAt, maxDurationMin }, tenant);
+
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
     }
 
-    const { bot } = meetingInfo;
+    req.log.info("Scheduled meeting", { meetingId: result.schedule.meetingId, scheduleId: result.schedule.scheduleId, joinAt: result.schedule.joinAt });
+    res.status(201).json(result.schedule);
+  } catch (error) {
+    req.log.error("Failed to schedule meeting", { error });
+    res.status(500).json({
+      error: "Failed to schedule meeting",
+      message: error.message,
+    });
+  }
+});
 
-    // Set stop flag and trigger cleanup
-    bot.shouldStop = true;
-    bot.shouldReconnect = false;
+// Resolves :scheduleId and hides schedules owned by other tenants
+function requireScheduleAccess(req, res, next) {
+  const schedule = scheduler.get(req.params.scheduleId);
+  if (!schedule || !auth.canAccessTenant(req.client, schedule.tenant)) {
+    return res.status(404).json({ error: "Schedule not found" });
+  }
+  req.schedule = schedule;
+  next();
+}
 
-    // Cleanup bot resources
-    try {
-      await bot.cleanup();
-      console.log(`[INFO] Stopped meeting bot for meetingId: ${meetingId}`);
-    } catch (cleanupError) {
-      console.error(`[ERROR] Error during bot cleanup for ${meetingId}:`, cleanupError);
-    }
+/**
+ * List schedules ordered by joinAt
+ * GET /schedules?status=
+ */
+app.get("/schedules", auth.requireScope("read"), (req, res) => {
+  const schedules = scheduler
+    .list({ status: req.query.status })
+    .filter((schedule) => auth.canAccessTenant(req.client, schedule.tenant));
+
+  res.json({
+    schedules,
+    count: schedules.length,
+  });
+});
 
-    // Remove from active meetings
-    activeMeetings.delete(meetingId);
+/**
+ * Get a single schedule
+ * GET /schedules/:scheduleId
+ */
+app.get("/schedules/:scheduleId", auth.requireScope("read"), requireScheduleAccess, (req, res) => {
+  res.json(req.schedule);
+});
 
-    res.json({
-      ok: true,
-      meetingId,
-      message: "Meeting bot stopped",
+/**
+ * Update a pending schedule
+ * PATCH /schedules/:scheduleId
+ * Body: any of { joinAt, leaveAt, maxDurationMin, meetingUrl, platform, botName, ...envVars }
+ */
+app.patch("/schedules/:scheduleId", auth.requireScope("start"), requireScheduleAccess, (req, res) => {
+  try {
+    const result = scheduler.update(req.schedule.scheduleId, req.body);
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+    res.json(result.schedule);
+  } catch (error) {
+    req.log.error("Failed to update schedule", { error });
+    res.status(500).json({
+      error: "Failed to update schedule",
+      message: error.message,
     });
-  } catch (error) {
-    // Don't send response if request was aborted
-    if (req.aborted || res.headersSent) {
-      console.warn("[WARN] Request aborted during stop-meeting, skipping response");
-      return;
+  }
+});
+
+/**
+ * Cancel a schedule, stopping its bot if it already started
+ * DELETE /schedules/:scheduleId
+ */
+app.delete("/schedules/:scheduleId", auth.requireScope("stop"), requireScheduleAccess, async (req, res) => {
+  try {
+    const result = await scheduler.cancel(req.schedule.scheduleId);
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
     }
-    
-    console.error("[ERROR] Failed to stop meeting:", error);
+    res.json(result.schedule);
+  } catch (error) {
+    req.log.error("Failed to cancel schedule", { error });
     res.status(500).json({
-      error: "Failed to stop meeting",
+      error: "Failed to cancel schedule",
       message: error.message,
     });
   }
@@ -351,32 +977,131 @@ app.delete("/stop-meeting/:meetingId", async (req, res) => {
  * Get list of active meetings
  * GET /meetings
  */
-app.get("/meetings", (req, res) => {
-  const meetings = Array.from(activeMeetings.entries()).map(
-    ([meetingId, info]) => ({
+app.get("/meetings", auth.requireScope("read"), (req, res) => {
+  const meetings = Array.from(activeMeetings.entries())
+    .filter(([, info]) => auth.canAccessTenant(req.client, info.tenant))
+    .map(([meetingId, info]) => ({
       meetingId,
       startTime: info.startTime.toISOString(),
       uptime: Math.floor((Date.now() - info.startTime.getTime()) / 1000), // seconds
       platform: info.envVars.PLATFORM,
       meetingUrl: info.envVars.MEETING_URL,
-    })
-  );
+    }));
+
+  const queued = admission.queue
+    .filter(({ meetingId }) => auth.canAccessTenant(req.client, getMeetingTenant(meetingId)))
+    .map(({ meetingId, enqueuedAt }) => ({
+      meetingId,
+      position: admission.position(meetingId),
+      queuedAt: new Date(enqueuedAt).toISOString(),
+    }));
 
   res.json({
     active: meetings,
     count: meetings.length,
+    queued,
+  });
+});
+
+/**
+ * Get meeting history (active and finished), newest first
+ * GET /meetings/history?status=&outcome=&platform=&limit=
+ */
+app.get("/meetings/history", auth.requireScope("read"), (req, res) => {
+  const limit = parseInt(req.query.limit || "50", 10);
+  const meetings = meetingStore
+    .listMeetings({
+      status: req.query.status,
+      outcome: req.query.outcome,
+      platform: req.query.platform,
+      tenant: req.client && req.client.tenant ? req.client.tenant : req.query.tenant,
+      limit: Number.isFinite(limit) && limit > 0 ? limit : 50,
+    })
+    .map(summarizeMeetingRecord);
+
+  res.json({
+    meetings,
+    count: meetings.length,
+  });
+});
+
+/**
+ * Get lifecycle events for a meeting (works for finished meetings)
+ * GET /meetings/:meetingId/events
+ */
+app.get("/meetings/:meetingId/events", auth.requireScope("read"), requireMeetingAccess, (req, res) => {
+  const meetingId = req.params.meetingId;
+  const record = meetingStore.getMeeting(meetingId);
+
+  if (!record) {
+    return res.status(404).json({
+      error: "Meeting not found",
+      meetingId,
+    });
+  }
+
+  res.json({
+    meetingId,
+    status: record.status,
+    state: record.state,
+    outcome: record.outcome,
+    events: record.events,
+    count: record.events.length,
   });
 });
 
 /**
- * Get logs for a specific meeting
+ * Get the conversation transcript for a meeting (works for finished meetings)
+ * GET /meetings/:meetingId/transcript?format=json|txt|srt|vtt&source=model|captions
+ */
+app.get("/meetings/:meetingId/transcript", auth.requireScope("read"), requireMeetingAccess, (req, res) => {
+  const meetingId = req.params.meetingId;
+  const record = meetingStore.getMeeting(meetingId);
+  const format = (req.query.format || "json").toLowerCase();
+
+  if (!record) {
+    return res.status(404).json({
+      error: "Meeting not found",
+      meetingId,
+    });
+  }
+
+  if (!TRANSCRIPT_FORMATS[format]) {
+    return res.status(400).json({
+      error: `Unsupported transcript format: ${format}`,
+      supportedFormats: Object.keys(TRANSCRIPT_FORMATS),
+    });
+  }
+
+  // With TRANSCRIPT_SOURCE=both each source can be read on its own
+  const turns = meetingStore.getTranscript(meetingId)
+    .filter((turn) => !req.query.source || (turn.source || "model") === req.query.source);
+  if (format === "json") {
+    return res.json({
+      meetingId,
+      status: record.status,
+      startTime: record.startTime,
+      endTime: record.endTime,
+      turns,
+      count: turns.length,
+    });
+  }
+
+  res.type(TRANSCRIPT_FORMATS[format]);
+  res.set("Content-Disposition", `inline; filename="${encodeURIComponent(meetingId)}.${format}"`);
+  res.send(formatTranscript(turns, format, transcriptOptions(record)));
+});
+
+/**
+ * Get logs for a specific meeting (retained logs for finished meetings)
  * GET /meetings/:meetingId/logs
  */
-app.get("/meetings/:meetingId/logs", (req, res) => {
+app.get("/meetings/:meetingId/logs", auth.requireScope("read"), requireMeetingAccess, (req, res) => {
   const meetingId = req.params.meetingId;
   const meetingInfo = activeMeetings.get(meetingId);
+  const logs = meetingInfo ? meetingInfo.logs : meetingStore.getLogs(meetingId);
 
-  if (!meetingInfo) {
+  if (!logs) {
     return res.status(404).json({
       error: "Meeting not found",
       meetingId,
@@ -385,20 +1110,142 @@ app.get("/meetings/:meetingId/logs", (req, res) => {
 
   res.json({
     meetingId,
-    logs: meetingInfo.logs,
-    lineCount: meetingInfo.logs.length,
+    logs,
+    lineCount: logs.length,
+  });
+});
+
+// Cursor from ?since= or the Last-Event-ID header EventSource sends on reconnect
+function parseLogCursor(query, lastEventId) {
+  const since = parseInt(query.since ?? lastEventId ?? "0", 10);
+  return Number.isFinite(since) && since > 0 ? since : 0;
+}
+
+/**
+ * Stream structured log entries for a meeting as Server-Sent Events
+ * GET /meetings/:meetingId/logs/stream?level=&since=
+ * The same path accepts a WebSocket upgrade (see handleLogStreamUpgrade).
+ */
+app.get("/meetings/:meetingId/logs/stream", auth.requireScope("read"), requireMeetingAccess, (req, res) => {
+  const meetingId = req.params.meetingId;
+  const meetingInfo = activeMeetings.get(meetingId);
+
+  if (!meetingInfo) {
+    return res.status(404).json({
+      error: "Meeting not found",
+      meetingId,
+    });
+  }
+
+  // Long-lived response - disable the 30s request timeout
+  req.setTimeout(0);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
+  // Assigned after subscribe returns; onEnd runs synchronously for finished meetings
+  let unsubscribe = null;
+  unsubscribe = meetingInfo.logStream.subscribe(
+    (entry) => {
+      res.write(`id: ${entry.seq}\nevent: log\ndata: ${JSON.stringify(entry)}\n\n`);
+    },
+    {
+      since: parseLogCursor(req.query, req.get("Last-Event-ID")),
+      level: req.query.level,
+      onEnd: () => {
+        clearInterval(heartbeat);
+        if (unsubscribe) unsubscribe();
+        res.write("event: end\ndata: {}\n\n");
+        res.end();
+      },
+    }
+  );
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
   });
 });
 
+/**
+ * WebSocket equivalent of the SSE log stream.
+ * ws://host/meetings/:meetingId/logs/stream?level=&since=
+ * Each message is one JSON log entry; { type: "end" } is sent when the meeting finishes.
+ */
+const logStreamWss = new WebSocket.Server({ noServer: true });
+
+function handleLogStreamUpgrade(req, socket, head) {
+  const url = new URL(req.url, "http://localhost");
+  const match = url.pathname.match(/^\/meetings\/([^/]+)\/logs\/stream$/);
+  const meetingInfo = match && activeMeetings.get(decodeURIComponent(match[1]));
+
+  let client = null;
+  if (auth.enabled) {
+    const result = auth.authenticate(req);
+    if (result.error || !result.client.scopes.includes("read")) {
+      socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    client = result.client;
+  }
+
+  if (!meetingInfo || !auth.canAccessTenant(client, meetingInfo.tenant)) {
+    socket.write("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+    socket.destroy();
+    return;
+  }
+
+  logStreamWss.handleUpgrade(req, socket, head, (ws) => {
+    const query = Object.fromEntries(url.searchParams);
+    const unsubscribe = meetingInfo.logStream.subscribe(
+      (entry) => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ type: "log", ...entry }));
+        }
+      },
+      {
+        since: parseLogCursor(query),
+        level: query.level,
+        onEnd: () => {
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: "end" }));
+            ws.close(1000, "Meeting finished");
+          }
+        },
+      }
+    );
+
+    ws.on("close", unsubscribe);
+    ws.on("error", unsubscribe);
+  });
+}
+
 /**
  * Get status of a specific meeting
  * GET /meetings/:meetingId
  */
-app.get("/meetings/:meetingId", (req, res) => {
+app.get("/meetings/:meetingId", auth.requireScope("read"), requireMeetingAccess, (req, res) => {
   const meetingId = req.params.meetingId;
   const meetingInfo = activeMeetings.get(meetingId);
+  const record = meetingStore.getMeeting(meetingId);
 
   if (!meetingInfo) {
+    // Queued and finished meetings are served from the registry
+    if (record) {
+      const position = admission.position(meetingId);
+      return res.json({
+        ...summarizeMeetingRecord(record),
+        isRunning: false,
+        queued: position !== null,
+        queuePosition: position,
+        webhooks: webhooks.summarize(meetingId),
+      });
+    }
     return res.status(404).json({
       error: "Meeting not found",
       meetingId,
@@ -410,6 +1257,7 @@ app.get("/meetings/:meetingId", (req, res) => {
 
   res.json({
     meetingId,
+    state: record ? record.state : null,
     startTime: meetingInfo.startTime.toISOString(),
     uptime: Math.floor((Date.now() - meetingInfo.startTime.getTime()) / 1000),
     platform: meetingInfo.envVars.PLATFORM,
@@ -417,17 +1265,204 @@ app.get("/meetings/:meetingId", (req, res) => {
     isRunning: isRunning,
     connectionState: bot.connectionState,
     voiceState: bot.voiceState,
+    speakers: bot.speakers.getAssignments(),
+    webhooks: webhooks.summarize(meetingId),
+  });
+});
+
+/**
+ * Change a running bot's instructions, voice or session settings without rejoining
+ * PATCH /meetings/:meetingId/session
+ * Body: any of { instructions, voice, session } - session fields merge into the current settings
+ */
+app.patch("/meetings/:meetingId/session", auth.requireScope("start"), requireMeetingAccess, (req, res) => {
+  const meetingId = req.params.meetingId;
+  const meetingInfo = activeMeetings.get(meetingId);
+  if (!meetingInfo) {
+    if (admission.isQueued(meetingId)) {
+      return res.status(409).json({ error: "Meeting bot has not started yet", meetingId });
+    }
+    return res.status(404).json({ error: "Meeting not running", meetingId });
+  }
+
+  const { instructions, voice, session, ...unknown } = req.body || {};
+  if (Object.keys(unknown).length > 0) {
+    return res.status(400).json({ error: `Unknown fields: ${Object.keys(unknown).join(", ")}. Allowed: instructions, voice, session` });
+  }
+  if (instructions === undefined && voice === undefined && session === undefined) {
+    return res.status(400).json({ error: "Provide at least one of instructions, voice or session" });
+  }
+
+  const { bot } = meetingInfo;
+  const changes = {};
+  for (const [key, value] of [["instructions", instructions], ["voice", voice]]) {
+    if (value === undefined) continue;
+    const parsed = typeof value === "string" ? parseOptionValue(key, value) : { error: `${key} must be a string` };
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    changes[key] = parsed.value;
+  }
+  if (session !== undefined) {
+    const current = parseSessionSettings(bot.config.realtimeSession).settings || parseSessionSettings().settings;
+    const merged = mergeSessionSettings(current, session);
+    if (merged.error) {
+      return res.status(400).json({ error: merged.error });
+    }
+    changes.settings = merged.settings;
+  }
+
+  try {
+    const result = bot.updateSession(changes);
+    if (result.error) {
+      return res.status(409).json({ error: result.error, meetingId });
+    }
+
+    req.log.info("Updated assistant session", { meetingId, fields: Object.keys(changes), applied: result.applied });
+    res.json({
+      ok: true,
+      meetingId,
+      // false while the realtime connection is down - the change applies when it reconnects
+      applied: result.applied,
+      session: {
+        instructions: bot.config.instructions,
+        voice: bot.config.voice,
+        settings: parseSessionSettings(bot.config.realtimeSession).settings,
+      },
+    });
+  } catch (error) {
+    req.log.error("Failed to update assistant session", { meetingId, error });
+    res.status(500).json({
+      error: "Failed to update assistant session",
+      message: error.message,
+    });
+  }
+});
+
+const MAX_SAY_CHARS = 4000;
+const MAX_CONTEXT_CHARS = 50000;
+const CONTEXT_ROLES = ["system", "user"];
+
+// Shared by /say and /context: validates the meeting, hands the input to the bot
+// and answers 200 when it was sent or 202 while it waits for the assistant
+function sendConversationInput(req, res, input) {
+  const meetingId = req.params.meetingId;
+  const meetingInfo = activeMeetings.get(meetingId);
+  if (!meetingInfo) {
+    if (admission.isQueued(meetingId)) {
+      return res.status(409).json({ error: "Meeting bot has not started yet", meetingId });
+    }
+    return res.status(404).json({ error: "Meeting not running", meetingId });
+  }
+
+  try {
+    const result = meetingInfo.bot.queueConversationInput(input);
+    if (result.error) {
+      return res.status(result.code === "queue_full" ? 429 : 409).json({ error: result.error, meetingId });
+    }
+
+    req.log.info(`Accepted ${input.kind} input`, { meetingId, id: result.id, queued: result.queued });
+    res.status(result.queued ? 202 : 200).json({
+      ok: true,
+      meetingId,
+      id: result.id,
+      queued: result.queued,
+      position: result.position,
+    });
+  } catch (error) {
+    req.log.error(`Failed to send ${input.kind} input`, { meetingId, error });
+    res.status(500).json({
+      error: `Failed to send ${input.kind} input`,
+      message: error.message,
+    });
+  }
+}
+
+function validateInputText(text, maxChars) {
+  if (typeof text !== "string" || text.trim() === "") {
+    return "text is required";
+  }
+  if (text.length > maxChars) {
+    return `text must be at most ${maxChars} characters`;
+  }
+  return null;
+}
+
+/**
+ * Make the assistant say something now, e.g. an agenda reminder
+ * POST /meetings/:meetingId/say
+ * Body: { text, verbatim? } - verbatim (default true) speaks text word for word;
+ * false treats it as an instruction ("Remind everyone that 5 minutes are left")
+ * Waits while the assistant is speaking: 200 when sent, 202 when queued.
+ */
+app.post("/meetings/:meetingId/say", auth.requireScope("start"), requireMeetingAccess, (req, res) => {
+  const { text, verbatim = true } = req.body || {};
+  const error = validateInputText(text, MAX_SAY_CHARS) || (typeof verbatim === "boolean" ? null : "verbatim must be true or false");
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  sendConversationInput(req, res, { kind: "say", text, verbatim });
+});
+
+/**
+ * Add context (a document, notes, meeting state) to the conversation without a response
+ * POST /meetings/:meetingId/context
+ * Body: { text, role? } - role is system (default) or user
+ */
+app.post("/meetings/:meetingId/context", auth.requireScope("start"), requireMeetingAccess, (req, res) => {
+  const { text, role = "system" } = req.body || {};
+  const error = validateInputText(text, MAX_CONTEXT_CHARS)
+    || (CONTEXT_ROLES.includes(role) ? null : `role must be one of: ${CONTEXT_ROLES.join(", ")}`);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  sendConversationInput(req, res, { kind: "context", text, role });
+});
+
+/**
+ * Webhook delivery status for a meeting, oldest first
+ * GET /meetings/:meetingId/webhooks
+ */
+app.get("/meetings/:meetingId/webhooks", auth.requireScope("read"), requireMeetingAccess, (req, res) => {
+  const meetingId = req.params.meetingId;
+  const deliveries = webhooks.getDeliveries(meetingId);
+
+  res.json({
+    meetingId,
+    summary: webhooks.summarize(meetingId),
+    deliveries,
   });
 });
 
+// Screenshot and failure capture types. Captured HTML is served as text so
+// the meeting page's scripts never run on this origin.
+const SCREENSHOT_CONTENT_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".html": "text/plain; charset=utf-8",
+  ".json": "application/json",
+};
+
+/**
+ * Parse a screenshot filename, returning null unless it belongs to meetingId.
+ */
+function parseMeetingCapture(filename, meetingId) {
+  const capture = parseCaptureFilename(filename);
+  if (!capture || capture.meetingId !== meetingId) return null;
+  if (!SCREENSHOT_CONTENT_TYPES[path.extname(filename).toLowerCase()]) return null;
+  return capture;
+}
+
 /**
- * Get list of screenshot images for a meeting
+ * Get list of screenshots and join failure captures for a meeting
  * GET /meetings/:meetingId/screenshots
  */
-app.get("/meetings/:meetingId/screenshots", (req, res) => {
+app.get("/meetings/:meetingId/screenshots", auth.requireScope("read"), requireMeetingAccess, (req, res) => {
   try {
     const meetingId = req.params.meetingId;
-    const screenshotsDir = path.join(__dirname, "logs", "screenshots");
     
     // Ensure directory exists
     if (!fs.existsSync(screenshotsDir)) {
@@ -438,24 +1473,21 @@ app.get("/meetings/:meetingId/screenshots", (req, res) => {
       });
     }
 
-    // Read directory and filter for image files
+    // Files are named after the meeting that captured them
     const files = fs.readdirSync(screenshotsDir);
-    const imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
-    
-    // Show all screenshots (no filtering by meetingId)
     const screenshots = files
-      .filter(file => {
-        const ext = path.extname(file).toLowerCase();
-        return imageExtensions.includes(ext);
-      })
-      .map(file => {
+      .map(file => ({ file, capture: parseMeetingCapture(file, meetingId) }))
+      .filter(({ capture }) => capture)
+      .map(({ file, capture }) => {
         const filePath = path.join(screenshotsDir, file);
         const stats = fs.statSync(filePath);
         return {
           filename: file,
-          url: `/meetings/${meetingId}/screenshots/${file}`,
+          url: `/meetings/${encodeURIComponent(meetingId)}/screenshots/${encodeURIComponent(file)}`,
+          kind: capture.kind, // screenshot, or failure for join step failures
+          reason: capture.reason,
           size: stats.size,
-          createdAt: stats.birthtime.toISOString(),
+          createdAt: capture.capturedAt,
           modifiedAt: stats.mtime.toISOString(),
         };
       })
@@ -467,7 +1499,7 @@ app.get("/meetings/:meetingId/screenshots", (req, res) => {
       count: screenshots.length,
     });
   } catch (error) {
-    console.error("[ERROR] Failed to list screenshots:", error);
+    req.log.error("Failed to list screenshots", { error });
     res.status(500).json({
       error: "Failed to list screenshots",
       message: error.message,
@@ -476,10 +1508,10 @@ app.get("/meetings/:meetingId/screenshots", (req, res) => {
 });
 
 /**
- * Serve screenshot image file
+ * Serve a screenshot or failure capture file
  * GET /meetings/:meetingId/screenshots/:filename
  */
-app.get("/meetings/:meetingId/screenshots/:filename", (req, res) => {
+app.get("/meetings/:meetingId/screenshots/:filename", auth.requireScope("read"), requireMeetingAccess, (req, res) => {
   try {
     const meetingId = req.params.meetingId;
     const filename = req.params.filename;
@@ -489,30 +1521,15 @@ app.get("/meetings/:meetingId/screenshots/:filename", (req, res) => {
       return res.status(400).json({ error: "Invalid filename" });
     }
 
-    const screenshotsDir = path.join(__dirname, "logs", "screenshots");
     const filePath = path.join(screenshotsDir, filename);
 
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    // Only files captured for this meeting
+    if (!parseMeetingCapture(filename, meetingId) || !fs.existsSync(filePath)) {
       return res.status(404).json({ error: "Screenshot not found" });
     }
 
-    // Verify file is an image
     const ext = path.extname(filename).toLowerCase();
-    const imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
-    if (!imageExtensions.includes(ext)) {
-      return res.status(400).json({ error: "Invalid file type" });
-    }
-
-    // Set appropriate content type
-    const contentTypeMap = {
-      '.png': 'image/png',
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg',
-      '.gif': 'image/gif',
-      '.webp': 'image/webp',
-    };
-    res.setHeader('Content-Type', contentTypeMap[ext] || 'application/octet-stream');
+    res.setHeader('Content-Type', SCREENSHOT_CONTENT_TYPES[ext]);
     
     // Stream the file with error handling for aborted requests
     const fileStream = fs.createReadStream(filePath);
@@ -526,7 +1543,7 @@ app.get("/meetings/:meetingId/screenshots/:filename", (req, res) => {
     
     fileStream.on('error', (error) => {
       if (!res.headersSent) {
-        console.error("[ERROR] File stream error:", error);
+        req.log.error("File stream error", { error });
         res.status(500).json({
           error: "Failed to read screenshot",
           message: error.message,
@@ -545,11 +1562,11 @@ app.get("/meetings/:meetingId/screenshots/:filename", (req, res) => {
   } catch (error) {
     // Don't send response if request was aborted
     if (req.aborted || res.headersSent) {
-      console.warn("[WARN] Request aborted during screenshot serve, skipping response");
+      req.log.warn("Request aborted during screenshot serve, skipping response");
       return;
     }
     
-    console.error("[ERROR] Failed to serve screenshot:", error);
+    req.log.error("Failed to serve screenshot", { error });
     res.status(500).json({
       error: "Failed to serve screenshot",
       message: error.message,
@@ -557,55 +1574,215 @@ app.get("/meetings/:meetingId/screenshots/:filename", (req, res) => {
   }
 });
 
+/**
+ * Get the audio recording for a meeting
+ * GET /meetings/:meetingId/recordings
+ */
+app.get("/meetings/:meetingId/recordings", auth.requireScope("read"), requireMeetingAccess, async (req, res) => {
+  const meetingId = req.params.meetingId;
+  try {
+    const recording = await readRecording(recordingsDir, meetingId);
+    if (!recording) {
+      return res.status(404).json({ error: "No recording for this meeting", meetingId });
+    }
+
+    // recording.json is written once the WAV files are finalized
+    res.json({
+      meetingId,
+      status: recording.metadata ? "complete" : "recording",
+      recording: recording.metadata,
+      files: recording.files.map((file) => ({
+        ...file,
+        url: `/meetings/${encodeURIComponent(meetingId)}/recordings/${file.filename}`,
+      })),
+    });
+  } catch (error) {
+    req.log.error("Failed to read recording", { error });
+    res.status(500).json({
+      error: "Failed to read recording",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Download one track of a meeting recording (input.wav, output.wav or mixed.wav)
+ * GET /meetings/:meetingId/recordings/:filename
+ */
+app.get("/meetings/:meetingId/recordings/:filename", auth.requireScope("read"), requireMeetingAccess, async (req, res) => {
+  const { meetingId, filename } = req.params;
+  try {
+    const recording = await readRecording(recordingsDir, meetingId);
+    const file = recording && recording.files.find((candidate) => candidate.filename === filename);
+    if (!file) {
+      return res.status(404).json({ error: "Recording not found" });
+    }
+    if (!recording.metadata) {
+      return res.status(409).json({ error: "Recording is still in progress" });
+    }
+
+    // sendFile handles Range requests so players can seek
+    res.type("audio/wav");
+    res.sendFile(file.filename, { root: recording.directory }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(500).json({ error: "Failed to read recording", message: error.message });
+      }
+    });
+  } catch (error) {
+    req.log.error("Failed to serve recording", { error });
+    res.status(500).json({
+      error: "Failed to serve recording",
+      message: error.message,
+    });
+  }
+});
+
+// Debug artifact kinds by file extension
+const ARTIFACT_TYPES = {
+  ".webm": { kind: "video", contentType: "video/webm" },
+  ".har": { kind: "har", contentType: "application/json" },
+  ".zip": { kind: "trace", contentType: "application/zip" },
+};
+
+/**
+ * List debug artifacts (video, HAR, join trace) for a meeting
+ * GET /meetings/:meetingId/artifacts
+ */
+app.get("/meetings/:meetingId/artifacts", auth.requireScope("read"), requireMeetingAccess, async (req, res) => {
+  const meetingId = req.params.meetingId;
+  try {
+    const files = await listMeetingFiles(artifactsDir, meetingId);
+    if (!files) {
+      return res.status(404).json({ error: "No debug artifacts for this meeting", meetingId });
+    }
+
+    const artifacts = files
+      .filter((file) => ARTIFACT_TYPES[path.extname(file.filename)])
+      .map((file) => ({
+        ...file,
+        kind: ARTIFACT_TYPES[path.extname(file.filename)].kind,
+        url: `/meetings/${encodeURIComponent(meetingId)}/artifacts/${file.filename}`,
+      }));
+
+    res.json({
+      meetingId,
+      // Video and HAR are only written once the browser closes
+      isRunning: activeMeetings.has(meetingId),
+      artifacts,
+      count: artifacts.length,
+    });
+  } catch (error) {
+    req.log.error("Failed to list artifacts", { error });
+    res.status(500).json({
+      error: "Failed to list artifacts",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Download one debug artifact
+ * GET /meetings/:meetingId/artifacts/:filename
+ */
+app.get("/meetings/:meetingId/artifacts/:filename", auth.requireScope("read"), requireMeetingAccess, async (req, res) => {
+  const { meetingId, filename } = req.params;
+  try {
+    const files = await listMeetingFiles(artifactsDir, meetingId);
+    const type = ARTIFACT_TYPES[path.extname(filename)];
+    if (!files || !type || !files.some((file) => file.filename === filename)) {
+      return res.status(404).json({ error: "Artifact not found" });
+    }
+
+    res.type(type.contentType);
+    res.sendFile(filename, { root: meetingDirectory(artifactsDir, meetingId) }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(500).json({ error: "Failed to read artifact", message: error.message });
+      }
+    });
+  } catch (error) {
+    req.log.error("Failed to serve artifact", { error });
+    res.status(500).json({
+      error: "Failed to serve artifact",
+      message: error.message,
+    });
+  }
+});
+
 // Start server
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`[INFO] Browser bot server listening on port ${PORT}`);
-  console.log(`[INFO] Health check: http://localhost:${PORT}/health`);
+const server = app.listen(PORT, "0.0.0.0", () => {
+  logger.info(`Browser bot server listening on port ${PORT}`);
+  logger.info(`Health check: http://localhost:${PORT}/health`);
 });
+server.on("upgrade", handleLogStreamUpgrade);
+scheduler.start();
+pruneMeetingFiles();
+webhooks.start();
+
+// Meetings interrupted by the last restart still owe their webhooks a finished event
+for (const meetingId of Array.from(webhooks.subscriptions.keys())) {
+  const record = meetingStore.getMeeting(meetingId);
+  if (!record || record.status !== "finished") continue;
+  webhooks.emit(meetingId, "meeting.finished", { outcome: record.outcome, error: record.error });
+  webhooks.unregister(meetingId);
+}
+
+// Buffered file and HTTP log records would be lost on a bare process.exit()
+async function exitAfterLogs(code) {
+  await getLogger().close();
+  process.exit(code);
+}
 
 // Graceful shutdown
 process.on("SIGTERM", async () => {
-  console.log("[INFO] Received SIGTERM, shutting down gracefully...");
+  logger.info("Received SIGTERM, shutting down gracefully...");
   
   // Stop all active meetings
   const cleanupPromises = [];
   for (const [meetingId, meetingInfo] of activeMeetings.entries()) {
-    console.log(`[INFO] Stopping meeting: ${meetingId}`);
+    logger.info("Stopping meeting", { meetingId });
     const { bot } = meetingInfo;
     bot.shouldStop = true;
     bot.shouldReconnect = false;
+    finishMeeting(meetingId, "shutdown");
     cleanupPromises.push(
-      bot.cleanup().catch((error) => {
-        console.error(`[ERROR] Cleanup failed for meeting ${meetingId}:`, error);
-      })
+      bot.cleanup()
+        .catch((error) => {
+          logger.error("Cleanup failed", { meetingId, error });
+        })
+        .finally(() => releaseBot(meetingId, bot))
     );
   }
 
   // Wait for all cleanups to complete
   try {
     await Promise.all(cleanupPromises);
-    console.log("[INFO] All meetings stopped, exiting...");
-    process.exit(0);
+    scheduler.stop();
+    await Promise.all([meetingStore.flush(), webhooks.flush()]);
+    logger.info("All meetings stopped, exiting...");
+    await exitAfterLogs(0);
   } catch (error) {
-    console.error("[ERROR] Error during shutdown:", error);
-    process.exit(1);
+    logger.error("Error during shutdown", { error });
+    await exitAfterLogs(1);
   }
 });
 
 process.on("SIGINT", async () => {
-  console.log("[INFO] Received SIGINT, shutting down gracefully...");
+  logger.info("Received SIGINT, shutting down gracefully...");
   
   // Stop all active meetings
   const cleanupPromises = [];
   for (const [meetingId, meetingInfo] of activeMeetings.entries()) {
-    console.log(`[INFO] Stopping meeting: ${meetingId}`);
+    logger.info("Stopping meeting", { meetingId });
     const { bot } = meetingInfo;
     bot.shouldStop = true;
     bot.shouldReconnect = false;
+    finishMeeting(meetingId, "shutdown");
     cleanupPromises.push(
-      bot.cleanup().catch((error) => {
-        console.error(`[ERROR] Cleanup failed for meeting ${meetingId}:`, error);
-      })
+      bot.cleanup()
+        .catch((error) => {
+          logger.error("Cleanup failed", { meetingId, error });
+        })
+        .finally(() => releaseBot(meetingId, bot))
     );
   }
 
@@ -615,11 +1792,13 @@ process.on("SIGINT", async () => {
       Promise.all(cleanupPromises),
       new Promise((resolve) => setTimeout(resolve, 5000)), // 5 second timeout
     ]);
-    console.log("[INFO] Shutdown complete, exiting...");
-    process.exit(0);
+    scheduler.stop();
+    await Promise.all([meetingStore.flush(), webhooks.flush()]);
+    logger.info("Shutdown complete, exiting...");
+    await exitAfterLogs(0);
   } catch (error) {
-    console.error("[ERROR] Error during shutdown:", error);
-    process.exit(1);
+    logger.error("Error during shutdown", { error });
+    await exitAfterLogs(1);
   }
 });
 
@@ -0,0 +1,225 @@
+const DEFAULT_MAX_MEETINGS = 500;
+const DEFAULT_MAX_LOG_LINES = 1000;
+const DEFAULT_MAX_EVENTS = 500;
+const DEFAULT_MAX_TRANSCRIPT_TURNS = 5000;
+
+/**
+ * Registry of meeting records: metadata, lifecycle events, final outcome,
+ * transcript and retained logs. Live bot instances stay in server.js; this only holds data
+ * that can outlive them.
+ *
+ * The base class keeps everything in memory. Persistent stores override the
+ * load()/persist()/remove()/flush() hooks and keep using the in-memory index
+ * for reads.
+ */
+class MeetingStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxMeetings] - Finished meetings retained before the oldest are pruned
+   * @param {number} [options.maxLogLines] - Log lines retained per meeting
+   * @param {number} [options.maxEvents] - Lifecycle events retained per meeting
+   * @param {number} [options.maxTranscriptTurns] - Transcript turns retained per meeting
+   */
+  constructor(options = {}) {
+    this.maxMeetings = options.maxMeetings || DEFAULT_MAX_MEETINGS;
+    this.maxLogLines = options.maxLogLines || DEFAULT_MAX_LOG_LINES;
+    this.maxEvents = options.maxEvents || DEFAULT_MAX_EVENTS;
+    this.maxTranscriptTurns = options.maxTranscriptTurns || DEFAULT_MAX_TRANSCRIPT_TURNS;
+    this.records = new Map(); // meetingId -> record
+  }
+
+  /* -------------------------------------------------------------------------- */
+  /*                              PERSISTENCE HOOKS                              */
+  /* -------------------------------------------------------------------------- */
+
+  load() {}
+  persist(_meetingId) {}
+  remove(_meetingId) {}
+  async flush() {}
+
+  /* -------------------------------------------------------------------------- */
+  /*                                   WRITES                                    */
+  /* -------------------------------------------------------------------------- */
+
+  /**
+   * Create (or replace) the record for a meeting that is starting.
+   * @param {string} meetingId
+   * @param {object} metadata - platform, meetingUrl, botName, sessionId, tenant
+   * @param {object} [initialEvent] - First lifecycle event ({ state, message, metadata })
+   * @returns {object} The new record
+   */
+  createMeeting(meetingId, metadata = {}, initialEvent = {}) {
+    const { state = 'starting', message = 'Meeting bot started', metadata: eventMetadata = {} } = initialEvent;
+    const now = new Date().toISOString();
+    const record = {
+      meetingId,
+      sessionId: metadata.sessionId || null,
+      traceId: metadata.traceId || null,
+      platform: metadata.platform || null,
+      meetingUrl: metadata.meetingUrl || null,
+      botName: metadata.botName || null,
+      tenant: metadata.tenant || null,
+      status: 'active',
+      state,
+      outcome: null,
+      error: null,
+      startTime: now,
+      endTime: null,
+      events: [{ timestamp: now, state, message, metadata: eventMetadata }],
+      transcript: [],
+      logs: [],
+    };
+
+    this.records.set(meetingId, record);
+    this.prune();
+    this.persist(meetingId);
+    return record;
+  }
+
+  /**
+   * Record a lifecycle state transition (usually a bot status update).
+   */
+  recordEvent(meetingId, state, message, metadata = {}) {
+    const record = this.records.get(meetingId);
+    if (!record) return null;
+
+    const event = { timestamp: new Date().toISOString(), state, message, metadata };
+    record.events.push(event);
+    if (record.events.length > this.maxEvents) {
+      record.events.shift();
+    }
+    if (record.status === 'active') {
+      record.state = state;
+    }
+
+    this.persist(meetingId);
+    return event;
+  }
+
+  appendLog(meetingId, line) {
+    const record = this.records.get(meetingId);
+    if (!record) return;
+
+    record.logs.push(line);
+    if (record.logs.length > this.maxLogLines) {
+      record.logs.shift();
+    }
+    this.persist(meetingId);
+  }
+
+  /**
+   * Record a finished conversation turn. Turns are kept in startedAt order:
+   * input transcriptions finish after the assistant has started answering.
+   * @param {string} meetingId
+   * @param {object} turn - { role, text, itemId, startedAt, endedAt }
+   */
+  appendTranscript(meetingId, turn) {
+    const record = this.records.get(meetingId);
+    if (!record) return;
+
+    // Records written before transcripts existed have no array
+    if (!record.transcript) record.transcript = [];
+    const startedAt = Date.parse(turn.startedAt);
+    let index = record.transcript.length;
+    while (index > 0 && Date.parse(record.transcript[index - 1].startedAt) > startedAt) {
+      index--;
+    }
+    record.transcript.splice(index, 0, turn);
+    if (record.transcript.length > this.maxTranscriptTurns) {
+      record.transcript.shift();
+    }
+    this.persist(meetingId);
+  }
+
+  /**
+   * Mark a meeting as finished. Only the first outcome is kept, so the
+   * several shutdown paths (stop route, run loop exit, errors) can all call it.
+   * @param {string} meetingId
+   * @param {string} outcome - e.g. completed, stopped, failed, meeting_ended
+   * @param {object} [details]
+   * @param {string} [details.error]
+   */
+  finishMeeting(meetingId, outcome, details = {}) {
+    const record = this.records.get(meetingId);
+    if (!record || record.status === 'finished') return record || null;
+
+    const now = new Date().toISOString();
+    record.status = 'finished';
+    record.state = 'finished';
+    record.outcome = outcome;
+    record.error = details.error || null;
+    record.endTime = now;
+    record.events.push({
+      timestamp: now,
+      state: 'finished',
+      message: `Meeting finished: ${outcome}`,
+      metadata: details.error ? { error: details.error } : {},
+    });
+
+    this.prune();
+    this.persist(meetingId);
+    return record;
+  }
+
+  /* -------------------------------------------------------------------------- */
+  /*                                    READS                                    */
+  /* -------------------------------------------------------------------------- */
+
+  getMeeting(meetingId) {
+    return this.records.get(meetingId) || null;
+  }
+
+  getEvents(meetingId) {
+    const record = this.records.get(meetingId);
+    return record ? record.events : null;
+  }
+
+  getTranscript(meetingId) {
+    const record = this.records.get(meetingId);
+    return record ? record.transcript || [] : null;
+  }
+
+  getLogs(meetingId) {
+    const record = this.records.get(meetingId);
+    return record ? record.logs : null;
+  }
+
+  /**
+   * List meeting records, newest first.
+   * @param {object} [filters]
+   * @param {string} [filters.status] - active or finished
+   * @param {string} [filters.outcome]
+   * @param {string} [filters.platform]
+   * @param {string} [filters.tenant]
+   * @param {number} [filters.limit]
+   * @returns {object[]}
+   */
+  listMeetings({ status, outcome, platform, tenant, limit } = {}) {
+    const meetings = Array.from(this.records.values())
+      .filter((record) => !status || record.status === status)
+      .filter((record) => !outcome || record.outcome === outcome)
+      .filter((record) => !platform || record.platform === platform)
+      .filter((record) => !tenant || record.tenant === tenant)
+      .sort((a, b) => b.startTime.localeCompare(a.startTime));
+
+    return limit ? meetings.slice(0, limit) : meetings;
+  }
+
+  /* -------------------------------------------------------------------------- */
+  /*                                  RETENTION                                  */
+  /* -------------------------------------------------------------------------- */
+
+  prune() {
+    const finished = Array.from(this.records.values())
+      .filter((record) => record.status === 'finished')
+      .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+    while (finished.length > this.maxMeetings) {
+      const { meetingId } = finished.shift();
+      this.records.delete(meetingId);
+      this.remove(meetingId);
+    }
+  }
+}
+
+module.exports = MeetingStore;
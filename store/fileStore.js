@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const MeetingStore = require('./base');
+const { getLogger } = require('../lib/logger');
+
+const logger = getLogger().child({ subsystem: 'meeting_store' });
+
+// Coalesce bursts of log lines into one write per meeting
+const FLUSH_DELAY_MS = 2000;
+
+/**
+ * Meeting store that keeps one JSON file per meeting in a directory.
+ * Writes are debounced; call flush() before exiting.
+ */
+class FileMeetingStore extends MeetingStore {
+  /**
+   * @param {object} options
+   * @param {string} options.directory - Directory holding <meetingId>.json files
+   */
+  constructor(options = {}) {
+    super(options);
+    if (!options.directory) {
+      throw new Error('FileMeetingStore requires a directory');
+    }
+    this.directory = options.directory;
+    this.dirty = new Set();
+    this.flushTimer = null;
+    this.flushing = Promise.resolve();
+    this.load();
+  }
+
+  filePath(meetingId) {
+    return path.join(this.directory, `${encodeURIComponent(meetingId)}.json`);
+  }
+
+  /**
+   * Read every record from disk. Meetings still marked active were running
+   * when the process died, so their bots are gone - finish them as interrupted.
+   */
+  load() {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    for (const file of fs.readdirSync(this.directory)) {
+      if (path.extname(file) !== '.json') continue;
+      try {
+        const record = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        if (record && record.meetingId) {
+          this.records.set(record.meetingId, record);
+        }
+      } catch (error) {
+        logger.warn('Skipping unreadable meeting record', { file, error: error.message });
+      }
+    }
+
+    for (const record of this.records.values()) {
+      if (record.status === 'active') {
+        this.finishMeeting(record.meetingId, 'interrupted', {
+          error: 'Server restarted while the bot was running',
+        });
+      }
+    }
+
+    this.prune();
+  }
+
+  persist(meetingId) {
+    this.dirty.add(meetingId);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush().catch((error) => {
+          logger.error('Failed to flush meeting store', { error });
+        });
+      }, FLUSH_DELAY_MS);
+      this.flushTimer.unref?.();
+    }
+  }
+
+  remove(meetingId) {
+    this.dirty.delete(meetingId);
+    fs.rm(this.filePath(meetingId), { force: true }, () => {});
+  }
+
+  /**
+   * Write all pending records. Flushes are chained so files are never
+   * written concurrently.
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const meetingIds = Array.from(this.dirty);
+    this.dirty.clear();
+
+    this.flushing = this.flushing.then(async () => {
+      for (const meetingId of meetingIds) {
+        const record = this.records.get(meetingId);
+        if (!record) continue;
+
+        // Write to a temp file and rename so a crash never leaves a truncated record
+        const target = this.filePath(meetingId);
+        const temp = `${target}.tmp`;
+        try {
+          await fs.promises.writeFile(temp, JSON.stringify(record));
+          await fs.promises.rename(temp, target);
+        } catch (error) {
+          logger.error('Failed to persist meeting', { meetingId, error: error.message });
+        }
+      }
+    });
+
+    return this.flushing;
+  }
+}
+
+module.exports = FileMeetingStore;
@@ -0,0 +1,29 @@
+const MeetingStore = require('./base');
+const FileMeetingStore = require('./fileStore');
+
+const STORE_REGISTRY = {
+  memory: MeetingStore,
+  file: FileMeetingStore
+};
+
+/**
+ * Create the meeting store selected by MEETING_STORE.
+ * @param {string} type - Store type (memory, file)
+ * @param {object} options - Passed to the store constructor
+ * @returns {MeetingStore}
+ */
+function createMeetingStore(type, options = {}) {
+  const normalized = (type || 'file').toLowerCase();
+  const Store = STORE_REGISTRY[normalized];
+  if (!Store) {
+    const supported = Object.keys(STORE_REGISTRY).join(', ');
+    throw new Error(`Unsupported meeting store "${type}". Supported stores: ${supported}`);
+  }
+  return new Store(options);
+}
+
+module.exports = {
+  createMeetingStore,
+  MeetingStore,
+  STORE_REGISTRY
+};